@@ -1,26 +1,50 @@
-import proj4 from 'proj4';
 import 'leaflet/dist/leaflet.css';
 import 'leaflet-draw/dist/leaflet.draw.css';
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import L from 'leaflet';
-import Papa from 'papaparse';
-import * as XLSX from 'xlsx';
-import getShapefile, { parseShp, parseDbf } from 'shpjs';
 import toGeoJSON from '@mapbox/togeojson';
 import { pointInLayerPolygons } from './utils/dataFunctions';
+import { DEFAULT_CLASSIFICATION, isNumericAttribute, parseAttributeNumber, classifyFeatures, getClassIndex } from './utils/classification';
+import { createRadiusScale } from './utils/proportionalSymbols';
+import { DEFAULT_FILL_OPACITY, STYLE_PROPERTY_LABELS, resolveLayerStyle, sanitizeLayerStyle, getPathOptions, getMarkerIconHtml, isValidColor, showsKMLIcons } from './utils/layerStyle';
+import { compileStyleRules, layerUsesMarkerIcons } from './utils/styleRules';
+import { getLayerZIndexes, findCategory, addCategoryToList, moveLayerInList, moveCategoryInList, renameCategoryInList } from './utils/layerOrder';
+import { bufferLayer } from './utils/spatialAnalysis';
+import { registerProjections, resolveProjection, isProjectionDefined, getEPSGCodeFromWKT, registerWKTProjection, WKT_PROJECTION_PREFIX } from './utils/projections';
+import { preserveUTF8, detectEncoding, getDBFTextSample, ENCODING_SAMPLE_SIZE } from './utils/textEncoding';
+import { getParseWorkerPool, createCancelledError } from './utils/workerPool';
+import { readDroppedFiles, extractZipFiles } from './utils/fileDrop';
+import { groupShapefileParts, getMissingShapefileParts } from './utils/shapefileGroups';
+import { extractKMZ, resolveKMZReferences } from './utils/kmzReader';
+import { parseGPX } from './utils/gpxReader';
+import { DEFAULT_WORKSPACE_NAME, serializeWorkspace, deserializeCategories, saveWorkspace, loadWorkspace, listWorkspaces, deleteWorkspace, getLastWorkspaceName, getUniqueWorkspaceName } from './utils/workspaceStore';
+import { PROJECT_FILE_EXTENSION, buildProjectFile, parseProjectFile } from './utils/projectFile';
 import LeftSidebar from './components/LeftSidebar';
 import Map from './components/Map';
 import RightSidebar from './components/RightSidebar';
 import Toolbar from './components/Toolbar';
 import BufferDialog from './components/BufferDialog';
 import DrawTools from './components/DrawTools';
+import MapLegend from './components/MapLegend';
 import StatisticsWindow from './components/StatisticsWindow';
+import PointImportDialog from './components/PointImportDialog';
+import SheetImportDialog from './components/SheetImportDialog';
+import ShapefileCheckDialog from './components/ShapefileCheckDialog';
+import EncodingDialog from './components/EncodingDialog';
+import ImportReportPanel from './components/ImportReportPanel';
+import UploadQueue from './components/UploadQueue';
+import WorkspaceDialog from './components/WorkspaceDialog';
+import HistoryPanel from './components/HistoryPanel';
 import './App.css';
 
+const MAX_HISTORY_ENTRIES = 100;
+const MAX_UNIQUE_VALUE_COLORS = 25; // Size of the attribute palette in generateAttributeColorMap
+const STYLE_EDIT_MERGE_DELAY = 1000; // Repeated edits of the same style settings or colors within this delay (ms) make one history step
+
 function App() {
     const [layers, setLayers] = useState([]);
-    const [categories, setCategories] = useState({}); // Start with empty categories
+    const [categories, setCategories] = useState([]); // [{ name, expanded }] in sidebar order (see layerOrder.js)
     const [selectedColor, setSelectedColor] = useState('#3b82f6');
     const [showBufferDialog, setShowBufferDialog] = useState(false);
     const [map, setMap] = useState(null);
@@ -29,6 +53,28 @@ function App() {
     const layerGroupsRef = useRef({});
     const highlightLayersRef = useRef({}); // For yellow highlighted points
     const [showStatisticsWindow, setShowStatisticsWindow] = useState(false);
+    const [pointImportQueue, setPointImportQueue] = useState([]); // CSV/Excel imports waiting for column/CRS confirmation
+    const [workbookImportQueue, setWorkbookImportQueue] = useState([]); // Multi-sheet workbooks waiting for sheet selection
+    const [shapefileCheckQueue, setShapefileCheckQueue] = useState([]); // Shapefile groups with missing components waiting for confirmation
+    const [encodingChoiceQueue, setEncodingChoiceQueue] = useState([]); // Text files whose encoding could not be detected, waiting for the user's choice
+    const [importReports, setImportReports] = useState([]); // Accepted/skipped/repaired summaries of recent imports, newest first
+    const [uploads, setUploads] = useState([]); // Files being parsed in the worker pool: { id, fileName, stage, progress, status }
+    const uploadCancelsRef = useRef({}); // Upload id -> cancel function of its running parse task
+    const cancelledUploadsRef = useRef(new Set());
+    const [isDraggingFiles, setIsDraggingFiles] = useState(false); // Files are being dragged over the map
+    const dragDepthRef = useRef(0);
+    const [workspaceName, setWorkspaceName] = useState(() => getLastWorkspaceName() || DEFAULT_WORKSPACE_NAME); // Workspace autosaved to IndexedDB
+    const [savedWorkspaces, setSavedWorkspaces] = useState([]); // Summaries of the workspaces stored in IndexedDB
+    const [workspaceDialog, setWorkspaceDialog] = useState(null); // 'startup' (restore offer) | 'manage' | null
+    const [autosaveEnabled, setAutosaveEnabled] = useState(false); // Off until the startup restore offer is answered
+    const [mapView, setMapView] = useState(null); // { center: [lat, lng], zoom }, updated on moveend to trigger autosave
+    const workspaceStoredRef = useRef(false); // The current workspace exists in IndexedDB, so emptying it must be saved too
+    const [history, setHistory] = useState({ past: [], future: [] }); // Undo/redo stacks: { id, label, time, snapshot } or { id, label, time, undo, redo }
+    const [showHistoryPanel, setShowHistoryPanel] = useState(false);
+    const historyBaselineRef = useRef({ layers: [], categories: [] }); // Last committed layers/categories, the "before" of the next step
+    const pendingHistoryLabelsRef = useRef([]); // Labels of the operations whose state change has not been committed yet
+    const historyActionsRef = useRef({}); // Latest undo/redo for the keyboard shortcuts
+    const lastStyleEditRef = useRef({ key: null, time: 0 }); // Last style or color edit, to merge slider and color picker drags into one history step
     
     // Sidebar widths state
     const [leftSidebarWidth, setLeftSidebarWidth] = useState(250);
@@ -47,582 +93,509 @@ function App() {
     const [projection, setProjection] = useState('EPSG:22391');
 
     useEffect(() => {
-        // Define common projections
-        // Tunisia UTM Zone 32N (Carthage)
-        proj4.defs('EPSG:22391', '+proj=utm +zone=32 +north +ellps=clrk80ign +units=m +no_defs');
-        // WGS84 UTM Zone 32N
-        proj4.defs('EPSG:32632', '+proj=utm +zone=32 +datum=WGS84 +units=m +no_defs');
+        // Define common projections (WGS84, Carthage Lambert/UTM grids, WGS84 UTM 32N, Web Mercator)
+        registerProjections();
     }, []);
 
-    // Helper function to validate and normalize GeoJSON
-    const processGeoJSON = (geojson, fileNameWithoutExt, fileName) => {
-        try {
-            // Validate basic structure
-            if (!geojson || typeof geojson !== 'object') {
-                throw new Error('Invalid GeoJSON: must be an object');
-            }
-
-            let normalizedGeoJSON;
-
-            // Handle different GeoJSON types
-            if (geojson.type === 'FeatureCollection') {
-                // Validate FeatureCollection
-                if (!Array.isArray(geojson.features)) {
-                    throw new Error('Invalid FeatureCollection: features must be an array');
-                }
-                
-                // Normalize features
-                normalizedGeoJSON = {
-                    type: 'FeatureCollection',
-                    features: geojson.features.map((feature, index) => {
-                        if (!feature || feature.type !== 'Feature') {
-                            console.warn(`Skipping invalid feature at index ${index}`);
-                            return null;
-                        }
-                        if (!feature.geometry || !feature.geometry.coordinates) {
-                            console.warn(`Skipping feature at index ${index}: missing geometry`);
-                            return null;
-                        }
-                        return {
-                            type: 'Feature',
-                            geometry: feature.geometry,
-                            properties: feature.properties || {}
-                        };
-                    }).filter(f => f !== null),
-                    crs: geojson.crs || null
-                };
+    useEffect(() => {
+        if (!map) return;
 
-                if (normalizedGeoJSON.features.length === 0) {
-                    throw new Error('FeatureCollection contains no valid features');
+        const handleMoveEnd = () => {
+            const center = map.getCenter();
+            setMapView({ center: [center.lat, center.lng], zoom: map.getZoom() });
+        };
+        map.on('moveend', handleMoveEnd);
+
+        // Offer to restore a saved workspace; autosave starts once the user has answered
+        listWorkspaces()
+            .then(workspaces => {
+                setSavedWorkspaces(workspaces);
+                if (workspaces.length > 0) {
+                    setWorkspaceDialog('startup');
+                } else {
+                    setAutosaveEnabled(true);
                 }
+            })
+            .catch(error => {
+                console.error('Workspaces unavailable, autosave disabled:', error);
+            });
 
-            } else if (geojson.type === 'Feature') {
-                // Single Feature - wrap in FeatureCollection
-                if (!geojson.geometry || !geojson.geometry.coordinates) {
-                    throw new Error('Invalid Feature: missing geometry');
-                }
-                normalizedGeoJSON = {
-                    type: 'FeatureCollection',
-                    features: [{
-                        type: 'Feature',
-                        geometry: geojson.geometry,
-                        properties: geojson.properties || {}
-                    }],
-                    crs: geojson.crs || null
-                };
+        return () => {
+            map.off('moveend', handleMoveEnd);
+        };
+    }, [map]);
 
-            } else if (geojson.type && ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon'].includes(geojson.type)) {
-                // Geometry object - wrap in Feature and FeatureCollection
-                normalizedGeoJSON = {
-                    type: 'FeatureCollection',
-                    features: [{
-                        type: 'Feature',
-                        geometry: geojson,
-                        properties: {}
-                    }],
-                    crs: geojson.crs || null
-                };
-            } else if (geojson.type === 'GeometryCollection') {
-                // GeometryCollection - convert each geometry to a feature
-                if (!Array.isArray(geojson.geometries)) {
-                    throw new Error('Invalid GeometryCollection: geometries must be an array');
-                }
-                normalizedGeoJSON = {
-                    type: 'FeatureCollection',
-                    features: geojson.geometries
-                        .filter(geom => geom && geom.coordinates)
-                        .map(geometry => ({
-                            type: 'Feature',
-                            geometry: geometry,
-                            properties: {}
-                        })),
-                    crs: geojson.crs || null
-                };
-                if (normalizedGeoJSON.features.length === 0) {
-                    throw new Error('GeometryCollection contains no valid geometries');
-                }
+    // Autosave the workspace a second after the last change
+    useEffect(() => {
+        if (!autosaveEnabled || !map) return;
+        // Nothing to keep yet: do not create an empty workspace
+        if (layers.length === 0 && categories.length === 0 && !workspaceStoredRef.current) return;
+
+        const timer = setTimeout(() => {
+            const center = map.getCenter();
+            const snapshot = serializeWorkspace({
+                layers,
+                categories,
+                mapView: { center: [center.lat, center.lng], zoom: map.getZoom() },
+                projection
+            });
+            saveWorkspace(workspaceName, snapshot)
+                .then(() => {
+                    workspaceStoredRef.current = true;
+                })
+                .catch(error => {
+                    console.error(`Error saving workspace "${workspaceName}":`, error);
+                });
+        }, 1000);
 
-            } else {
-                throw new Error(`Unsupported GeoJSON type: ${geojson.type || 'unknown'}. Expected FeatureCollection, Feature, or Geometry.`);
-            }
+        return () => clearTimeout(timer);
+    }, [autosaveEnabled, map, layers, categories, projection, mapView, workspaceName]);
 
-            // Extract and transform coordinates if needed
-            let sourceCRS = null;
-            if (normalizedGeoJSON.crs) {
-                const crs = normalizedGeoJSON.crs;
-                if (crs.properties && crs.properties.name) {
-                    const crsName = crs.properties.name;
-                    console.log(`GeoJSON CRS detected: ${crsName}`);
-                    
-                    // Extract EPSG code from CRS name
-                    // Handle formats like: "urn:ogc:def:crs:EPSG::32632" or "EPSG:32632"
-                    const epsgMatch = crsName.match(/EPSG[:\s]*(\d+)/i);
-                    if (epsgMatch) {
-                        sourceCRS = `EPSG:${epsgMatch[1]}`;
-                        console.log(`Extracted EPSG code: ${sourceCRS}`);
-                    }
-                }
-            }
+    // Undo/redo
+    const pushHistoryEntry = useCallback((entry) => {
+        setHistory(prevHistory => ({
+            past: [...prevHistory.past, { id: Date.now() + Math.random(), time: new Date(), ...entry }].slice(-MAX_HISTORY_ENTRIES),
+            future: []
+        }));
+    }, []);
 
-            // Transform coordinates if source CRS is not WGS84
-            if (sourceCRS && sourceCRS !== 'EPSG:4326') {
-                console.log(`Transforming coordinates from ${sourceCRS} to EPSG:4326`);
-                
-                // Define the source projection if not already defined
-                if (!proj4.defs(sourceCRS)) {
-                    // Try to get projection definition (common projections)
-                    if (sourceCRS === 'EPSG:32632') {
-                        proj4.defs('EPSG:32632', '+proj=utm +zone=32 +datum=WGS84 +units=m +no_defs');
-                    } else if (sourceCRS === 'EPSG:22391') {
-                        proj4.defs('EPSG:22391', '+proj=utm +zone=32 +north +ellps=clrk80ign +units=m +no_defs');
-                    } else {
-                        console.warn(`Unknown CRS ${sourceCRS}. Attempting transformation anyway.`);
-                    }
-                }
+    // Name the next layers/categories change; it is recorded as one step once committed
+    const recordHistory = (label) => {
+        pendingHistoryLabelsRef.current.push(label);
+    };
 
-                // First, check if properties have lon/lat (already in WGS84) - use those for Point geometries
-                let usedProperties = false;
-                normalizedGeoJSON.features.forEach((feature, index) => {
-                    if (feature.geometry && feature.geometry.type === 'Point' && 
-                        feature.properties && 
-                        feature.properties.lon !== undefined && 
-                        feature.properties.lat !== undefined) {
-                        feature.geometry.coordinates = [
-                            parseFloat(feature.properties.lon),
-                            parseFloat(feature.properties.lat)
-                        ];
-                        usedProperties = true;
-                    }
-                });
+    // Every committed change made by a labelled operation becomes a step holding the state before it
+    useEffect(() => {
+        const before = historyBaselineRef.current;
+        historyBaselineRef.current = { layers, categories };
 
-                if (!usedProperties) {
-                    // Transform coordinates for each feature using proj4
-                    const transformCoordinates = (coords) => {
-                        if (Array.isArray(coords[0])) {
-                            // Nested array (LineString, Polygon, etc.)
-                            return coords.map(transformCoordinates);
-                        } else if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
-                            // Single coordinate pair [x, y] or [lon, lat]
-                            try {
-                                const [x, y, ...rest] = coords;
-                                const [lon, lat] = proj4(sourceCRS, 'EPSG:4326', [x, y]);
-                                return [lon, lat, ...rest];
-                            } catch (error) {
-                                console.error('Coordinate transformation error:', error, coords);
-                                return coords; // Return original if transformation fails
-                            }
-                        }
-                        return coords;
-                    };
+        const labels = pendingHistoryLabelsRef.current;
+        pendingHistoryLabelsRef.current = [];
+        if (labels.length === 0) return; // Undo/redo, workspace restore or follow-up update of the same step
 
-                    normalizedGeoJSON.features.forEach((feature, index) => {
-                        if (feature.geometry && feature.geometry.coordinates) {
-                            try {
-                                feature.geometry.coordinates = transformCoordinates(feature.geometry.coordinates);
-                            } catch (error) {
-                                console.error(`Error transforming feature ${index}:`, error);
-                            }
-                        }
-                    });
-                } else {
-                    console.log('Used lon/lat from properties for Point geometries');
-                }
+        pushHistoryEntry({
+            label: labels.length > 1 ? `${labels[0]} (+${labels.length - 1} more)` : labels[0],
+            snapshot: before
+        });
+    }, [layers, categories, pushHistoryEntry]);
 
-                // Remove CRS since coordinates are now in WGS84
-                normalizedGeoJSON.crs = null;
-                console.log('Coordinate transformation completed');
-            } else if (!sourceCRS) {
-                // Check if coordinates look like they're in a projected system (large numbers)
-                const firstFeature = normalizedGeoJSON.features[0];
-                if (firstFeature && firstFeature.geometry) {
-                    const coords = firstFeature.geometry.coordinates;
-                    if (coords && Array.isArray(coords)) {
-                        const firstCoord = Array.isArray(coords[0]) ? coords[0][0] : coords[0];
-                        if (typeof firstCoord === 'number' && Math.abs(firstCoord) > 180) {
-                            console.warn('Coordinates appear to be in a projected system but no CRS specified. Attempting to use lon/lat from properties if available.');
-                            
-                            // Try to use lon/lat from properties if available
-                            normalizedGeoJSON.features.forEach((feature, index) => {
-                                if (feature.properties && feature.properties.lon !== undefined && feature.properties.lat !== undefined) {
-                                    if (feature.geometry.type === 'Point') {
-                                        feature.geometry.coordinates = [
-                                            parseFloat(feature.properties.lon),
-                                            parseFloat(feature.properties.lat)
-                                        ];
-                                        console.log(`Feature ${index}: Using lon/lat from properties`);
-                                    }
-                                }
-                            });
-                        }
-                    }
-                }
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Leave undo in text fields to the browser
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                historyActionsRef.current.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                historyActionsRef.current.redo();
             }
+        };
 
-            // Validate coordinate ranges for WGS84 (rough check)
-            const validateCoordinates = (geometry, featureIndex) => {
-                if (geometry.type === 'Point') {
-                    const [lon, lat] = geometry.coordinates;
-                    if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
-                        console.warn(`Feature ${featureIndex} has coordinates outside WGS84 bounds: [${lon}, ${lat}]`);
-                    }
-                } else if (['LineString', 'MultiPoint'].includes(geometry.type)) {
-                    geometry.coordinates.forEach((coord, coordIndex) => {
-                        const [lon, lat] = coord;
-                        if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
-                            console.warn(`Feature ${featureIndex}, coordinate ${coordIndex} outside WGS84 bounds: [${lon}, ${lat}]`);
-                        }
-                    });
-                } else if (['Polygon', 'MultiLineString'].includes(geometry.type)) {
-                    geometry.coordinates.forEach((ring, ringIndex) => {
-                        ring.forEach((coord, coordIndex) => {
-                            const [lon, lat] = coord;
-                            if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
-                                console.warn(`Feature ${featureIndex}, ring ${ringIndex}, coordinate ${coordIndex} outside WGS84 bounds: [${lon}, ${lat}]`);
-                            }
-                        });
-                    });
-                } else if (geometry.type === 'MultiPolygon') {
-                    geometry.coordinates.forEach((polygon, polyIndex) => {
-                        polygon.forEach((ring, ringIndex) => {
-                            ring.forEach((coord, coordIndex) => {
-                                const [lon, lat] = coord;
-                                if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
-                                    console.warn(`Feature ${featureIndex}, polygon ${polyIndex}, ring ${ringIndex}, coordinate ${coordIndex} outside WGS84 bounds: [${lon}, ${lat}]`);
-                                }
-                            });
-                        });
-                    });
-                } else if (geometry.type === 'GeometryCollection') {
-                    geometry.geometries.forEach((geom, geomIndex) => {
-                        validateCoordinates(geom, `${featureIndex}-${geomIndex}`);
-                    });
-                }
-            };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
 
-            normalizedGeoJSON.features.forEach((feature, index) => {
-                validateCoordinates(feature.geometry, index);
-            });
+    // Show the summary of an import (keeps the last 10)
+    const showImportReport = (report) => {
+        setImportReports(prevReports => [report, ...prevReports].slice(0, 10));
+    };
 
-            console.log('Processed GeoJSON:', normalizedGeoJSON);
-            console.log(`GeoJSON contains ${normalizedGeoJSON.features.length} feature(s)`);
-            
-            addLayer(fileNameWithoutExt, 'geojson', normalizedGeoJSON, fileNameWithoutExt);
+    const dismissImportReport = (reportId) => {
+        setImportReports(prevReports => prevReports.filter(report => report.id !== reportId));
+    };
+
+    const updateUpload = (uploadId, changes) => {
+        setUploads(prevUploads => prevUploads.map(upload => upload.id === uploadId ? { ...upload, ...changes } : upload));
+    };
+
+    // Show a file in the upload queue while work(uploadId) parses it
+    // Errors are alerted with formatError(error); cancelled imports are dropped silently
+    const trackUpload = async (fileName, work, formatError) => {
+        const uploadId = Date.now() + Math.random();
+        setUploads(prevUploads => [...prevUploads, { id: uploadId, fileName, stage: 'Reading file', progress: 0, status: 'queued' }]);
+        try {
+            await work(uploadId);
         } catch (error) {
-            console.error('Error processing GeoJSON:', error);
-            alert(`Error processing GeoJSON file ${fileName}:\n${error.message}\n\nPlease ensure the file is valid GeoJSON format.`);
-        }
-    };
-
-    // Manual Windows-1252 to UTF-8 conversion for browsers that don't support it
-    // Complete Windows-1252 character mapping using Unicode escape sequences
-    const convertWindows1252ToUTF8 = (bytes) => {
-        // Windows-1252 to Unicode mapping (complete character set)
-        const windows1252Map = {
-            // Lowercase accented characters
-            0xE0: '\u00E0', // à
-            0xE1: '\u00E1', // á
-            0xE2: '\u00E2', // â
-            0xE3: '\u00E3', // ã
-            0xE4: '\u00E4', // ä
-            0xE5: '\u00E5', // å
-            0xE6: '\u00E6', // æ
-            0xE7: '\u00E7', // ç
-            0xE8: '\u00E8', // è
-            0xE9: '\u00E9', // é
-            0xEA: '\u00EA', // ê
-            0xEB: '\u00EB', // ë
-            0xEC: '\u00EC', // ì
-            0xED: '\u00ED', // í
-            0xEE: '\u00EE', // î
-            0xEF: '\u00EF', // ï
-            0xF0: '\u00F0', // ð
-            0xF1: '\u00F1', // ñ
-            0xF2: '\u00F2', // ò
-            0xF3: '\u00F3', // ó
-            0xF4: '\u00F4', // ô
-            0xF5: '\u00F5', // õ
-            0xF6: '\u00F6', // ö
-            0xF8: '\u00F8', // ø
-            0xF9: '\u00F9', // ù
-            0xFA: '\u00FA', // ú
-            0xFB: '\u00FB', // û
-            0xFC: '\u00FC', // ü
-            0xFD: '\u00FD', // ý
-            0xFE: '\u00FE', // þ
-            0xFF: '\u00FF', // ÿ
-            
-            // Uppercase accented characters
-            0xC0: '\u00C0', // À
-            0xC1: '\u00C1', // Á
-            0xC2: '\u00C2', // Â
-            0xC3: '\u00C3', // Ã
-            0xC4: '\u00C4', // Ä
-            0xC5: '\u00C5', // Å
-            0xC6: '\u00C6', // Æ
-            0xC7: '\u00C7', // Ç
-            0xC8: '\u00C8', // È
-            0xC9: '\u00C9', // É
-            0xCA: '\u00CA', // Ê
-            0xCB: '\u00CB', // Ë
-            0xCC: '\u00CC', // Ì
-            0xCD: '\u00CD', // Í
-            0xCE: '\u00CE', // Î
-            0xCF: '\u00CF', // Ï
-            0xD0: '\u00D0', // Ð
-            0xD1: '\u00D1', // Ñ
-            0xD2: '\u00D2', // Ò
-            0xD3: '\u00D3', // Ó
-            0xD4: '\u00D4', // Ô
-            0xD5: '\u00D5', // Õ
-            0xD6: '\u00D6', // Ö
-            0xD8: '\u00D8', // Ø
-            0xD9: '\u00D9', // Ù
-            0xDA: '\u00DA', // Ú
-            0xDB: '\u00DB', // Û
-            0xDC: '\u00DC', // Ü
-            0xDD: '\u00DD', // Ý
-            0xDE: '\u00DE', // Þ
-            
-            // Special Windows-1252 characters (0x80-0x9F)
-            0x80: '\u20AC', // €
-            0x82: '\u201A', // ‚
-            0x83: '\u0192', // ƒ
-            0x84: '\u201E', // „
-            0x85: '\u2026', // …
-            0x86: '\u2020', // †
-            0x87: '\u2021', // ‡
-            0x88: '\u02C6', // ˆ
-            0x89: '\u2030', // ‰
-            0x8A: '\u0160', // Š
-            0x8B: '\u2039', // ‹
-            0x8C: '\u0152', // Œ
-            0x8E: '\u017D', // Ž
-            0x91: '\u2018', // '
-            0x92: '\u2019', // '
-            0x93: '\u201C', // "
-            0x94: '\u201D', // "
-            0x95: '\u2022', // •
-            0x96: '\u2013', // –
-            0x97: '\u2014', // —
-            0x98: '\u02DC', // ˜
-            0x99: '\u2122', // ™
-            0x9A: '\u0161', // š
-            0x9B: '\u203A', // ›
-            0x9C: '\u0153', // œ
-            0x9E: '\u017E', // ž
-            0x9F: '\u0178'  // Ÿ
-        };
-        
-        let result = '';
-        for (let i = 0; i < bytes.length; i++) {
-            const byte = bytes[i];
-            if (windows1252Map[byte]) {
-                result += windows1252Map[byte];
-            } else if (byte >= 0x20 && byte < 0x7F) {
-                // ASCII printable characters
-                result += String.fromCharCode(byte);
-            } else if (byte === 0x0A || byte === 0x0D || byte === 0x09) {
-                // Line breaks and tabs
-                result += String.fromCharCode(byte);
-            } else if (byte < 0x20) {
-                // Control characters (preserve)
-                result += String.fromCharCode(byte);
-            } else {
-                // Unknown byte - try to preserve as-is
-                result += String.fromCharCode(byte);
+            if (!error.cancelled) {
+                console.error(`Error importing ${fileName}:`, error);
+                alert(formatError(error));
             }
+        } finally {
+            delete uploadCancelsRef.current[uploadId];
+            cancelledUploadsRef.current.delete(uploadId);
+            setUploads(prevUploads => prevUploads.filter(upload => upload.id !== uploadId));
         }
-        return result;
     };
 
-    // Helper function to convert text from various encodings to UTF-8
-    const convertToUTF8 = async (file, encodings = ['UTF-8', 'Windows-1252', 'ISO-8859-1', 'ISO-8859-15']) => {
-        // Read file as ArrayBuffer first for encoding detection
-        const arrayBuffer = await file.arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-        
-        // Try each encoding
-        for (const encoding of encodings) {
-            try {
-                let decoded;
-                
-                if (encoding === 'UTF-8') {
-                    // For UTF-8, try FileReader method first (most reliable)
-                    try {
-                        decoded = await new Promise((resolve, reject) => {
-                            const reader = new FileReader();
-                            reader.onload = (e) => resolve(e.target.result);
-                            reader.onerror = reject;
-                            reader.readAsText(file, 'UTF-8');
-                        });
-                    } catch (error) {
-                        // Fallback to TextDecoder
-                        const decoder = new TextDecoder('UTF-8', { fatal: false });
-                        decoded = decoder.decode(arrayBuffer);
-                    }
-                } else if (encoding === 'Windows-1252') {
-                    // Try TextDecoder first
-                    try {
-                        const decoder = new TextDecoder('windows-1252', { fatal: false });
-                        decoded = decoder.decode(arrayBuffer);
-                    } catch (error) {
-                        // Fallback to manual conversion
-                        console.log('TextDecoder does not support Windows-1252, using manual conversion');
-                        decoded = convertWindows1252ToUTF8(uint8Array);
-                    }
-                } else {
-                    // For other encodings, use TextDecoder
-                    const decoder = new TextDecoder(encoding, { fatal: false });
-                    decoded = decoder.decode(arrayBuffer);
-                }
-                
-                // Check if decoding produced valid text
-                if (decoded && decoded.length > 0) {
-                    // Check for replacement characters (indicates decoding failure)
-                    const replacementCharCount = (decoded.match(/\uFFFD/g) || []).length;
-                    const questionMarkCount = (decoded.match(/\?/g) || []).length;
-                    const totalChars = decoded.length;
-                    
-                    // Check for special characters to verify correct decoding
-                    const hasSpecialChars = /[éèêëàâäôöùûüçÉÈÊËÀÂÄÔÖÙÛÜÇ]/.test(decoded) || /[\u0600-\u06FF]/.test(decoded);
-                    
-                    // If we find special characters and few replacement/question marks, encoding is likely correct
-                    if (hasSpecialChars && (replacementCharCount / totalChars < 0.01) && (questionMarkCount / totalChars < 0.1)) {
-                        console.log(`✓ File successfully decoded as ${encoding}`);
-                        console.log(`  Sample with special chars:`, decoded.match(/[éèêëàâäôöùûüçÉÈÊËÀÂÄÔÖÙÛÜÇ\u0600-\u06FF]{0,20}/)?.[0]);
-                        return decoded;
-                    }
-                    
-                    // If no replacement chars and no excessive question marks, might be correct
-                    if (replacementCharCount === 0 && (questionMarkCount / totalChars < 0.05) && encoding === 'UTF-8') {
-                        console.log(`✓ File read as ${encoding}`);
-                        return decoded;
-                    }
-                }
-            } catch (error) {
-                console.warn(`Failed to decode as ${encoding}:`, error);
-                continue;
-            }
+    // Run a parse task in the worker pool; its progress is shown on the upload's row
+    const runParseTask = (uploadId, task, payload, transfer = []) => {
+        if (cancelledUploadsRef.current.has(uploadId)) {
+            return Promise.reject(createCancelledError());
         }
-        
-        // Last resort: try manual Windows-1252 conversion
-        console.warn('Standard encoding attempts failed, trying manual Windows-1252 conversion');
-        const manualConverted = convertWindows1252ToUTF8(uint8Array);
-        if (manualConverted && manualConverted.length > 0) {
-            console.log('✓ Used manual Windows-1252 conversion');
-            return manualConverted;
+        const { promise, cancel } = getParseWorkerPool().run(task, payload, {
+            transfer,
+            onProgress: (progress, stage) => updateUpload(uploadId, { progress, stage, status: 'running' })
+        });
+        uploadCancelsRef.current[uploadId] = cancel;
+        return promise;
+    };
+
+    // Pick the text encoding of a file from a sample of its bytes
+    // BOMs, XML declarations and valid UTF-8 are used directly; other 8-bit text goes to the encoding chooser
+    const chooseTextEncoding = (uploadId, fileName, sampleBytes) => {
+        const { encoding, confident } = detectEncoding(sampleBytes);
+        if (confident) {
+            return Promise.resolve(encoding);
         }
-        
-        // Final fallback: UTF-8 with FileReader
-        console.warn('All encoding attempts failed, using UTF-8 fallback');
+        updateUpload(uploadId, { stage: 'Choose the text encoding', status: 'waiting' });
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsText(file, 'UTF-8');
+            setEncodingChoiceQueue(prevQueue => [...prevQueue, {
+                id: Date.now() + Math.random(),
+                uploadId,
+                fileName,
+                sampleBytes,
+                detectedEncoding: encoding,
+                resolve,
+                reject
+            }]);
         });
     };
 
-    // Helper function to ensure UTF-8 string preservation
-    const preserveUTF8 = (value) => {
-        if (value === null || value === undefined) return '';
-        // Ensure the value is treated as a UTF-8 string
-        if (typeof value === 'string') {
-            return value;
+    const confirmEncodingChoice = (encoding) => {
+        const pendingChoice = encodingChoiceQueue[0];
+        if (!pendingChoice) return;
+        pendingChoice.resolve(encoding);
+        setEncodingChoiceQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    const cancelEncodingChoice = () => {
+        const pendingChoice = encodingChoiceQueue[0];
+        if (!pendingChoice) return;
+        pendingChoice.reject(createCancelledError());
+        setEncodingChoiceQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    // Read a text file, choose its encoding and decode it in the worker
+    const readTextInWorker = async (uploadId, file, fileName = file.name) => {
+        const buffer = await file.arrayBuffer();
+        const encoding = await chooseTextEncoding(uploadId, fileName, new Uint8Array(buffer.slice(0, ENCODING_SAMPLE_SIZE)));
+        return runParseTask(uploadId, 'decode', { buffer, encoding }, [buffer]);
+    };
+
+    const cancelUpload = (uploadId) => {
+        cancelledUploadsRef.current.add(uploadId);
+        const cancel = uploadCancelsRef.current[uploadId];
+        if (cancel) cancel();
+        const pendingChoice = encodingChoiceQueue.find(choice => choice.uploadId === uploadId);
+        if (pendingChoice) {
+            pendingChoice.reject(createCancelledError());
+            setEncodingChoiceQueue(prevQueue => prevQueue.filter(choice => choice !== pendingChoice));
+        }
+        setUploads(prevUploads => prevUploads.filter(upload => upload.id !== uploadId));
+    };
+
+    // Add normalized GeoJSON (see normalizeGeoJSON in the parse worker) as a layer and show its import report
+    const addGeoJSONLayer = ({ geojson, sourceCRS, report }, fileNameWithoutExt) => {
+        if (geojson.features.length > 0) {
+            addLayer(fileNameWithoutExt, 'geojson', geojson, fileNameWithoutExt, { sourceCRS });
+            report.layerName = fileNameWithoutExt;
         }
-        // Convert to string, preserving UTF-8 encoding
-        return String(value);
+        showImportReport(report);
     };
 
     // Helper function to process CSV/Excel data to GeoJSON
-    const processPointData = (data, fileNameWithoutExt) => {
-        const features = data
-            .filter(row => {
-                // Check for X/Y columns (case insensitive)
-                const xCol = Object.keys(row).find(key => key.toUpperCase() === 'X');
-                const yCol = Object.keys(row).find(key => key.toUpperCase() === 'Y');
-                return xCol && yCol && !isNaN(parseFloat(row[xCol])) && !isNaN(parseFloat(row[yCol]));
-            })
-            .map(row => {
-                try {
-                    const xCol = Object.keys(row).find(key => key.toUpperCase() === 'X');
-                    const yCol = Object.keys(row).find(key => key.toUpperCase() === 'Y');
-                    const x = parseFloat(row[xCol]);
-                    const y = parseFloat(row[yCol]);
-                    
-                    const [lon, lat] = proj4('EPSG:22391', 'EPSG:4326', [x, y]);
-                    
-                    // Include all properties from the row, preserving UTF-8 characters
-                    const properties = {};
-                    // Copy all properties, ensuring strings are preserved as-is to maintain UTF-8
-                    Object.keys(row).forEach(key => {
-                        const value = row[key];
-                        // Preserve the value as-is to maintain UTF-8 encoding
-                        properties[key] = preserveUTF8(value);
-                    });
-                    
-                    // Ensure name property exists
-                    if (!properties.name) {
-                        const nameCol = Object.keys(row).find(key => 
-                            key.toUpperCase() === 'SITES' || 
-                            key.toUpperCase() === 'A' || 
-                            key.toUpperCase() === 'NAME'
-                        );
-                        properties.name = nameCol ? preserveUTF8(row[nameCol]) : 'Unnamed';
+    // importOptions: { xCol, yCol, sourceCRS } or { geometryCol, sourceCRS } as confirmed in the PointImportDialog,
+    // plus optional category and fileName (for the import report)
+    const processPointData = (data, fileNameWithoutExt, importOptions) => {
+        const { xCol, yCol, geometryCol, sourceCRS, category = fileNameWithoutExt, fileName = fileNameWithoutExt } = importOptions;
+        return trackUpload(fileName, async (uploadId) => {
+            const { features, report } = await runParseTask(uploadId, 'points', { rows: data, xCol, yCol, geometryCol, sourceCRS, fileName });
+
+            if (features.length > 0) {
+                const geojson = {
+                    type: 'FeatureCollection',
+                    features: features
+                };
+
+                addLayer(fileNameWithoutExt, 'geojson', geojson, category, { sourceCRS });
+                report.layerName = fileNameWithoutExt;
+            }
+            showImportReport(report);
+        }, (error) => `Error importing ${fileName}: ${error.message}`);
+    };
+
+    // Queue parsed CSV/Excel rows until the user confirms coordinate columns and CRS
+    // category defaults to the layer name; sheets of one workbook share the workbook's category
+    const queuePointImport = (rows, fileNameWithoutExt, fileName, category = fileNameWithoutExt) => {
+        if (!rows || rows.length === 0) {
+            alert(`File ${fileName} contains no rows.`);
+            return;
+        }
+        setPointImportQueue(prevQueue => [...prevQueue, { id: Date.now() + Math.random(), rows, fileNameWithoutExt, fileName, category }]);
+    };
+
+    // Workbooks with several non-empty sheets go through the sheet picker first
+    const queueWorkbookImport = (sheets, fileNameWithoutExt, fileName) => {
+        const nonEmptySheets = sheets.filter(sheet => sheet.rows.length > 0);
+        if (nonEmptySheets.length === 0) {
+            alert(`File ${fileName} contains no rows.`);
+            return;
+        }
+        if (nonEmptySheets.length === 1) {
+            queuePointImport(nonEmptySheets[0].rows, fileNameWithoutExt, fileName);
+            return;
+        }
+        setWorkbookImportQueue(prevQueue => [...prevQueue, { id: Date.now() + Math.random(), sheets, fileNameWithoutExt, fileName }]);
+    };
+
+    const confirmWorkbookImport = (sheetNames) => {
+        const pendingWorkbook = workbookImportQueue[0];
+        if (!pendingWorkbook) return;
+        const { sheets, fileNameWithoutExt, fileName } = pendingWorkbook;
+        sheetNames.forEach(sheetName => {
+            const sheet = sheets.find(s => s.name === sheetName);
+            queuePointImport(sheet.rows, `${fileNameWithoutExt} - ${sheetName}`, `${fileName} [${sheetName}]`, fileNameWithoutExt);
+        });
+        setWorkbookImportQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    const cancelWorkbookImport = () => {
+        setWorkbookImportQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    const confirmPointImport = ({ xCol, yCol, geometryCol, sourceCRS }) => {
+        const pendingImport = pointImportQueue[0];
+        if (!pendingImport) return;
+        try {
+            processPointData(pendingImport.rows, pendingImport.fileNameWithoutExt, {
+                xCol,
+                yCol,
+                geometryCol,
+                sourceCRS: resolveProjection(sourceCRS),
+                category: pendingImport.category,
+                fileName: pendingImport.fileName
+            });
+        } catch (error) {
+            console.error('Error importing points:', error);
+            alert(`Error importing ${pendingImport.fileName}: ${error.message}`);
+        }
+        setPointImportQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    const cancelPointImport = () => {
+        setPointImportQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    // Parse KML text (from a .kml file or the main document of a .kmz) and add it as a layer
+    // Placemark ExtendedData, PolyStyle/IconStyle colours and fill-opacity are copied into feature properties
+    // The XML is parsed here (togeojson needs the DOM); validation and reprojection run in the parse worker
+    const processKMLText = async (uploadId, kmlText, fileNameWithoutExt, fileName) => {
+        // Fix common KML namespace issues
+        // Add missing xsi namespace if schemaLocation is used but xsi is not defined
+        if (kmlText.includes('schemaLocation') && !kmlText.includes('xmlns:xsi')) {
+            // Try to find the root element and add xsi namespace
+            kmlText = kmlText.replace(
+                /<kml([^>]*)>/i,
+                '<kml$1 xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+            );
+        }
+        
+        // Also ensure standard KML namespace is present
+        if (!kmlText.includes('xmlns=') && !kmlText.includes('xmlns:')) {
+            kmlText = kmlText.replace(
+                /<kml([^>]*)>/i,
+                '<kml$1 xmlns="http://www.opengis.net/kml/2.2">'
+            );
+        } else if (kmlText.includes('<kml') && !kmlText.includes('xmlns="http://www.opengis.net/kml/2.2"') && !kmlText.includes("xmlns='http://www.opengis.net/kml/2.2'")) {
+            // Add KML namespace if missing
+            kmlText = kmlText.replace(
+                /<kml([^>]*)>/i,
+                '<kml$1 xmlns="http://www.opengis.net/kml/2.2">'
+            );
+        }
+        
+        // Use browser's native DOMParser (works better with @mapbox/togeojson)
+        const parser = new window.DOMParser();
+        const kml = parser.parseFromString(kmlText, 'text/xml');
+        
+        // Check for parsing errors
+        const parserError = kml.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            // Try to extract a cleaner error message
+            let errorText = '';
+            const errorContent = parserError.textContent || parserError.innerText || '';
+            
+            // Extract just the error message, not the full page rendering
+            const errorMatch = errorContent.match(/error on line \d+ at column \d+:(.+?)(?:\n|$)/);
+            if (errorMatch) {
+                errorText = errorMatch[1].trim();
+            } else {
+                errorText = errorContent.split('\n')[0] || 'Unknown XML parsing error';
+            }
+            
+            throw new Error('Invalid XML format: ' + errorText);
+        }
+        
+        // Convert KML to GeoJSON
+        const geojson = toGeoJSON.kml(kml);
+        
+        if (!geojson || !geojson.features || geojson.features.length === 0) {
+            alert(`KML file ${fileName} contains no features.`);
+            return;
+        }
+        
+        // KML files often have extended data in properties, preserve it
+        const placemarks = kml.getElementsByTagName('Placemark');
+        geojson.features.forEach((feature, index) => {
+            // Ensure properties object exists
+            if (!feature.properties) {
+                feature.properties = {};
+            }
+            
+            // Try to extract additional properties from KML Placemark
+            if (placemarks[index]) {
+                const placemark = placemarks[index];
+                
+                // Extract ExtendedData
+                const extendedData = placemark.getElementsByTagName('ExtendedData')[0];
+                if (extendedData) {
+                    const dataElements = extendedData.getElementsByTagName('Data');
+                    for (let i = 0; i < dataElements.length; i++) {
+                        const dataEl = dataElements[i];
+                        const name = dataEl.getAttribute('name');
+                        const valueEl = dataEl.getElementsByTagName('value')[0];
+                        if (name && valueEl) {
+                            const value = valueEl.textContent || valueEl.text || '';
+                            feature.properties[name] = value.trim();
+                        }
                     }
-                    properties.x = x;
-                    properties.y = y;
-                    
-                    return {
-                        type: 'Feature',
-                        properties: properties,
-                        geometry: {
-                            type: 'Point',
-                            coordinates: [lon, lat]
+                }
+                
+                // Extract Style/PolyStyle information for fill and fill-opacity
+                // Check for Style element first
+                let styleElement = placemark.getElementsByTagName('Style')[0];
+                if (!styleElement) {
+                    // Check for styleUrl reference
+                    const styleUrlEl = placemark.getElementsByTagName('styleUrl')[0];
+                    if (styleUrlEl) {
+                        const styleUrl = styleUrlEl.textContent || styleUrlEl.text || '';
+                        // Try to find the referenced style (format: #styleId)
+                        if (styleUrl.startsWith('#')) {
+                            const styleId = styleUrl.substring(1);
+                            // Search for Style with matching id in the document
+                            const allStyles = kml.getElementsByTagName('Style');
+                            for (let i = 0; i < allStyles.length; i++) {
+                                if (allStyles[i].getAttribute('id') === styleId) {
+                                    styleElement = allStyles[i];
+                                    break;
+                                }
+                            }
                         }
-                    };
-                } catch (error) {
-                    console.error('Error converting coordinates:', row, error);
-                    return null;
+                    }
                 }
-            })
-            .filter(feature => feature !== null);
+                
+                // Extract fill color from PolyStyle
+                if (styleElement) {
+                    const polyStyle = styleElement.getElementsByTagName('PolyStyle')[0];
+                    if (polyStyle) {
+                        const colorEl = polyStyle.getElementsByTagName('color')[0];
+                        const fillEl = polyStyle.getElementsByTagName('fill')[0];
+                        const fillOpacityEl = polyStyle.getElementsByTagName('fillOpacity')[0];
                         
-                        const geojson = {
-                            type: 'FeatureCollection',
-                            features: features
-                        };
+                        // Extract fill color
+                        if (colorEl) {
+                            const kmlColor = (colorEl.textContent || colorEl.text || '').trim();
+                            if (kmlColor) {
+                                const hexColor = convertKMLColorToHex(kmlColor);
+                                if (hexColor) {
+                                    feature.properties.fill = hexColor;
+                                }
+                            }
+                        }
                         
-                        console.log('Created GeoJSON:', geojson);
-                        addLayer(fileNameWithoutExt, 'geojson', geojson, fileNameWithoutExt);
+                        // Extract fill (if explicitly set)
+                        if (fillEl) {
+                            const fillValue = (fillEl.textContent || fillEl.text || '').trim();
+                            if (fillValue !== '') {
+                                feature.properties.fill = fillValue;
+                            }
+                        }
+                        
+                        // Extract fill-opacity
+                        if (fillOpacityEl) {
+                            const opacityValue = (fillOpacityEl.textContent || fillOpacityEl.text || '').trim();
+                            if (opacityValue !== '') {
+                                feature.properties['fill-opacity'] = opacityValue;
+                            }
+                        } else if (colorEl) {
+                            // KML color format includes alpha in first 2 hex digits
+                            const kmlColor = (colorEl.textContent || colorEl.text || '').trim();
+                            if (kmlColor && /^[0-9a-fA-F]{8}$/.test(kmlColor)) {
+                                const alphaHex = kmlColor.substring(0, 2);
+                                const alpha = parseInt(alphaHex, 16) / 255;
+                                feature.properties['fill-opacity'] = alpha.toString();
+                            }
+                        }
+                    }
+                    
+                    // Also check IconStyle for point features
+                    const iconStyle = styleElement.getElementsByTagName('IconStyle')[0];
+                    if (iconStyle) {
+                        // Icon image: a web URL, or a data URL for the images embedded in a KMZ (see resolveKMZReferences)
+                        const iconEl = iconStyle.getElementsByTagName('Icon')[0];
+                        const hrefEl = iconEl ? iconEl.getElementsByTagName('href')[0] : null;
+                        const href = hrefEl ? (hrefEl.textContent || hrefEl.text || '').trim() : '';
+                        if (/^(data:image\/|https?:\/\/)/i.test(href)) {
+                            feature.properties.icon = href;
+                        }
+
+                        const colorEl = iconStyle.getElementsByTagName('color')[0];
+                        if (colorEl && !feature.properties.fill) {
+                            const kmlColor = (colorEl.textContent || colorEl.text || '').trim();
+                            if (kmlColor) {
+                                const hexColor = convertKMLColorToHex(kmlColor);
+                                if (hexColor) {
+                                    feature.properties.fill = hexColor;
+                                }
+                            }
+                        }
+                    }
+                }
+                
+                // Extract name and description
+                const nameEl = placemark.getElementsByTagName('name')[0];
+                const descEl = placemark.getElementsByTagName('description')[0];
+                
+                if (nameEl) {
+                    const nameValue = nameEl.textContent || nameEl.text || '';
+                    if (nameValue.trim() && !feature.properties.name) {
+                        feature.properties.name = nameValue.trim();
+                    }
+                }
+                if (descEl) {
+                    const descValue = descEl.textContent || descEl.text || '';
+                    if (descValue.trim() && !feature.properties.description) {
+                        feature.properties.description = descValue.trim();
+                    }
+                }
+            }
+        });
+        
+        addGeoJSONLayer(await runParseTask(uploadId, 'geojson', { geojson, fileName }), fileNameWithoutExt);
     };
 
-    const handleFileUpload = (event) => {
-        const files = event.target.files;
+    // Import a set of files (from the file input, a drop on the map or an unpacked zip)
+    // Shapefile components are grouped by base name; every other file is imported on its own
+    const importFiles = (files, sourceName = null) => {
         if (!files || files.length === 0) return;
 
         // Group shapefile components together
-        const shapefileGroups = {};
-        const otherFiles = [];
-
-        for (const file of files) {
-            const fileName = file.name;
-            const ext = fileName.split('.').pop().toLowerCase();
-            
-            // Group shapefile components together
-            if (['shp', 'shx', 'dbf', 'prj', 'cpg'].includes(ext)) {
-                // Remove extension to get base name (case-insensitive)
-                const baseName = fileName.replace(/\.(shp|shx|dbf|prj|cpg)$/i, '');
-                console.log(`Grouping shapefile component: ${fileName} -> baseName: "${baseName}", ext: "${ext}"`);
-                
-                if (!shapefileGroups[baseName]) {
-                    shapefileGroups[baseName] = {};
-                }
-                shapefileGroups[baseName][ext] = file;
-            } else {
-                otherFiles.push(file);
-            }
-        }
+        const { shapefileGroups, otherFiles } = groupShapefileParts(files);
 
         // Log grouped files
         console.log('Shapefile groups:', Object.keys(shapefileGroups));
@@ -630,15 +603,20 @@ function App() {
             console.log(`  ${baseName}:`, Object.keys(fileGroup));
         }
 
-        // Process shapefiles
+        // Complete shapefiles are parsed right away; incomplete ones are listed for confirmation first
+        const incompleteGroups = {};
         for (const [baseName, fileGroup] of Object.entries(shapefileGroups)) {
-            if (fileGroup.shp) {
+            if (getMissingShapefileParts(fileGroup).length > 0) {
+                console.warn(`Shapefile "${baseName}" is missing components:`, getMissingShapefileParts(fileGroup).map(part => part.ext));
+                incompleteGroups[baseName] = fileGroup;
+            } else {
                 console.log(`Processing shapefile: ${baseName} with files:`, Object.keys(fileGroup));
                 processShapefile(fileGroup.shp, fileGroup, baseName);
-            } else {
-                console.warn(`Shapefile group "${baseName}" has no .shp file, skipping. Available files:`, Object.keys(fileGroup));
             }
         }
+        if (Object.keys(incompleteGroups).length > 0) {
+            setShapefileCheckQueue(prevQueue => [...prevQueue, { id: Date.now() + Math.random(), groups: incompleteGroups, sourceName }]);
+        }
 
         // Process other files
         for (const file of otherFiles) {
@@ -647,708 +625,219 @@ function App() {
             const ext = fileName.split('.').pop().toLowerCase();
 
             if (ext === 'csv') {
-                // Read CSV with automatic encoding detection and conversion
-                (async () => {
-                    try {
-                        // Try to detect and convert encoding
-                        let csvText = await convertToUTF8(file);
-                        
-                        // Remove BOM (Byte Order Mark) if present
-                        if (csvText.charCodeAt(0) === 0xFEFF) {
-                            csvText = csvText.slice(1);
-                            console.log('Removed BOM from CSV file');
-                        }
-                        
-                        // Log sample to verify encoding
-                        if (csvText.length > 0) {
-                            const sample = csvText.substring(0, Math.min(200, csvText.length));
-                            console.log('CSV sample (first 200 chars):', sample);
-                            // Check for French/Arabic characters
-                            if (/[éèêëàâäôöùûüçÉÈÊËÀÂÄÔÖÙÛÜÇ]/.test(sample) || /[\u0600-\u06FF]/.test(sample)) {
-                                console.log('✓ Special characters detected in CSV:', sample.match(/[éèêëàâäôöùûüçÉÈÊËÀÂÄÔÖÙÛÜÇ\u0600-\u06FF]/g));
-                            } else {
-                                console.warn('⚠ No special characters detected - file might be ASCII or encoding issue');
-                            }
-                        }
-                        
-                        Papa.parse(csvText, {
-                            header: true,
-                            delimiter: ';',
-                            skipEmptyLines: true,
-                            dynamicTyping: false, // Keep as strings to preserve special characters
-                            complete: (results) => {
-                                console.log('Parsed CSV data:', results.data);
-                                // Verify special characters in parsed data
-                                if (results.data.length > 0) {
-                                    const firstRow = results.data[0];
-                                    const sampleValue = Object.values(firstRow).find(v => typeof v === 'string' && v.length > 0);
-                                    if (sampleValue) {
-                                        console.log('Sample value from CSV:', sampleValue);
-                                        if (/[éèêëàâäôöùûüçÉÈÊËÀÂÄÔÖÙÛÜÇ]/.test(sampleValue) || /[\u0600-\u06FF]/.test(sampleValue)) {
-                                            console.log('✓ Special characters preserved in parsed data:', sampleValue);
-                                        }
-                                    }
-                                }
-                                processPointData(results.data, fileNameWithoutExt);
-                            },
-                            error: (error) => {
-                                console.error('CSV parsing error:', error);
-                                alert(`Error parsing CSV file ${fileName}: ${error.message}`);
-                            }
-                        });
-                    } catch (error) {
-                        console.error('Error reading CSV file:', error);
-                        alert(`Error reading CSV file ${fileName}: ${error.message}`);
-                    }
-                })();
+                // Choose the encoding, then decode and parse in the worker pool
+                trackUpload(fileName, async (uploadId) => {
+                    const buffer = await file.arrayBuffer();
+                    const encoding = await chooseTextEncoding(uploadId, fileName, new Uint8Array(buffer.slice(0, ENCODING_SAMPLE_SIZE)));
+                    const rows = await runParseTask(uploadId, 'csv', { buffer, encoding }, [buffer]);
+                    queuePointImport(rows, fileNameWithoutExt, fileName);
+                }, (error) => `Error parsing CSV file ${fileName}: ${error.message}`);
             } else if (ext === 'xlsx' || ext === 'xls') {
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    try {
-                        const data = new Uint8Array(e.target.result);
-                        // XLSX library handles UTF-8 encoding automatically
-                        const workbook = XLSX.read(data, { 
-                            type: 'array',
-                            cellText: false,
-                            cellDates: true,
-                            codepage: 65001 // UTF-8 code page
-                        });
-                        
-                        // Read the first sheet
-                        const firstSheetName = workbook.SheetNames[0];
-                        const worksheet = workbook.Sheets[firstSheetName];
-                        // Use raw: false to get formatted text values, preserving UTF-8
-                        const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-                            raw: false, // Get formatted strings to preserve UTF-8
-                            defval: '',
-                            blankrows: false
-                        });
-                        
-                        console.log('Parsed XLSX data:', jsonData);
-                        processPointData(jsonData, fileNameWithoutExt);
-                    } catch (error) {
-                        console.error('Error parsing XLSX file:', error);
-                        alert(`Error parsing XLSX file ${fileName}: ${error.message}`);
-                    }
-                };
-                reader.readAsArrayBuffer(file);
+                // Every sheet is read in the worker; the user picks which ones to import
+                trackUpload(fileName, async (uploadId) => {
+                    const buffer = await file.arrayBuffer();
+                    const sheets = await runParseTask(uploadId, 'xlsx', { buffer }, [buffer]);
+                    queueWorkbookImport(sheets, fileNameWithoutExt, fileName);
+                }, (error) => `Error parsing XLSX file ${fileName}: ${error.message}`);
             } else if (ext === 'geojson' || ext === 'json') {
-                // Read JSON with automatic encoding detection
-                (async () => {
-                    try {
-                        const jsonText = await convertToUTF8(file);
-                        const geojson = JSON.parse(jsonText);
-                        processGeoJSON(geojson, fileNameWithoutExt, fileName);
-                    } catch (error) {
-                        console.error('Error parsing file:', error);
-                        alert(`Error parsing GeoJSON file ${fileName}: ${error.message}`);
-                    }
-                })();
+                // Decode, parse, validate and reproject in the worker pool
+                trackUpload(fileName, async (uploadId) => {
+                    const buffer = await file.arrayBuffer();
+                    addGeoJSONLayer(await runParseTask(uploadId, 'geojson', { buffer, fileName }, [buffer]), fileNameWithoutExt);
+                }, (error) => `Error processing GeoJSON file ${fileName}:\n${error.message}\n\nPlease ensure the file is valid GeoJSON format.`);
             } else if (ext === 'kml') {
-                // Read KML with automatic encoding detection
-                (async () => {
-                    try {
-                        let kmlText = await convertToUTF8(file);
-                        
-                        // Fix common KML namespace issues
-                        // Add missing xsi namespace if schemaLocation is used but xsi is not defined
-                        if (kmlText.includes('schemaLocation') && !kmlText.includes('xmlns:xsi')) {
-                            // Try to find the root element and add xsi namespace
-                            kmlText = kmlText.replace(
-                                /<kml([^>]*)>/i,
-                                '<kml$1 xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
-                            );
-                        }
-                        
-                        // Also ensure standard KML namespace is present
-                        if (!kmlText.includes('xmlns=') && !kmlText.includes('xmlns:')) {
-                            kmlText = kmlText.replace(
-                                /<kml([^>]*)>/i,
-                                '<kml$1 xmlns="http://www.opengis.net/kml/2.2">'
-                            );
-                        } else if (kmlText.includes('<kml') && !kmlText.includes('xmlns="http://www.opengis.net/kml/2.2"') && !kmlText.includes("xmlns='http://www.opengis.net/kml/2.2'")) {
-                            // Add KML namespace if missing
-                            kmlText = kmlText.replace(
-                                /<kml([^>]*)>/i,
-                                '<kml$1 xmlns="http://www.opengis.net/kml/2.2">'
-                            );
-                        }
-                        
-                        // Use browser's native DOMParser (works better with @mapbox/togeojson)
-                        const parser = new window.DOMParser();
-                        const kml = parser.parseFromString(kmlText, 'text/xml');
-                        
-                        // Check for parsing errors
-                        const parserError = kml.getElementsByTagName('parsererror')[0];
-                        if (parserError) {
-                            // Try to extract a cleaner error message
-                            let errorText = '';
-                            const errorContent = parserError.textContent || parserError.innerText || '';
-                            
-                            // Extract just the error message, not the full page rendering
-                            const errorMatch = errorContent.match(/error on line \d+ at column \d+:(.+?)(?:\n|$)/);
-                            if (errorMatch) {
-                                errorText = errorMatch[1].trim();
-                            } else {
-                                errorText = errorContent.split('\n')[0] || 'Unknown XML parsing error';
-                            }
-                            
-                            throw new Error('Invalid XML format: ' + errorText);
-                        }
-                        
-                        // Convert KML to GeoJSON
-                        const geojson = toGeoJSON.kml(kml);
-                        
-                        if (!geojson || !geojson.features || geojson.features.length === 0) {
-                            alert(`KML file ${fileName} contains no features.`);
-                            return;
-                        }
-                        
-                        // KML files often have extended data in properties, preserve it
-                        const placemarks = kml.getElementsByTagName('Placemark');
-                        geojson.features.forEach((feature, index) => {
-                            // Ensure properties object exists
-                            if (!feature.properties) {
-                                feature.properties = {};
-                            }
-                            
-                            // Try to extract additional properties from KML Placemark
-                            if (placemarks[index]) {
-                                const placemark = placemarks[index];
-                                
-                                // Extract ExtendedData
-                                const extendedData = placemark.getElementsByTagName('ExtendedData')[0];
-                                if (extendedData) {
-                                    const dataElements = extendedData.getElementsByTagName('Data');
-                                    for (let i = 0; i < dataElements.length; i++) {
-                                        const dataEl = dataElements[i];
-                                        const name = dataEl.getAttribute('name');
-                                        const valueEl = dataEl.getElementsByTagName('value')[0];
-                                        if (name && valueEl) {
-                                            const value = valueEl.textContent || valueEl.text || '';
-                                            feature.properties[name] = value.trim();
-                                        }
-                                    }
-                                }
-                                
-                                // Extract Style/PolyStyle information for fill and fill-opacity
-                                // Check for Style element first
-                                let styleElement = placemark.getElementsByTagName('Style')[0];
-                                if (!styleElement) {
-                                    // Check for styleUrl reference
-                                    const styleUrlEl = placemark.getElementsByTagName('styleUrl')[0];
-                                    if (styleUrlEl) {
-                                        const styleUrl = styleUrlEl.textContent || styleUrlEl.text || '';
-                                        // Try to find the referenced style (format: #styleId)
-                                        if (styleUrl.startsWith('#')) {
-                                            const styleId = styleUrl.substring(1);
-                                            // Search for Style with matching id in the document
-                                            const allStyles = kml.getElementsByTagName('Style');
-                                            for (let i = 0; i < allStyles.length; i++) {
-                                                if (allStyles[i].getAttribute('id') === styleId) {
-                                                    styleElement = allStyles[i];
-                                                    break;
-                                                }
-                                            }
-                                        }
-                                    }
-                                }
-                                
-                                // Extract fill color from PolyStyle
-                                if (styleElement) {
-                                    const polyStyle = styleElement.getElementsByTagName('PolyStyle')[0];
-                                    if (polyStyle) {
-                                        const colorEl = polyStyle.getElementsByTagName('color')[0];
-                                        const fillEl = polyStyle.getElementsByTagName('fill')[0];
-                                        const fillOpacityEl = polyStyle.getElementsByTagName('fillOpacity')[0];
-                                        
-                                        // Extract fill color
-                                        if (colorEl) {
-                                            const kmlColor = (colorEl.textContent || colorEl.text || '').trim();
-                                            if (kmlColor) {
-                                                const hexColor = convertKMLColorToHex(kmlColor);
-                                                if (hexColor) {
-                                                    feature.properties.fill = hexColor;
-                                                }
-                                            }
-                                        }
-                                        
-                                        // Extract fill (if explicitly set)
-                                        if (fillEl) {
-                                            const fillValue = (fillEl.textContent || fillEl.text || '').trim();
-                                            if (fillValue !== '') {
-                                                feature.properties.fill = fillValue;
-                                            }
-                                        }
-                                        
-                                        // Extract fill-opacity
-                                        if (fillOpacityEl) {
-                                            const opacityValue = (fillOpacityEl.textContent || fillOpacityEl.text || '').trim();
-                                            if (opacityValue !== '') {
-                                                feature.properties['fill-opacity'] = opacityValue;
-                                            }
-                                        } else if (colorEl) {
-                                            // KML color format includes alpha in first 2 hex digits
-                                            const kmlColor = (colorEl.textContent || colorEl.text || '').trim();
-                                            if (kmlColor && /^[0-9a-fA-F]{8}$/.test(kmlColor)) {
-                                                const alphaHex = kmlColor.substring(0, 2);
-                                                const alpha = parseInt(alphaHex, 16) / 255;
-                                                feature.properties['fill-opacity'] = alpha.toString();
-                                            }
-                                        }
-                                    }
-                                    
-                                    // Also check IconStyle for point features
-                                    const iconStyle = styleElement.getElementsByTagName('IconStyle')[0];
-                                    if (iconStyle) {
-                                        const colorEl = iconStyle.getElementsByTagName('color')[0];
-                                        if (colorEl && !feature.properties.fill) {
-                                            const kmlColor = (colorEl.textContent || colorEl.text || '').trim();
-                                            if (kmlColor) {
-                                                const hexColor = convertKMLColorToHex(kmlColor);
-                                                if (hexColor) {
-                                                    feature.properties.fill = hexColor;
-                                                }
-                                            }
-                                        }
-                                    }
-                                }
-                                
-                                // Extract name and description
-                                const nameEl = placemark.getElementsByTagName('name')[0];
-                                const descEl = placemark.getElementsByTagName('description')[0];
-                                
-                                if (nameEl) {
-                                    const nameValue = nameEl.textContent || nameEl.text || '';
-                                    if (nameValue.trim() && !feature.properties.name) {
-                                        feature.properties.name = nameValue.trim();
-                                    }
-                                }
-                                if (descEl) {
-                                    const descValue = descEl.textContent || descEl.text || '';
-                                    if (descValue.trim() && !feature.properties.description) {
-                                        feature.properties.description = descValue.trim();
-                                    }
-                                }
-                            }
-                        });
-                        
-                        console.log('Converted KML to GeoJSON:', geojson);
-                        processGeoJSON(geojson, fileNameWithoutExt, fileName);
-                    } catch (error) {
-                        console.error('Error parsing KML file:', error);
-                        alert(`Error parsing KML file ${fileName}: ${error.message}\n\nPlease ensure the file is a valid KML format.`);
+                // Read KML with the declared, detected or chosen encoding
+                trackUpload(fileName, async (uploadId) => {
+                    const kmlText = await readTextInWorker(uploadId, file);
+                    await processKMLText(uploadId, kmlText, fileNameWithoutExt, fileName);
+                }, (error) => `Error parsing KML file ${fileName}: ${error.message}\n\nPlease ensure the file is a valid KML format.`);
+            } else if (ext === 'kmz') {
+                // Unzip KMZ, then feed its main document through the KML pipeline
+                trackUpload(fileName, async (uploadId) => {
+                    const { kmlPath, kmlBlob, resources } = await extractKMZ(file);
+                    const kmlText = await readTextInWorker(uploadId, kmlBlob, `${fileName}/${kmlPath}`);
+                    await processKMLText(uploadId, resolveKMZReferences(kmlText, kmlPath, resources), fileNameWithoutExt, fileName);
+                }, (error) => `Error parsing KMZ file ${fileName}: ${error.message}\n\nPlease ensure the file is a valid KMZ archive.`);
+            } else if (ext === 'gpx') {
+                // GPX: waypoints -> point layer, tracks and routes -> line layers (same category)
+                trackUpload(fileName, async (uploadId) => {
+                    const gpxText = await readTextInWorker(uploadId, file);
+                    const gpx = new window.DOMParser().parseFromString(gpxText, 'text/xml');
+                    if (gpx.getElementsByTagName('parsererror')[0]) {
+                        throw new Error('Invalid XML format');
+                    }
+
+                    const { waypoints, tracks, routes } = parseGPX(gpx);
+                    const gpxLayers = [
+                        ['waypoints', waypoints],
+                        ['tracks', tracks],
+                        ['routes', routes]
+                    ].filter(([, collection]) => collection.features.length > 0);
+
+                    if (gpxLayers.length === 0) {
+                        alert(`GPX file ${fileName} contains no waypoints, tracks or routes.`);
+                        return;
+                    }
+
+                    gpxLayers.forEach(([kind, collection]) => {
+                        addLayer(`${fileNameWithoutExt} ${kind}`, 'geojson', collection, fileNameWithoutExt);
+                    });
+                }, (error) => `Error parsing GPX file ${fileName}: ${error.message}`);
+            } else if (ext === PROJECT_FILE_EXTENSION) {
+                // Project file: replaces the map with the saved layers, styling and extent
+                trackUpload(fileName, async () => {
+                    await openProjectFile(await file.text(), fileNameWithoutExt);
+                }, (error) => `Error opening project file ${fileName}: ${error.message}`);
+            } else if (ext === 'zip') {
+                // Unpack the archive and import its files as if they had been selected together
+                trackUpload(fileName, async (uploadId) => {
+                    const archiveFiles = await extractZipFiles(file, (progress) => updateUpload(uploadId, { stage: 'Unpacking', progress, status: 'running' }));
+                    if (cancelledUploadsRef.current.has(uploadId)) {
+                        throw createCancelledError();
                     }
-                })();
+                    if (archiveFiles.length === 0) {
+                        throw new Error('Archive is empty');
+                    }
+                    importFiles(archiveFiles, fileName);
+                }, (error) => `Error reading zip archive ${fileName}: ${error.message}`);
+            } else {
+                console.warn(`Skipping unsupported file: ${fileName}`);
             }
         }
+    };
+
+    const confirmShapefileCheck = (baseNames) => {
+        const pendingCheck = shapefileCheckQueue[0];
+        if (!pendingCheck) return;
+        baseNames.forEach(baseName => {
+            const fileGroup = pendingCheck.groups[baseName];
+            processShapefile(fileGroup.shp, fileGroup, baseName);
+        });
+        setShapefileCheckQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    const cancelShapefileCheck = () => {
+        setShapefileCheckQueue(prevQueue => prevQueue.slice(1));
+    };
+
+    const handleFileUpload = (event) => {
+        importFiles(Array.from(event.target.files || []));
         event.target.value = '';
     };
 
-    // Helper function to extract EPSG code from PRJ file content
-    const extractEPSGFromPRJ = (prjText) => {
-        if (!prjText) {
-            console.log('extractEPSGFromPRJ: prjText is null or empty');
+    // Drag-and-drop of files and folders onto the map
+    // dragenter/dragleave fire for every child element, so nesting depth is counted
+    const isFileDrag = (event) => Array.from(event.dataTransfer.types || []).includes('Files');
+
+    const handleMapDragEnter = (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        dragDepthRef.current++;
+        setIsDraggingFiles(true);
+    };
+
+    const handleMapDragOver = (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    };
+
+    const handleMapDragLeave = (event) => {
+        if (!isFileDrag(event)) return;
+        dragDepthRef.current--;
+        if (dragDepthRef.current <= 0) {
+            dragDepthRef.current = 0;
+            setIsDraggingFiles(false);
+        }
+    };
+
+    const handleMapDrop = (event) => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        dragDepthRef.current = 0;
+        setIsDraggingFiles(false);
+
+        readDroppedFiles(event.dataTransfer)
+            .then(files => {
+                importFiles(files);
+            })
+            .catch(error => {
+                console.error('Error reading dropped files:', error);
+                alert(`Error reading dropped files: ${error.message}`);
+            });
+    };
+
+    // Helper function to resolve the CRS of a shapefile from its PRJ file content
+    // Returns an EPSG code when the WKT root declares one that the registry knows,
+    // otherwise registers the full WKT with proj4 and returns the name it was registered under
+    const resolvePRJProjection = (prjText, baseName) => {
+        if (!prjText || !prjText.trim()) {
             return null;
         }
         
-        // Normalize the text (remove extra whitespace, convert to uppercase for matching)
         const normalizedText = prjText.trim().replace(/\s+/g, ' ');
         console.log('PRJ normalized text (first 200 chars):', normalizedText.substring(0, 200));
         
-        // Try to find EPSG code in PRJ text
-        // Common patterns: "EPSG:32632", "EPSG::32632", "AUTHORITY["EPSG","32632"]"
-        const epsgMatch = prjText.match(/EPSG[:\s]*(\d+)/i) || 
-                         prjText.match(/AUTHORITY\["EPSG","(\d+)"\]/i);
-        
-        if (epsgMatch) {
-            const epsgCode = `EPSG:${epsgMatch[1]}`;
+        // Explicit EPSG authority on the root node, e.g. ...,AUTHORITY["EPSG","32632"]]
+        const epsgCode = getEPSGCodeFromWKT(normalizedText);
+        if (epsgCode && isProjectionDefined(epsgCode)) {
             console.log(`Found explicit EPSG code: ${epsgCode}`);
             return epsgCode;
         }
-        
-        // Try to detect common projections from WKT (Well-Known Text)
-        // First, check for the specific pattern we know: "WGS_1984_UTM_Zone_32N"
-        if (prjText.includes('WGS_1984_UTM_Zone_32N') || prjText.includes('WGS 1984 UTM Zone 32N')) {
-            console.log('Detected WGS_1984_UTM_Zone_32N pattern, returning EPSG:32632');
-            return 'EPSG:32632';
-        }
-        
-        // Check for UTM Zone 32 (various formats)
-        const hasUTM = prjText.includes('UTM') || prjText.includes('utm');
-        const hasZone32 = prjText.includes('Zone_32') || prjText.includes('Zone 32') || 
-                          prjText.includes('zone_32') || prjText.includes('zone 32') ||
-                          prjText.includes('ZONE_32') || prjText.includes('ZONE 32') ||
-                          prjText.match(/Zone[_\s]*32/i);
-        
-        if (hasUTM && hasZone32) {
-            console.log('Detected UTM Zone 32 in PRJ file');
-            // Check for WGS84 (various formats) - be more comprehensive
-            const hasWGS = prjText.includes('WGS_1984') || prjText.includes('WGS 1984') || 
-                          prjText.includes('WGS84') || prjText.includes('WGS 84') ||
-                          prjText.includes('GCS_WGS_1984') || prjText.includes('GCS_WGS') ||
-                          prjText.includes('GCS_WGS84') || prjText.includes('GCS WGS') ||
-                          prjText.includes('D_WGS_1984') || prjText.includes('Datum_WGS_1984') ||
-                          prjText.includes('DATUM["D_WGS_1984"') || prjText.includes('DATUM["WGS_1984"') ||
-                          prjText.includes('PROJCS["WGS') || prjText.match(/WGS/i);
-            
-            if (hasWGS) {
-                console.log('Detected WGS84 in PRJ file, returning EPSG:32632');
-                return 'EPSG:32632'; // WGS84 UTM Zone 32N
-            }
-            
-            // Check for Tunisia/Carthage
-            const hasCarthage = prjText.includes('Carthage') || prjText.includes('CARTHAGE') ||
-                               prjText.includes('clrk80') || prjText.includes('CLRK80') ||
-                               prjText.includes('Clarke_1880') || prjText.includes('Clarke 1880') ||
-                               prjText.includes('CLARKE_1880');
-            
-            if (hasCarthage) {
-                console.log('Detected Carthage/Tunisia projection in PRJ file, returning EPSG:22391');
-                return 'EPSG:22391'; // Tunisia UTM Zone 32N
-            }
-        }
-        
-        // Try to detect other UTM zones with WGS84 (more flexible pattern)
-        const utmZoneMatch = prjText.match(/UTM[_\s]*Zone[_\s]*(\d+)/i) || 
-                            prjText.match(/zone[_\s]*(\d+)/i);
-        if (utmZoneMatch && (prjText.includes('WGS') || prjText.includes('GCS_WGS'))) {
-            const zone = parseInt(utmZoneMatch[1]);
-            // Determine if Northern or Southern hemisphere
-            const isNorth = !prjText.includes('South') && !prjText.includes('S') && 
-                           !prjText.includes('south') && !prjText.includes('s');
-            const epsgCode = isNorth ? 32600 + zone : 32700 + zone;
-            console.log(`Detected UTM Zone ${zone}${isNorth ? 'N' : 'S'}, using EPSG:${epsgCode}`);
-            return `EPSG:${epsgCode}`;
+        if (epsgCode) {
+            console.warn(`EPSG code ${epsgCode} is not in the projection registry, using the WKT definition instead`);
         }
         
-        console.log('Could not extract EPSG code from PRJ file');
-        return null;
+        // No usable EPSG code: let proj4 interpret the full WKT1/ESRI WKT
+        const projectionName = registerWKTProjection(`${WKT_PROJECTION_PREFIX}${baseName}`, normalizedText);
+        return projectionName;
     };
 
-    // Helper function to transform coordinates in GeoJSON
-    const transformGeoJSONCoordinates = (geojson, sourceCRS) => {
-        if (!sourceCRS || sourceCRS === 'EPSG:4326') {
-            return geojson; // Already in WGS84
-        }
-
-        // Define the source projection if not already defined
-        if (!proj4.defs(sourceCRS)) {
-            if (sourceCRS === 'EPSG:32632') {
-                proj4.defs('EPSG:32632', '+proj=utm +zone=32 +datum=WGS84 +units=m +no_defs');
-            } else if (sourceCRS === 'EPSG:22391') {
-                proj4.defs('EPSG:22391', '+proj=utm +zone=32 +north +ellps=clrk80ign +units=m +no_defs');
-            } else {
-                console.warn(`Unknown CRS ${sourceCRS}. Attempting transformation anyway.`);
+    // Read the shapefile components, resolve the .prj here and parse/reproject in the worker pool
+    const processShapefile = (shpFile, fileGroup, baseName) => trackUpload(shpFile.name, async (uploadId) => {
+        const [shpBuffer, shxBuffer, dbfBuffer, prjText, cpgText] = await Promise.all([
+            shpFile.arrayBuffer(),
+            fileGroup.shx ? fileGroup.shx.arrayBuffer() : null,
+            fileGroup.dbf ? fileGroup.dbf.arrayBuffer() : null,
+            fileGroup.prj ? fileGroup.prj.text() : null,
+            fileGroup.cpg ? fileGroup.cpg.text() : null
+        ]);
+
+        // Extract CRS from PRJ file
+        let sourceCRS = null;
+        if (prjText) {
+            sourceCRS = resolvePRJProjection(prjText, baseName);
+            if (!sourceCRS) {
+                console.warn('⚠ PRJ file is empty. Attempting to detect from coordinates...');
             }
+        } else {
+            console.warn('⚠ No PRJ file found. Attempting to detect CRS from coordinates...');
         }
 
-        // Transform coordinates recursively
-        const transformCoordinates = (coords) => {
-            if (Array.isArray(coords[0])) {
-                // Nested array (LineString, Polygon, etc.)
-                return coords.map(transformCoordinates);
-            } else if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
-                // Single coordinate pair [x, y] or [lon, lat]
-                try {
-                    const [x, y, ...rest] = coords;
-                    const [lon, lat] = proj4(sourceCRS, 'EPSG:4326', [x, y]);
-                    return [lon, lat, ...rest];
-                } catch (error) {
-                    console.error('Coordinate transformation error:', error, coords);
-                    return coords; // Return original if transformation fails
-                }
-            }
-            return coords;
-        };
-
-        // Transform all features
-        const transformedGeoJSON = {
-            ...geojson,
-            features: geojson.features.map(feature => {
-                if (!feature.geometry || !feature.geometry.coordinates) {
-                    return feature;
-                }
-                
-                try {
-                    return {
-                        ...feature,
-                        geometry: {
-                            ...feature.geometry,
-                            coordinates: transformCoordinates(feature.geometry.coordinates)
-                        }
-                    };
-                } catch (error) {
-                    console.error('Error transforming feature:', error);
-                    return feature;
-                }
-            })
-        };
-
-        return transformedGeoJSON;
-    };
-
-    const processShapefile = async (shpFile, fileGroup, baseName) => {
-        try {
-            // Read the .shp file as ArrayBuffer
-            const shpBuffer = await shpFile.arrayBuffer();
-            
-            // Try to read associated files if available
-            let dbfBuffer = null;
-            let prjBuffer = null;
-            let cpgBuffer = null;
-            
-            console.log(`Reading shapefile components for ${baseName}:`, {
-                hasShp: !!fileGroup.shp,
-                hasShx: !!fileGroup.shx,
-                hasDbf: !!fileGroup.dbf,
-                hasPrj: !!fileGroup.prj,
-                hasCpg: !!fileGroup.cpg
-            });
-            
-            if (fileGroup.dbf) {
-                console.log(`Reading .dbf file: ${fileGroup.dbf.name}`);
-                dbfBuffer = await fileGroup.dbf.arrayBuffer();
-            }
-            if (fileGroup.prj) {
-                console.log(`Reading .prj file: ${fileGroup.prj.name}`);
-                // Read PRJ file with UTF-8 encoding
-                prjBuffer = await new Promise((resolve, reject) => {
-                    const reader = new FileReader();
-                    reader.onload = (e) => resolve(e.target.result);
-                    reader.onerror = reject;
-                    reader.readAsText(fileGroup.prj, 'UTF-8');
-                });
-                console.log(`PRJ file read successfully, length: ${prjBuffer ? prjBuffer.length : 0}`);
-            } else {
-                console.warn(`No .prj file found in fileGroup for ${baseName}. Available files:`, Object.keys(fileGroup));
-            }
-            // Determine DBF encoding from CPG file
-            let dbfEncoding = 'UTF-8'; // Default encoding
-            if (fileGroup.cpg) {
-                console.log(`Reading .cpg file: ${fileGroup.cpg.name}`);
-                // Read CPG file with UTF-8 encoding (CPG file contains code page name like "UTF-8" or "1252")
-                cpgBuffer = await new Promise((resolve, reject) => {
-                    const reader = new FileReader();
-                    reader.onload = (e) => resolve(e.target.result);
-                    reader.onerror = reject;
-                    reader.readAsText(fileGroup.cpg, 'UTF-8');
-                });
-                // Parse CPG content to determine encoding
-                const cpgContent = cpgBuffer.trim().toUpperCase();
-                if (cpgContent === '1252' || cpgContent === 'WINDOWS-1252' || cpgContent === 'CP1252') {
-                    dbfEncoding = 'Windows-1252';
-                } else if (cpgContent === 'UTF-8' || cpgContent === 'UTF8') {
-                    dbfEncoding = 'UTF-8';
-                } else if (cpgContent === 'ISO-8859-1' || cpgContent === 'LATIN1' || cpgContent === '8859-1') {
-                    dbfEncoding = 'ISO-8859-1';
-                } else if (cpgContent) {
-                    // Try to extract encoding number
-                    const encodingMatch = cpgContent.match(/(\d+)/);
-                    if (encodingMatch && encodingMatch[1] === '1252') {
-                        dbfEncoding = 'Windows-1252';
-                    }
-                }
-                console.log(`CPG file content: "${cpgBuffer}" → Detected DBF encoding: ${dbfEncoding}`);
-            } else {
-                console.log('No CPG file found, assuming UTF-8 encoding for DBF');
-            }
-
-            // Extract CRS from PRJ file
-            let sourceCRS = null;
-            if (prjBuffer) {
-                console.log('Shapefile projection (PRJ file content):', prjBuffer);
-                console.log('PRJ file length:', prjBuffer.length);
-                sourceCRS = extractEPSGFromPRJ(prjBuffer);
-                if (sourceCRS) {
-                    console.log(`✓ Detected CRS from PRJ: ${sourceCRS}`);
-                } else {
-                    console.warn('⚠ Could not extract EPSG code from PRJ file. PRJ content:', prjBuffer.substring(0, 200));
-                    console.warn('Attempting to detect from coordinates...');
-                }
-            } else {
-                console.warn('⚠ No PRJ file found. Attempting to detect CRS from coordinates...');
-            }
-
-            // Read .shx file if available (required for shapefile parsing)
-            let shxBuffer = null;
-            if (fileGroup.shx) {
-                shxBuffer = await fileGroup.shx.arrayBuffer();
-            }
-
-            // Use shpjs to parse the shapefile
-            // Note: shpjs may not transform coordinates automatically, so we'll do it manually
-            let geojson;
+        // Without a .cpg the DBF encoding is detected from its text fields (or chosen by the user)
+        let dbfEncoding = cpgText && cpgText.trim() ? cpgText.trim() : null;
+        if (!dbfEncoding && dbfBuffer) {
             try {
-                const shapefileObject = {
-                    shp: shpBuffer
-                };
-                
-                // Include .shx if available (shpjs uses it for indexing)
-                if (shxBuffer) {
-                    shapefileObject.shx = shxBuffer;
-                }
-                
-                if (dbfBuffer) {
-                    shapefileObject.dbf = dbfBuffer;
-                }
-                // Don't pass prj to shpjs if we're going to transform manually
-                // shpjs might transform, but we want consistent control
-                // Pass CPG as string to shpjs (it contains encoding name like "1252" or "UTF-8")
-                if (cpgBuffer) {
-                    shapefileObject.cpg = cpgBuffer.trim();
-                }
-
-                // Use getShapefile with object format
-                geojson = await getShapefile(shapefileObject);
-            } catch (parseError) {
-                console.error('Shapefile parsing error:', parseError);
-                // Fallback: try parsing shp and dbf separately if combine is needed
-                try {
-                    if (dbfBuffer) {
-                        const shpFeatures = await parseShp(shpBuffer, prjBuffer);
-                        // Pass CPG content (encoding name) to parseDbf
-                        const cpgContent = cpgBuffer ? cpgBuffer.trim() : null;
-                        const dbfData = await parseDbf(dbfBuffer, cpgContent);
-                        // Combine features with attributes
-                        geojson = {
-                            type: 'FeatureCollection',
-                            features: shpFeatures.map((feature, index) => ({
-                                ...feature,
-                                properties: {
-                                    ...feature.properties,
-                                    ...(dbfData[index] || {})
-                                }
-                            }))
-                        };
-                    } else {
-                        geojson = await parseShp(shpBuffer, prjBuffer);
-                    }
-                } catch (fallbackError) {
-                    throw new Error(`Failed to parse shapefile: ${parseError.message}`);
-                }
-            }
-
-            // Post-process to ensure UTF-8 characters are preserved in properties
-            // Convert DBF attributes from detected encoding to UTF-8
-            if (geojson && geojson.features) {
-                geojson.features = geojson.features.map(feature => {
-                    if (feature.properties) {
-                        const processedProperties = {};
-                        Object.keys(feature.properties).forEach(key => {
-                            let value = feature.properties[key];
-                            
-                            // Convert string values from DBF encoding to UTF-8
-                            if (typeof value === 'string' && value.length > 0 && dbfEncoding !== 'UTF-8') {
-                                try {
-                                    if (dbfEncoding === 'Windows-1252') {
-                                        // Convert string characters back to bytes (assuming they represent Windows-1252 bytes)
-                                        // Then convert those bytes using our Windows-1252 to UTF-8 converter
-                                        const bytes = new Uint8Array(value.length);
-                                        for (let i = 0; i < value.length; i++) {
-                                            const charCode = value.charCodeAt(i);
-                                            // If character is in Latin-1 range, treat as Windows-1252 byte
-                                            if (charCode < 256) {
-                                                bytes[i] = charCode;
-                                            } else {
-                                                // Character outside Latin-1 range, might be already UTF-8
-                                                // Keep as-is or convert to '?'
-                                                bytes[i] = 0x3F; // '?'
-                                            }
-                                        }
-                                        // Convert Windows-1252 bytes to UTF-8 string
-                                        value = convertWindows1252ToUTF8(bytes);
-                                    } else if (dbfEncoding === 'ISO-8859-1') {
-                                        // ISO-8859-1 is similar to Windows-1252 for most characters
-                                        const decoder = new TextDecoder('iso-8859-1', { fatal: false });
-                                        const bytes = new Uint8Array(value.length);
-                                        for (let i = 0; i < value.length; i++) {
-                                            const charCode = value.charCodeAt(i);
-                                            bytes[i] = charCode < 256 ? charCode : 0x3F;
-                                        }
-                                        value = decoder.decode(bytes);
-                                    }
-                                } catch (error) {
-                                    console.warn(`Failed to convert encoding for property "${key}":`, error);
-                                    // Keep original value if conversion fails
-                                }
-                            }
-                            
-                            // Apply preserveUTF8 to ensure proper encoding
-                            processedProperties[key] = preserveUTF8(value);
-                        });
-                        return {
-                            ...feature,
-                            properties: processedProperties
-                        };
-                    }
-                    return feature;
-                });
-            }
-
-            // Ensure geojson has the correct structure
-            if (!geojson || !geojson.type) {
-                // If geojson is an array of features, wrap it
-                if (Array.isArray(geojson)) {
-                    geojson = {
-                        type: 'FeatureCollection',
-                        features: geojson
-                    };
-                } else if (geojson.type === 'Feature') {
-                    geojson = {
-                        type: 'FeatureCollection',
-                        features: [geojson]
-                    };
-                }
-            }
-
-            // Detect CRS from coordinates if not found in PRJ
-            if (!sourceCRS && geojson.features && geojson.features.length > 0) {
-                const firstFeature = geojson.features[0];
-                if (firstFeature.geometry && firstFeature.geometry.coordinates) {
-                    const coords = firstFeature.geometry.coordinates;
-                    // Check if coordinates look like UTM (large numbers, typically > 100000)
-                    const firstCoord = Array.isArray(coords[0]) ? coords[0][0] : coords[0];
-                    if (typeof firstCoord === 'number' && Math.abs(firstCoord) > 100000) {
-                        // Likely UTM coordinates
-                        // Check Y coordinate to determine hemisphere
-                        const secondCoord = Array.isArray(coords[0]) ? coords[0][1] : coords[1];
-                        if (typeof secondCoord === 'number' && secondCoord > 0 && secondCoord < 10000000) {
-                            // Northern hemisphere UTM
-                            // Try to detect zone from X coordinate (UTM zones are 6 degrees wide)
-                            // Zone 32 covers 6°E to 12°E, which corresponds to roughly 500000-900000m easting
-                            const xCoord = Math.abs(firstCoord);
-                            if (xCoord >= 300000 && xCoord <= 900000) {
-                                // Likely Zone 32 - default to WGS84 (EPSG:32632) as it's more common
-                                console.warn('Detected UTM Zone 32N coordinates but no PRJ file. Assuming EPSG:32632 (WGS84 UTM Zone 32N).');
-                                sourceCRS = 'EPSG:32632';
-                            } else {
-                                // Default to Tunisia projection for other zones
-                                console.warn('Detected UTM coordinates but no PRJ file. Assuming EPSG:22391 (Tunisia UTM Zone 32N).');
-                                sourceCRS = 'EPSG:22391';
-                            }
-                        }
-                    }
-                }
+                dbfEncoding = await chooseTextEncoding(uploadId, fileGroup.dbf.name, getDBFTextSample(dbfBuffer));
+            } catch (error) {
+                if (error.cancelled) throw error;
+                console.warn(`Could not sample DBF text of ${baseName}:`, error);
             }
+        }
 
-            // Transform coordinates if needed
-            if (sourceCRS && sourceCRS !== 'EPSG:4326') {
-                console.log(`Transforming shapefile coordinates from ${sourceCRS} to EPSG:4326`);
-                geojson = transformGeoJSONCoordinates(geojson, sourceCRS);
-                console.log('Coordinate transformation completed');
-            } else if (!sourceCRS) {
-                console.log('No CRS detected. Assuming coordinates are already in WGS84 (EPSG:4326).');
-            }
+        const buffers = [shpBuffer, shxBuffer, dbfBuffer].filter(Boolean);
+        const { geojson, sourceCRS: layerCRS } = await runParseTask(uploadId, 'shapefile', {
+            shp: shpBuffer,
+            shx: shxBuffer,
+            dbf: dbfBuffer,
+            cpgText: dbfEncoding,
+            prjText,
+            sourceCRS
+        }, buffers);
 
-            console.log('Parsed Shapefile:', geojson);
-            // Add layer directly (coordinates are already transformed)
-            addLayer(baseName, 'geojson', geojson, baseName);
-        } catch (error) {
-            console.error('Error parsing shapefile:', error);
-            alert(`Error parsing shapefile ${baseName}: ${error.message}\n\nNote: Shapefiles work best with .shp, .shx, and .dbf files. Please select all related files when uploading.`);
-        }
-    };
+        // Add layer directly (coordinates are already transformed)
+        addLayer(baseName, 'geojson', geojson, baseName, { sourceCRS: layerCRS });
+    }, (error) => `Error parsing shapefile ${baseName}: ${error.message}\n\nNote: Shapefiles work best with .shp, .shx, and .dbf files. Please select all related files when uploading.`);
 
     // Helper function to escape HTML to prevent XSS (preserves UTF-8)
     const escapeHtml = (text) => {
@@ -1491,8 +980,118 @@ function App() {
         return newColor;
     };
 
-    const addLayer = (name, type, data, category) => {
+    // Per-layer lookups shared by the features of a layer: attribute colors, proportional sizes and style rules
+    const getLayerStyling = (layer) => ({
+        colorMap: layer.colorByAttribute ? generateAttributeColorMap(layer, layer.colorByAttribute) : null,
+        radiusScale: layer.sizeByAttribute ? createRadiusScale(layer.data.features, layer.sizeByAttribute) : null,
+        matchRule: compileStyleRules(layer.styleRules),
+        kmlIcons: showsKMLIcons(layer)
+    });
+
+    // Symbol of a feature: the layer style with the symbol of its first matching rule (or the else symbol) on top.
+    // Fill: rule fill color, then attribute color, then the style fill, then the feature's KML fill, then the layer color
+    const getFeatureSymbol = (layer, feature, styling) => {
+        const properties = feature.properties || {};
+        const ruleSymbol = styling.matchRule ? styling.matchRule(properties) : null;
+        const style = { ...resolveLayerStyle(layer), ...(ruleSymbol || {}) };
+        const { colorMap, radiusScale } = styling;
+
+        let fillColor = layer.color;
+        if (style.fillColor) {
+            fillColor = style.fillColor;
+        } else if (properties.fill) {
+            // A fill that is not a color (e.g. markup in a crafted KML) keeps the layer color
+            const kmlFill = convertKMLColorToHex(properties.fill) || properties.fill;
+            if (isValidColor(kmlFill)) {
+                fillColor = kmlFill;
+            }
+        }
+        if (layer.colorByAttribute && colorMap && !(ruleSymbol && ruleSymbol.fillColor)) {
+            const attrValue = properties[layer.colorByAttribute];
+            if (attrValue !== undefined && attrValue !== null) {
+                fillColor = colorMap[attrValue.toString().trim().toLowerCase()] || layer.color;
+            }
+        }
+
+        let fillOpacity = style.fillOpacity;
+        if (fillOpacity === null) {
+            const kmlOpacity = normalizeOpacity(properties['fill-opacity']);
+            fillOpacity = kmlOpacity !== null ? kmlOpacity : DEFAULT_FILL_OPACITY;
+        }
+
+        return {
+            style,
+            pathOptions: getPathOptions(style, fillColor, fillOpacity),
+            // Proportional sizes replace the fixed marker size
+            radius: radiusScale ? radiusScale.getFeatureRadius(feature) : style.markerSize,
+            iconUrl: styling.kmlIcons && typeof properties.icon === 'string' ? properties.icon : null
+        };
+    };
+
+    // Point markers drawn as a shape, an icon or the image of their KML IconStyle
+    const createMarkerIcon = (symbol) => {
+        if (symbol.iconUrl) {
+            // KML icon images are drawn at twice the marker diameter, like the pins of Google Earth
+            const imageSize = symbol.radius * 4;
+            return L.icon({
+                iconUrl: symbol.iconUrl,
+                iconSize: [imageSize, imageSize],
+                iconAnchor: [imageSize / 2, imageSize / 2]
+            });
+        }
+        const { html, size } = getMarkerIconHtml(symbol.style, symbol.pathOptions, symbol.radius);
+        return L.divIcon({
+            className: 'layer-marker-icon',
+            html,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2]
+        });
+    };
+
+    // Build the Leaflet layer of a layer object and register it in layerGroupsRef (added to the map only if visible)
+    const createLeafletLayer = (layer) => {
+        const styling = getLayerStyling(layer);
+        const markerIcons = layerUsesMarkerIcons(layer);
+        const geoLayer = L.geoJSON(layer.data, {
+            style: (feature) => getFeatureSymbol(layer, feature, styling).pathOptions,
+            pointToLayer: (feature, latlng) => {
+                const symbol = getFeatureSymbol(layer, feature, styling);
+                if (markerIcons || symbol.iconUrl) {
+                    return L.marker(latlng, { icon: createMarkerIcon(symbol) });
+                }
+                return L.circleMarker(latlng, { ...symbol.pathOptions, radius: symbol.radius });
+            },
+            onEachFeature: (feature, layer) => {
+                if (feature.properties) {
+                    const popupContent = createPopupContent(feature.properties);
+                    layer.bindPopup(popupContent, {
+                        className: 'custom-popup',
+                        maxWidth: 400,
+                        maxHeight: 500
+                    });
+                }
+            }
+        });
+
+        if (layer.visible) {
+            geoLayer.addTo(map);
+        }
+
+        layerGroupsRef.current[layer.id] = geoLayer;
+
+        // Store reference to update style when colorByAttribute changes
+        geoLayer._layerId = layer.id;
+        // Points switching between circle markers and icon markers need a new Leaflet layer
+        geoLayer._usesMarkerIcons = markerIcons;
+        geoLayer._showsKMLIcons = styling.kmlIcons;
+
+        return geoLayer;
+    };
+
+    // options.sourceCRS: CRS the data was imported from (coordinates in data are always WGS84)
+    const addLayer = (name, type, data, category, options = {}) => {
         const id = Date.now() + Math.random();
+        recordHistory(`Add layer ${name}`);
         
         // Get existing layer colors
         const existingColors = layers.map(l => l.color);
@@ -1509,21 +1108,19 @@ function App() {
             color: layerColor,
             category,
             colorByAttribute: null, // Attribute name to color by, or null for single color
-            customColorMap: {} // Custom colors for attribute values: { normalizedValue: color }
+            customColorMap: {}, // Custom colors for attribute values: { normalizedValue: color }
+            classification: null, // Graduated colors for a numeric colorByAttribute: { method, classCount, ramp }, or null for unique values
+            sizeByAttribute: null, // Proportional point symbols: { attribute, scaling, minRadius, maxRadius }, or null for fixed-size markers
+            style: null, // Stroke, fill, dash and marker settings (see DEFAULT_LAYER_STYLE), or null for the defaults
+            styleRules: null, // Rule-based symbols: { rules: [{ id, filter, symbol }], elseSymbol }, or null without rules
+            sourceCRS: options.sourceCRS || 'EPSG:4326'
         };
         
         // Update selected color to match the new layer's color
         setSelectedColor(layerColor);
 
         // Add category if it doesn't exist
-        if (!categories[category]) {
-            setCategories(prevCategories => ({
-                ...prevCategories,
-                [category]: {
-                    expanded: true
-                }
-            }));
-        }
+        setCategories(prevCategories => addCategoryToList(prevCategories, category));
 
         setLayers(prevLayers => {
             const updatedLayers = [...prevLayers, newLayer];
@@ -1538,98 +1135,12 @@ function App() {
         });
 
         if (type === 'geojson' && map) {
-            // Store layer ID for later style updates
-            const layerId = id;
-            
-            const geoLayer = L.geoJSON(data, {
-                style: (feature) => {
-                    // Use default color initially - will be updated by updateLayerStyles if colorByAttribute is set
-                    let fillColor = layerColor;
-                    let fillOpacity = 0.3;
-                    
-                    if (feature.properties) {
-                        // Extract fill color from properties
-                        if (feature.properties.fill) {
-                            const convertedColor = convertKMLColorToHex(feature.properties.fill);
-                            if (convertedColor) {
-                                fillColor = convertedColor;
-                            } else {
-                                fillColor = feature.properties.fill;
-                            }
-                        }
-                        
-                        // Extract fill-opacity from properties
-                        if (feature.properties['fill-opacity'] !== undefined && feature.properties['fill-opacity'] !== null && feature.properties['fill-opacity'] !== '') {
-                            const normalizedOpacity = normalizeOpacity(feature.properties['fill-opacity']);
-                            if (normalizedOpacity !== null) {
-                                fillOpacity = normalizedOpacity;
-                            }
-                        }
-                    }
-                    
-                    return {
-                        color: fillColor,
-                        fillColor: fillColor,
-                        weight: 2,
-                        fillOpacity: fillOpacity,
-                        opacity: 1
-                    };
-                },
-                pointToLayer: (feature, latlng) => {
-                    // Check if feature has fill color in metadata
-                    let fillColor = layerColor;
-                    let fillOpacity = 0.6;
-                    
-                    if (feature.properties) {
-                        // Extract fill color from properties
-                        if (feature.properties.fill) {
-                            const convertedColor = convertKMLColorToHex(feature.properties.fill);
-                            if (convertedColor) {
-                                fillColor = convertedColor;
-                            } else {
-                                fillColor = feature.properties.fill;
-                            }
-                        }
-                        
-                        // Extract fill-opacity from properties
-                        if (feature.properties['fill-opacity'] !== undefined && feature.properties['fill-opacity'] !== null && feature.properties['fill-opacity'] !== '') {
-                            const normalizedOpacity = normalizeOpacity(feature.properties['fill-opacity']);
-                            if (normalizedOpacity !== null) {
-                                fillOpacity = normalizedOpacity;
-                            }
-                        }
-                    }
-                    
-                    return L.circleMarker(latlng, {
-                        radius: 6,
-                        fillColor: fillColor,
-                        color: fillColor,
-                        weight: 2,
-                        opacity: 1,
-                        fillOpacity: fillOpacity
-                    });
-                },
-                onEachFeature: (feature, layer) => {
-                    if (feature.properties) {
-                        const popupContent = createPopupContent(feature.properties);
-                        layer.bindPopup(popupContent, {
-                            className: 'custom-popup',
-                            maxWidth: 400,
-                            maxHeight: 500
-                        });
-                    }
-                }
-            }).addTo(map);
+            const geoLayer = createLeafletLayer(newLayer);
             
             if (data.features && data.features.length > 0) {
                 map.fitBounds(geoLayer.getBounds());
             }
             
-            layerGroupsRef.current[id] = geoLayer;
-            
-            // Store reference to update style when colorByAttribute changes
-            geoLayer._layerId = id;
-            
             // Update z-index after adding layer to ensure correct rendering order
             setTimeout(() => {
                 setLayers(currentLayers => {
@@ -1640,35 +1151,35 @@ function App() {
         }
     };
 
-    // Function to update layer styles when colorByAttribute changes
+    // Apply the layer style, style rules (evaluated in order), attribute colors and proportional sizes to the features on the map
     const updateLayerStyles = (layer) => {
         if (!map || !layerGroupsRef.current[layer.id]) return;
         
         const leafletLayer = layerGroupsRef.current[layer.id];
-        const colorMap = layer.colorByAttribute ? generateAttributeColorMap(layer, layer.colorByAttribute) : null;
+        if (leafletLayer._usesMarkerIcons !== undefined && (leafletLayer._usesMarkerIcons !== layerUsesMarkerIcons(layer)
+            || leafletLayer._showsKMLIcons !== showsKMLIcons(layer))) {
+            map.removeLayer(leafletLayer);
+            createLeafletLayer(layer);
+            return;
+        }
+
+        const styling = getLayerStyling(layer);
         
         if (leafletLayer.eachLayer) {
             leafletLayer.eachLayer((featureLayer) => {
-                if (featureLayer.feature && featureLayer.feature.properties) {
-                    let fillColor = layer.color;
-                    
-                    if (layer.colorByAttribute && colorMap) {
-                        const attrValue = featureLayer.feature.properties[layer.colorByAttribute];
-                        if (attrValue !== undefined && attrValue !== null) {
-                            const normalized = attrValue.toString().trim().toLowerCase();
-                            fillColor = colorMap[normalized] || layer.color;
-                        }
-                    }
-                    
-                    if (featureLayer.setStyle) {
-                        featureLayer.setStyle({
-                            color: fillColor,
-                            fillColor: fillColor,
-                            weight: 2,
-                            fillOpacity: 0.3,
-                            opacity: 1
-                        });
-                    }
+                if (!featureLayer.feature) return;
+
+                const symbol = getFeatureSymbol(layer, featureLayer.feature, styling);
+                if (featureLayer.setIcon) {
+                    featureLayer.setIcon(createMarkerIcon(symbol));
+                    return;
+                }
+                if (featureLayer.setStyle) {
+                    featureLayer.setStyle(symbol.pathOptions);
+                }
+                // Circle markers: proportional to sizeByAttribute, or the marker size of the style
+                if (featureLayer.setRadius) {
+                    featureLayer.setRadius(symbol.radius);
                 }
             });
         }
@@ -1729,7 +1240,7 @@ function App() {
             
             // Create new highlight layer with yellow outer ring and original color inside
             if (highlightedFeatures.length > 0) {
-                const originalColor = pointLayer.color || '#3b82f6';
+                const styling = getLayerStyling(pointLayer);
                 
                 const highlightLayer = L.geoJSON({
                     type: 'FeatureCollection',
@@ -1737,8 +1248,12 @@ function App() {
                 }, {
                     pointToLayer: (feature, latlng) => {
                         // Create a custom div icon with yellow outer circle and original color inner circle
-                        const outerRadius = 10;
-                        const innerRadius = 6;
+                        // The inner circle matches the marker's color and (possibly proportional) radius
+                        const symbol = getFeatureSymbol(pointLayer, feature, styling);
+                        // Only a valid color goes into the icon markup
+                        const originalColor = isValidColor(symbol.pathOptions.fillColor) ? symbol.pathOptions.fillColor : '#3b82f6';
+                        const innerRadius = symbol.radius;
+                        const outerRadius = innerRadius + 4;
                         
                         const icon = L.divIcon({
                             className: 'highlighted-point-marker',
@@ -1790,46 +1305,37 @@ function App() {
     const updateLayerZIndex = (layersList, categoriesList) => {
         if (!map) return;
         
-        const categoryOrder = Object.keys(categoriesList);
+        const zIndexes = getLayerZIndexes(layersList, categoriesList);
         
-        categoryOrder.forEach((catName, catIdx) => {
-            const layersInCategory = layersList.filter(l => l.category === catName);
-            
-            layersInCategory.forEach((layer, layerIdx) => {
-                const leafletLayer = layerGroupsRef.current[layer.id];
-                if (leafletLayer) {
-                    // Category index * 1000 gives major separation between categories
-                    // Layer index within category gives minor separation
-                    // This ensures categories render in order, with layers within categories also ordered
-                    const zIndex = 1000 + (catIdx * 1000) + layerIdx;
-                    leafletLayer.setZIndex(zIndex);
-                }
-            });
+        Object.entries(zIndexes).forEach(([layerId, zIndex]) => {
+            const leafletLayer = layerGroupsRef.current[layerId];
+            if (leafletLayer) {
+                leafletLayer.setZIndex(zIndex);
+            }
         });
     };
 
-    const moveCategory = (categoryName, direction) => {
+    const moveCategory = (categoryName, direction) => {
+        const currentIndex = categories.findIndex(category => category.name === categoryName);
+        const canMove = direction === 'up' ? currentIndex > 0 : currentIndex !== -1 && currentIndex < categories.length - 1;
+        if (canMove) {
+            recordHistory(`Move category ${categoryName} ${direction}`);
+        }
+
         setCategories(prevCategories => {
-            const categoryEntries = Object.entries(prevCategories);
-            const index = categoryEntries.findIndex(([name]) => name === categoryName);
+            const index = prevCategories.findIndex(category => category.name === categoryName);
             
             if (index === -1) return prevCategories;
             
             const targetIndex = direction === 'up' ? index - 1 : index + 1;
             
-            if (targetIndex < 0 || targetIndex >= categoryEntries.length) {
+            if (targetIndex < 0 || targetIndex >= prevCategories.length) {
                 return prevCategories; // Can't move further
             }
             
             // Swap categories
-            const newEntries = [...categoryEntries];
-            [newEntries[index], newEntries[targetIndex]] = [newEntries[targetIndex], newEntries[index]];
-            
-            // Rebuild categories object with new order
-            const newCategories = {};
-            newEntries.forEach(([name, data]) => {
-                newCategories[name] = data;
-            });
+            const newCategories = [...prevCategories];
+            [newCategories[index], newCategories[targetIndex]] = [newCategories[targetIndex], newCategories[index]];
             
             // Update z-index for all layers based on new category order
             setLayers(prevLayers => {
@@ -1841,17 +1347,95 @@ function App() {
         });
     };
 
+    // Drag-and-drop: move a layer to a position (index among the category's displayed layers) in any category
+    const moveLayer = (layerId, targetCategory, targetIndex) => {
+        const movedLayer = layers.find(layer => layer.id === layerId);
+        const updatedLayers = moveLayerInList(layers, layerId, targetCategory, targetIndex);
+        const targetCategoryData = findCategory(categories, targetCategory);
+        if (!movedLayer || updatedLayers === layers || !targetCategoryData) return;
+
+        recordHistory(movedLayer.category === targetCategory
+            ? `Reorder layer ${movedLayer.name} in ${targetCategory}`
+            : `Move layer ${movedLayer.name} to ${targetCategory}`);
+        setLayers(updatedLayers);
+        if (!targetCategoryData.expanded) {
+            setCategories(prevCategories => prevCategories.map(category => (
+                category.name === targetCategory ? { ...category, expanded: true } : category
+            )));
+        }
+
+        setTimeout(() => {
+            updateLayerZIndex(updatedLayers, categories);
+        }, 50);
+    };
+
+    // Drag-and-drop: move a category to a position in the category order
+    const moveCategoryTo = (categoryName, targetIndex) => {
+        const newCategories = moveCategoryInList(categories, categoryName, targetIndex);
+        if (newCategories === categories) return;
+
+        recordHistory(`Move category ${categoryName} to position ${newCategories.findIndex(category => category.name === categoryName) + 1}`);
+        setCategories(newCategories);
+
+        setTimeout(() => {
+            updateLayerZIndex(layers, newCategories);
+        }, 50);
+    };
+
+    // Returns an error message for invalid or duplicate names, null on success
+    const validateCategoryName = (name) => {
+        if (!name) {
+            return 'Enter a category name';
+        }
+        if (findCategory(categories, name)) {
+            return `Category "${name}" already exists`;
+        }
+        return null;
+    };
+
+    // Add an empty category at the end (drawn on top); layers are dragged into it
+    const createCategory = (name) => {
+        const categoryName = name.trim();
+        const error = validateCategoryName(categoryName);
+        if (error) return error;
+
+        recordHistory(`Create category ${categoryName}`);
+        setCategories(prevCategories => addCategoryToList(prevCategories, categoryName));
+        return null;
+    };
+
+    const renameCategory = (oldName, newName) => {
+        const categoryName = newName.trim();
+        if (categoryName === oldName) return null;
+        const error = validateCategoryName(categoryName);
+        if (error) return error;
+
+        recordHistory(`Rename category ${oldName} to ${categoryName}`);
+        setCategories(prevCategories => renameCategoryInList(prevCategories, oldName, categoryName));
+        setLayers(prevLayers => prevLayers.map(layer => layer.category === oldName ? { ...layer, category: categoryName } : layer));
+        return null;
+    };
+
+    // Only empty categories can be deleted; layers are deleted one by one
+    const deleteCategory = (name) => {
+        if (layers.some(layer => layer.category === name)) return;
+
+        recordHistory(`Delete category ${name}`);
+        setCategories(prevCategories => prevCategories.filter(category => category.name !== name));
+    };
+
     const toggleCategory = (name) => {
-        setCategories(prevCategories => ({
-            ...prevCategories,
-            [name]: {
-                ...prevCategories[name],
-                expanded: !prevCategories[name].expanded
-            }
-        }));
+        setCategories(prevCategories => prevCategories.map(category => (
+            category.name === name ? { ...category, expanded: !category.expanded } : category
+        )));
     };
 
     const toggleLayerVisibility = (id) => {
+        const toggledLayer = layers.find(layer => layer.id === id);
+        if (toggledLayer) {
+            recordHistory(`${toggledLayer.visible ? 'Hide' : 'Show'} layer ${toggledLayer.name}`);
+        }
+
         setLayers(prevLayers => {
             const updatedLayers = prevLayers.map(layer => {
                 if (layer.id === id) {
@@ -1880,31 +1464,22 @@ function App() {
     };
 
     const changeLayerColor = (layerId, newColor) => {
+        const recoloredLayer = layers.find(layer => layer.id === layerId);
+        if (recoloredLayer && recoloredLayer.color !== newColor) {
+            recordHistory(`Change color of ${recoloredLayer.name} to ${newColor}`);
+        }
+
         setLayers(prevLayers => {
             const updatedLayers = prevLayers.map(layer => {
                 if (layer.id === layerId) {
-                    const leafletLayer = layerGroupsRef.current[layerId];
-                    
-                    if (map && leafletLayer) {
-                        // Update the style of the Leaflet layer
-                        if (typeof leafletLayer.setStyle === 'function') {
-                            leafletLayer.setStyle({
-                                color: newColor,
-                                fillColor: newColor
-                            });
-                        } else if (typeof leafletLayer.eachLayer === 'function') {
-                            leafletLayer.eachLayer((subLayer) => {
-                                if (typeof subLayer.setStyle === 'function') {
-                                    subLayer.setStyle({
-                                        color: newColor,
-                                        fillColor: newColor
-                                    });
-                                }
-                            });
-                        }
-                    }
-                    
-                    return { ...layer, color: newColor };
+                    const updatedLayer = { ...layer, color: newColor };
+
+                    // Restyled through the layer style, whose own colors keep precedence
+                    setTimeout(() => {
+                        updateLayerStyles(updatedLayer);
+                    }, 50);
+
+                    return updatedLayer;
                 }
                 return layer;
             });
@@ -1978,6 +1553,21 @@ function App() {
         if (!layer || !layer.data || !layer.data.features || !attributeName) {
             return {};
         }
+
+        // Graduated: every value takes the color of its numeric class (non-numeric values keep the layer color)
+        if (layer.classification) {
+            const { breaks, classes } = classifyFeatures(layer.data.features, attributeName, layer.classification);
+            const classColorMap = {};
+            if (classes.length > 0) {
+                getAttributeValues(layer, attributeName).forEach(valueObj => {
+                    const number = parseAttributeNumber(valueObj.original);
+                    if (number !== null) {
+                        classColorMap[valueObj.normalized] = classes[getClassIndex(number, breaks)].color;
+                    }
+                });
+            }
+            return classColorMap;
+        }
         
         const values = getAttributeValues(layer, attributeName);
         const colorMap = {};
@@ -2000,8 +1590,24 @@ function App() {
         return colorMap;
     };
 
+    // Numeric attributes with more values than the palette start graduated; others keep the current mode when possible
+    const getDefaultClassification = (layer, attributeName) => {
+        if (!attributeName || !isNumericAttribute(layer.data.features, attributeName)) {
+            return null;
+        }
+        if (layer.classification) {
+            return layer.classification;
+        }
+        return getAttributeValues(layer, attributeName).length > MAX_UNIQUE_VALUE_COLORS ? DEFAULT_CLASSIFICATION : null;
+    };
+
     // Set color-by-attribute for a layer
     const setColorByAttribute = (layerId, attributeName) => {
+        const styledLayer = layers.find(layer => layer.id === layerId);
+        if (styledLayer) {
+            recordHistory(attributeName ? `Color ${styledLayer.name} by ${attributeName}` : `Single color for ${styledLayer.name}`);
+        }
+
         setLayers(prevLayers => {
             const updatedLayers = prevLayers.map(layer => {
                 if (layer.id === layerId) {
@@ -2009,7 +1615,8 @@ function App() {
                         ...layer, 
                         colorByAttribute: attributeName || null,
                         // Reset custom color map when changing attribute
-                        customColorMap: attributeName ? (layer.customColorMap || {}) : {}
+                        customColorMap: attributeName ? (layer.customColorMap || {}) : {},
+                        classification: getDefaultClassification(layer, attributeName)
                     };
                     
                     // Update layer styles
@@ -2026,8 +1633,160 @@ function App() {
         });
     };
 
+    // Switch a numeric color-by-attribute between unique values (null) and graduated classes ({ method, classCount, ramp })
+    const setAttributeClassification = (layerId, classification) => {
+        const styledLayer = layers.find(layer => layer.id === layerId);
+        if (styledLayer) {
+            // Dragging the class count slider changes the same setting many times: one history step
+            const changedSettings = classification && styledLayer.classification
+                ? Object.keys(classification).filter(key => classification[key] !== styledLayer.classification[key])
+                : null;
+            if (!isRepeatedEdit(changedSettings ? `classification:${layerId}:${changedSettings.join(',')}` : null)) {
+                recordHistory(classification
+                    ? `Graduated colors for ${styledLayer.name} (${classification.classCount} classes, ${classification.method})`
+                    : `Unique value colors for ${styledLayer.name}`);
+            }
+        }
+
+        setLayers(prevLayers => prevLayers.map(layer => {
+            if (layer.id === layerId) {
+                const updatedLayer = { ...layer, classification };
+
+                setTimeout(() => {
+                    updateLayerStyles(updatedLayer);
+                }, 50);
+
+                return updatedLayer;
+            }
+            return layer;
+        }));
+    };
+
+    // Size the circle markers of a point layer from a numeric attribute ({ attribute, scaling, minRadius, maxRadius }), or null for fixed size
+    const setPointSizing = (layerId, sizeByAttribute) => {
+        const sizedLayer = layers.find(layer => layer.id === layerId);
+        if (sizedLayer) {
+            recordHistory(sizeByAttribute
+                ? `Size ${sizedLayer.name} by ${sizeByAttribute.attribute} (${sizeByAttribute.scaling}, ${sizeByAttribute.minRadius}-${sizeByAttribute.maxRadius}px)`
+                : `Fixed size markers for ${sizedLayer.name}`);
+        }
+
+        setLayers(prevLayers => {
+            const updatedLayers = prevLayers.map(layer => {
+                if (layer.id === layerId) {
+                    const updatedLayer = { ...layer, sizeByAttribute };
+
+                    setTimeout(() => {
+                        updateLayerStyles(updatedLayer);
+                    }, 50);
+
+                    return updatedLayer;
+                }
+                return layer;
+            });
+
+            // Highlight rings are rebuilt around the resized markers
+            setTimeout(() => {
+                checkSpatialQuery(updatedLayers);
+            }, 50);
+
+            return updatedLayers;
+        });
+    };
+
+    // Dragging a slider or color picker fires many changes; edits with the same key in a row make a single history step.
+    // A null key (e.g. a reset) always makes its own step
+    const isRepeatedEdit = (editKey) => {
+        const now = Date.now();
+        const repeated = editKey !== null && lastStyleEditRef.current.key === editKey && now - lastStyleEditRef.current.time <= STYLE_EDIT_MERGE_DELAY;
+        lastStyleEditRef.current = { key: editKey, time: now };
+        return repeated;
+    };
+
+    // Edit the style of a layer (changed settings only), or reset it to the defaults with null
+    const setLayerStyle = (layerId, styleChanges) => {
+        const styledLayer = layers.find(layer => layer.id === layerId);
+        if (styledLayer) {
+            const changedProperties = styleChanges ? Object.keys(styleChanges) : [];
+            if (!isRepeatedEdit(styleChanges ? `style:${layerId}:${changedProperties.join(',')}` : null)) {
+                recordHistory(styleChanges
+                    ? `Change ${changedProperties.map(property => STYLE_PROPERTY_LABELS[property] || property).join(', ')} of ${styledLayer.name}`
+                    : `Reset style of ${styledLayer.name}`);
+            }
+        }
+
+        setLayers(prevLayers => {
+            const updatedLayers = prevLayers.map(layer => {
+                if (layer.id === layerId) {
+                    const updatedLayer = {
+                        ...layer,
+                        style: styleChanges ? sanitizeLayerStyle({ ...resolveLayerStyle(layer), ...styleChanges }) : null
+                    };
+
+                    setTimeout(() => {
+                        updateLayerStyles(updatedLayer);
+                    }, 50);
+
+                    return updatedLayer;
+                }
+                return layer;
+            });
+
+            // Marker layers may be rebuilt: restore the drawing order and the highlight rings
+            setTimeout(() => {
+                updateLayerZIndex(updatedLayers, categories);
+                checkSpatialQuery(updatedLayers);
+            }, 50);
+
+            return updatedLayers;
+        });
+    };
+
+    // Replace the style rules of a layer ({ rules, elseSymbol }), or remove them with null
+    const setStyleRules = (layerId, styleRules) => {
+        const styledLayer = layers.find(layer => layer.id === layerId);
+        if (styledLayer) {
+            recordHistory(styleRules
+                ? `Style ${styledLayer.name} by ${styleRules.rules.length} rule${styleRules.rules.length === 1 ? '' : 's'}`
+                : `Remove style rules of ${styledLayer.name}`);
+        }
+
+        const sanitizedRules = styleRules && {
+            rules: styleRules.rules.map(rule => ({ ...rule, filter: rule.filter.trim(), symbol: sanitizeLayerStyle(rule.symbol) })),
+            elseSymbol: sanitizeLayerStyle(styleRules.elseSymbol || {})
+        };
+
+        setLayers(prevLayers => {
+            const updatedLayers = prevLayers.map(layer => {
+                if (layer.id === layerId) {
+                    const updatedLayer = { ...layer, styleRules: sanitizedRules };
+
+                    setTimeout(() => {
+                        updateLayerStyles(updatedLayer);
+                    }, 50);
+
+                    return updatedLayer;
+                }
+                return layer;
+            });
+
+            // Marker layers may be rebuilt: restore the drawing order and the highlight rings
+            setTimeout(() => {
+                updateLayerZIndex(updatedLayers, categories);
+                checkSpatialQuery(updatedLayers);
+            }, 50);
+
+            return updatedLayers;
+        });
+    };
+
     // Update color for a specific attribute value
     const updateAttributeValueColor = (layerId, normalizedValue, newColor) => {
+        const styledLayer = layers.find(layer => layer.id === layerId);
+        if (styledLayer && !isRepeatedEdit(`valueColor:${layerId}:${normalizedValue}`)) {
+            recordHistory(`Change color of "${normalizedValue}" in ${styledLayer.name}`);
+        }
+
         setLayers(prevLayers => {
             const updatedLayers = prevLayers.map(layer => {
                 if (layer.id === layerId) {
@@ -2053,7 +1812,8 @@ function App() {
         });
     };
 
-    const deleteLayer = (id) => {
+    // Remove a layer and its highlight ring layer from the map
+    const removeLeafletLayer = (id) => {
         const leafletLayer = layerGroupsRef.current[id];
         if (map && leafletLayer) {
             map.removeLayer(leafletLayer);
@@ -2065,6 +1825,15 @@ function App() {
             map.removeLayer(highlightLayersRef.current[id]);
             delete highlightLayersRef.current[id];
         }
+    };
+
+    const deleteLayer = (id) => {
+        const layerToDelete = layers.find(layer => layer.id === id);
+        if (layerToDelete) {
+            recordHistory(`Delete layer ${layerToDelete.name}`);
+        }
+
+        removeLeafletLayer(id);
         
         setLayers(prevLayers => {
             const updatedLayers = prevLayers.filter(layer => layer.id !== id);
@@ -2086,11 +1855,7 @@ function App() {
                 
                 // Remove category if no more layers in it
                 if (!categoryHasOtherLayers) {
-                    setCategories(prevCategories => {
-                        const newCategories = { ...prevCategories };
-                        delete newCategories[deletedLayer.category];
-                        return newCategories;
-                    });
+                    setCategories(prevCategories => prevCategories.filter(category => category.name !== deletedLayer.category));
                 }
             }
             
@@ -2102,11 +1867,291 @@ function App() {
         setSelectedLayer(layer);
     };
 
-    const runBufferAnalysis = () => {
-        const type = document.getElementById('bufferType').value;
-        const radius = document.getElementById('bufferRadius').value;
-        console.log('Running buffer analysis:', type, radius);
-        setShowBufferDialog(false);
+    // Bring layers and categories back to a history snapshot, rebuilding only the Leaflet layers that differ
+    const applyHistorySnapshot = (snapshot) => {
+        const currentLayers = historyBaselineRef.current.layers;
+        const targetIds = new Set(snapshot.layers.map(layer => layer.id));
+
+        currentLayers
+            .filter(layer => !targetIds.has(layer.id))
+            .forEach(layer => removeLeafletLayer(layer.id));
+
+        snapshot.layers.forEach(layer => {
+            const currentLayer = currentLayers.find(current => current.id === layer.id);
+            const leafletLayer = layerGroupsRef.current[layer.id];
+
+            if (!currentLayer || !leafletLayer || currentLayer.data !== layer.data) {
+                removeLeafletLayer(layer.id);
+                createLeafletLayer(layer);
+                if (layer.colorByAttribute) {
+                    updateLayerStyles(layer);
+                }
+                return;
+            }
+
+            if (currentLayer.visible !== layer.visible) {
+                if (layer.visible) {
+                    map.addLayer(leafletLayer);
+                } else {
+                    map.removeLayer(leafletLayer);
+                }
+            }
+            if (currentLayer.color !== layer.color ||
+                currentLayer.colorByAttribute !== layer.colorByAttribute ||
+                currentLayer.customColorMap !== layer.customColorMap ||
+                currentLayer.classification !== layer.classification ||
+                currentLayer.sizeByAttribute !== layer.sizeByAttribute ||
+                currentLayer.style !== layer.style ||
+                currentLayer.styleRules !== layer.styleRules) {
+                updateLayerStyles(layer);
+            }
+        });
+
+        setLayers(snapshot.layers);
+        setCategories(snapshot.categories);
+        if (selectedLayer && !targetIds.has(selectedLayer.id)) {
+            setSelectedLayer(null);
+        }
+
+        setTimeout(() => {
+            updateLayerZIndex(snapshot.layers, snapshot.categories);
+            checkSpatialQuery(snapshot.layers);
+        }, 50);
+    };
+
+    // Snapshot steps swap the current state in; command steps (drawing) run their own undo/redo
+    const stepHistory = (isUndo) => {
+        const stack = isUndo ? history.past : history.future;
+        if (stack.length === 0 || !map) return;
+
+        const entry = isUndo ? stack[stack.length - 1] : stack[0];
+        lastStyleEditRef.current = { key: null, time: 0 };
+        let movedEntry = entry;
+        if (entry.snapshot) {
+            movedEntry = { ...entry, snapshot: historyBaselineRef.current };
+            applyHistorySnapshot(entry.snapshot);
+        } else if (isUndo) {
+            entry.undo();
+        } else {
+            entry.redo();
+        }
+
+        setHistory(prevHistory => isUndo
+            ? { past: prevHistory.past.slice(0, -1), future: [movedEntry, ...prevHistory.future] }
+            : { past: [...prevHistory.past, movedEntry], future: prevHistory.future.slice(1) });
+    };
+
+    const undo = () => stepHistory(true);
+    const redo = () => stepHistory(false);
+    historyActionsRef.current = { undo, redo };
+
+    const getWorkspaceSnapshot = () => {
+        const center = map.getCenter();
+        return serializeWorkspace({
+            layers,
+            categories,
+            mapView: { center: [center.lat, center.lng], zoom: map.getZoom() },
+            projection
+        });
+    };
+
+    const refreshSavedWorkspaces = () => listWorkspaces()
+        .then(setSavedWorkspaces)
+        .catch(error => console.error('Error listing workspaces:', error));
+
+    // Remove every layer from the map and the sidebar
+    const clearWorkspace = () => {
+        Object.values(layerGroupsRef.current).forEach(leafletLayer => map.removeLayer(leafletLayer));
+        layerGroupsRef.current = {};
+        Object.values(highlightLayersRef.current).forEach(highlightLayer => map.removeLayer(highlightLayer));
+        highlightLayersRef.current = {};
+        setLayers([]);
+        setCategories([]);
+        setSelectedLayer(null);
+        // Steps of the previous workspace cannot be replayed on another one
+        setHistory({ past: [], future: [] });
+        pendingHistoryLabelsRef.current = [];
+    };
+
+    // Replace the current layers with a saved snapshot or project file, rebuilding the Leaflet layers and their styling
+    const restoreWorkspace = (workspace) => {
+        clearWorkspace();
+
+        let restoredCategories = deserializeCategories(workspace.categories);
+        const restoredLayers = workspace.layers.map(layer => ({
+            visible: true,
+            colorByAttribute: null,
+            customColorMap: {},
+            classification: null,
+            sizeByAttribute: null,
+            style: null,
+            styleRules: null,
+            sourceCRS: 'EPSG:4326',
+            ...layer
+        }));
+
+        restoredLayers.forEach(layer => {
+            // A layer always needs its category in the sidebar
+            restoredCategories = addCategoryToList(restoredCategories, layer.category);
+            createLeafletLayer(layer);
+            if (layer.colorByAttribute) {
+                updateLayerStyles(layer);
+            }
+        });
+
+        setCategories(restoredCategories);
+        setLayers(restoredLayers);
+        if (workspace.projection) {
+            setProjection(workspace.projection);
+        }
+        if (workspace.extent) {
+            map.fitBounds(workspace.extent);
+        } else if (workspace.mapView) {
+            map.setView(workspace.mapView.center, workspace.mapView.zoom);
+        }
+
+        setTimeout(() => {
+            updateLayerZIndex(restoredLayers, restoredCategories);
+            checkSpatialQuery(restoredLayers);
+        }, 100);
+    };
+
+    // Save pending changes of the current workspace before leaving it
+    const saveCurrentWorkspace = async () => {
+        if (layers.length > 0 || workspaceStoredRef.current) {
+            await saveWorkspace(workspaceName, getWorkspaceSnapshot());
+        }
+    };
+
+    const openWorkspace = async (name) => {
+        try {
+            if (workspaceDialog !== 'startup') {
+                await saveCurrentWorkspace();
+            }
+            const workspace = await loadWorkspace(name);
+            if (!workspace) {
+                throw new Error(`Workspace "${name}" no longer exists`);
+            }
+            restoreWorkspace(workspace);
+            workspaceStoredRef.current = true;
+            setWorkspaceName(name);
+            setAutosaveEnabled(true);
+            setWorkspaceDialog(null);
+        } catch (error) {
+            console.error(`Error opening workspace "${name}":`, error);
+            alert(`Error opening workspace "${name}":\n${error.message}`);
+        }
+    };
+
+    const createWorkspace = async (name) => {
+        try {
+            const isStartup = workspaceDialog === 'startup';
+            if (!isStartup) {
+                await saveCurrentWorkspace();
+            }
+            clearWorkspace();
+            setWorkspaceName(name);
+            workspaceStoredRef.current = false;
+            // Created from the manager it is listed right away; at startup it is saved with its first layer
+            if (!isStartup) {
+                await saveWorkspace(name, serializeWorkspace({ layers: [], categories: [], mapView: null, projection }));
+                workspaceStoredRef.current = true;
+                refreshSavedWorkspaces();
+            }
+            setAutosaveEnabled(true);
+            setWorkspaceDialog(null);
+        } catch (error) {
+            console.error(`Error creating workspace "${name}":`, error);
+            alert(`Error creating workspace "${name}":\n${error.message}`);
+        }
+    };
+
+    const saveWorkspaceAs = async (name) => {
+        try {
+            await saveWorkspace(name, getWorkspaceSnapshot());
+            workspaceStoredRef.current = true;
+            setWorkspaceName(name);
+            refreshSavedWorkspaces();
+            setWorkspaceDialog(null);
+        } catch (error) {
+            console.error(`Error saving workspace "${name}":`, error);
+            alert(`Error saving workspace "${name}":\n${error.message}`);
+        }
+    };
+
+    const deleteSavedWorkspace = async (name) => {
+        try {
+            await deleteWorkspace(name);
+            refreshSavedWorkspaces();
+        } catch (error) {
+            console.error(`Error deleting workspace "${name}":`, error);
+            alert(`Error deleting workspace "${name}":\n${error.message}`);
+        }
+    };
+
+    // Download the whole map as a .gisproj file to share it
+    const saveProjectFile = () => {
+        if (layers.length === 0) {
+            alert('There are no layers to save in a project file.');
+            return;
+        }
+        const bounds = map.getBounds();
+        const content = buildProjectFile({
+            name: workspaceName,
+            layers,
+            categories,
+            extent: [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]],
+            projection
+        });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+        link.download = `${workspaceName}.${PROJECT_FILE_EXTENSION}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    // Open a .gisproj file as a new workspace so the current one stays saved
+    const openProjectFile = async (projectText, fileNameWithoutExt) => {
+        const project = parseProjectFile(projectText);
+        if (layers.length > 0 && !window.confirm(`Open project ${project.name || fileNameWithoutExt}? The current layers stay saved in workspace "${workspaceName}".`)) {
+            return;
+        }
+
+        await saveCurrentWorkspace();
+        const existingNames = (await listWorkspaces()).map(workspace => workspace.name);
+        const projectWorkspaceName = getUniqueWorkspaceName(existingNames, project.name || fileNameWithoutExt);
+
+        restoreWorkspace(project);
+        workspaceStoredRef.current = false;
+        setWorkspaceName(projectWorkspaceName);
+    };
+
+    const showWorkspaceManager = () => {
+        // Save first so the current workspace's summary is up to date in the list
+        saveCurrentWorkspace()
+            .catch(error => console.error(`Error saving workspace "${workspaceName}":`, error))
+            .finally(() => {
+                refreshSavedWorkspaces();
+                setWorkspaceDialog('manage');
+            });
+    };
+
+    const runBufferAnalysis = ({ layerId, radius, dissolve }) => {
+        const sourceLayer = layers.find(layer => String(layer.id) === String(layerId));
+        if (!sourceLayer) {
+            alert('Please select a layer to buffer.');
+            return;
+        }
+
+        try {
+            const bufferGeoJSON = bufferLayer(sourceLayer, radius, { dissolve });
+            const bufferName = `${sourceLayer.name}_buffer_${radius}m`;
+            addLayer(bufferName, 'geojson', bufferGeoJSON, sourceLayer.category, { sourceCRS: sourceLayer.sourceCRS });
+            setShowBufferDialog(false);
+        } catch (error) {
+            console.error('Error running buffer analysis:', error);
+            alert(`Error running buffer analysis on ${sourceLayer.name}:\n${error.message}`);
+        }
     };
 
     const zoomIn = () => {
@@ -2175,7 +2220,7 @@ function App() {
                 id="fileInput" 
                 style={{ display: 'none' }} 
                 multiple 
-                accept=".csv,.geojson,.json,.xlsx,.xls,.shp,.shx,.dbf,.prj,.cpg,.kml"
+                accept=".csv,.geojson,.json,.xlsx,.xls,.shp,.shx,.dbf,.prj,.cpg,.zip,.kml,.kmz,.gpx,.gisproj"
                 onChange={handleFileUpload}
             />
             <div className="left-sidebar-wrapper" style={{ width: `${leftSidebarWidth}px` }}>
@@ -2193,16 +2238,65 @@ function App() {
                 getAttributeValues={getAttributeValues}
                 generateAttributeColorMap={generateAttributeColorMap}
                 updateAttributeValueColor={updateAttributeValueColor}
+                setAttributeClassification={setAttributeClassification}
+                setPointSizing={setPointSizing}
+                setLayerStyle={setLayerStyle}
+                setStyleRules={setStyleRules}
+                moveLayer={moveLayer}
+                moveCategoryTo={moveCategoryTo}
+                createCategory={createCategory}
+                renameCategory={renameCategory}
+                deleteCategory={deleteCategory}
+                workspaceName={workspaceName}
+                onShowWorkspaces={showWorkspaceManager}
+                onSaveProject={saveProjectFile}
             />
                 <div 
                     className="resize-handle resize-handle-right"
                     onMouseDown={handleLeftResizeStart}
                 ></div>
             </div>
-            <div className="map-container">
+            <div
+                className="map-container"
+                onDragEnter={handleMapDragEnter}
+                onDragOver={handleMapDragOver}
+                onDragLeave={handleMapDragLeave}
+                onDrop={handleMapDrop}
+            >
                 <Map setMap={setMap} />
-                <Toolbar showBufferDialog={() => setShowBufferDialog(true)} />
-                <DrawTools map={map} activeTool={activeTool} setTool={setTool} />
+                {isDraggingFiles && (
+                    <div className="drop-overlay">
+                        <div className="drop-overlay-message">
+                            <i className="fas fa-file-import"></i>
+                            <span>Drop files or folders to import</span>
+                            <span className="form-hint">Shapefile parts are grouped by name, zip archives are unpacked, .gisproj projects are opened</span>
+                        </div>
+                    </div>
+                )}
+                <Toolbar
+                    showBufferDialog={() => setShowBufferDialog(true)}
+                    onUndo={undo}
+                    onRedo={redo}
+                    canUndo={history.past.length > 0}
+                    canRedo={history.future.length > 0}
+                    toggleHistoryPanel={() => setShowHistoryPanel(prevShow => !prevShow)}
+                />
+                <DrawTools map={map} activeTool={activeTool} setTool={setTool} onFeatureEdit={pushHistoryEntry} />
+                <MapLegend
+                    map={map}
+                    layers={layers}
+                    categories={categories}
+                    getAttributeValues={getAttributeValues}
+                    generateAttributeColorMap={generateAttributeColorMap}
+                />
+                {showHistoryPanel && (
+                    <HistoryPanel
+                        history={history}
+                        onUndo={undo}
+                        onRedo={redo}
+                        onClose={() => setShowHistoryPanel(false)}
+                    />
+                )}
             </div>
             <div className="right-sidebar-wrapper" style={{ width: `${rightSidebarWidth}px` }}>
                 <div 
@@ -2216,18 +2310,70 @@ function App() {
                 zoomOut={zoomOut}
                 setTool={setTool}
                 activeTool={activeTool}
-                selectedLayer={selectedLayer}
+                selectedLayer={selectedLayer && (layers.find(layer => layer.id === selectedLayer.id) || selectedLayer)}
                 projection={projection}
                 layerGroupsRef={layerGroupsRef}
                 map={map}
                     onShowStatistics={() => setShowStatisticsWindow(true)}
+                generateAttributeColorMap={generateAttributeColorMap}
             />
             </div>
             <BufferDialog
                 show={showBufferDialog}
+                layers={layers}
                 closeBufferDialog={() => setShowBufferDialog(false)}
                 runBufferAnalysis={runBufferAnalysis}
             />
+            <UploadQueue uploads={uploads} onCancel={cancelUpload} />
+            <ImportReportPanel
+                reports={importReports}
+                onDismiss={dismissImportReport}
+                onClearAll={() => setImportReports([])}
+            />
+            {encodingChoiceQueue.length > 0 && (
+                <EncodingDialog
+                    key={encodingChoiceQueue[0].id}
+                    pendingChoice={encodingChoiceQueue[0]}
+                    onConfirm={confirmEncodingChoice}
+                    onCancel={cancelEncodingChoice}
+                />
+            )}
+            {encodingChoiceQueue.length === 0 && shapefileCheckQueue.length > 0 && (
+                <ShapefileCheckDialog
+                    key={shapefileCheckQueue[0].id}
+                    pendingCheck={shapefileCheckQueue[0]}
+                    onConfirm={confirmShapefileCheck}
+                    onCancel={cancelShapefileCheck}
+                />
+            )}
+            {encodingChoiceQueue.length === 0 && shapefileCheckQueue.length === 0 && workbookImportQueue.length > 0 && (
+                <SheetImportDialog
+                    key={workbookImportQueue[0].id}
+                    pendingWorkbook={workbookImportQueue[0]}
+                    onConfirm={confirmWorkbookImport}
+                    onCancel={cancelWorkbookImport}
+                />
+            )}
+            {encodingChoiceQueue.length === 0 && shapefileCheckQueue.length === 0 && workbookImportQueue.length === 0 && pointImportQueue.length > 0 && (
+                <PointImportDialog
+                    key={pointImportQueue[0].id}
+                    pendingImport={pointImportQueue[0]}
+                    onConfirm={confirmPointImport}
+                    onCancel={cancelPointImport}
+                />
+            )}
+            {workspaceDialog && (
+                <WorkspaceDialog
+                    startup={workspaceDialog === 'startup'}
+                    workspaces={savedWorkspaces}
+                    currentName={workspaceName}
+                    onOpen={openWorkspace}
+                    onDelete={deleteSavedWorkspace}
+                    onSaveAs={saveWorkspaceAs}
+                    onNew={createWorkspace}
+                    onClose={() => setWorkspaceDialog(null)}
+                />
+            )}
             {showStatisticsWindow && selectedLayer && (
                 <StatisticsWindow
                     layer={selectedLayer}
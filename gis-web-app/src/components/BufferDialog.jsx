@@ -1,11 +1,27 @@
+import React, { useState } from 'react';
 
-import React from 'react';
+const BufferDialog = ({ show, layers, closeBufferDialog, runBufferAnalysis }) => {
+    const [layerId, setLayerId] = useState('');
+    const [radius, setRadius] = useState('1500');
+    const [dissolve, setDissolve] = useState(false);
 
-const BufferDialog = ({ show, closeBufferDialog, runBufferAnalysis }) => {
     if (!show) {
         return null;
     }
 
+    // Fall back to the first layer when nothing was picked yet or the picked layer was deleted
+    const selectedLayerId = layers.some(layer => String(layer.id) === layerId)
+        ? layerId
+        : (layers[0] ? String(layers[0].id) : '');
+
+    const handleRun = () => {
+        runBufferAnalysis({
+            layerId: selectedLayerId,
+            radius: parseFloat(radius),
+            dissolve
+        });
+    };
+
     return (
         <div className="dialog-overlay active">
             <div className="dialog">
@@ -13,19 +29,34 @@ const BufferDialog = ({ show, closeBufferDialog, runBufferAnalysis }) => {
                 <p>Buffer geometries or datasets to create an enlarged area</p>
                 <div className="form-group">
                     <label>Create buffer around</label>
-                    <select id="bufferType">
-                        <option value="buildings">Buildings</option>
-                        <option value="roads">Roads</option>
-                        <option value="points">Points</option>
+                    <select value={selectedLayerId} onChange={(e) => setLayerId(e.target.value)} disabled={layers.length === 0}>
+                        {layers.length === 0 && <option value="">No layers loaded</option>}
+                        {layers.map(layer => (
+                            <option key={layer.id} value={String(layer.id)}>
+                                {layer.name} ({layer.data?.features?.length || 0} features)
+                            </option>
+                        ))}
                     </select>
                 </div>
                 <div className="form-group">
-                    <label>Buffer radius</label>
-                    <input type="number" id="bufferRadius" defaultValue="1500" placeholder="1500 m" />
+                    <label>Buffer radius (meters)</label>
+                    <input type="number" min="0" value={radius} onChange={(e) => setRadius(e.target.value)} placeholder="1500 m" />
+                </div>
+                <div className="form-group form-group-checkbox">
+                    <label>
+                        <input type="checkbox" checked={dissolve} onChange={(e) => setDissolve(e.target.checked)} />
+                        Dissolve overlapping buffers
+                    </label>
                 </div>
                 <div className="dialog-actions">
                     <button className="btn btn-secondary" onClick={closeBufferDialog}>Cancel</button>
-                    <button className="btn btn-primary" onClick={runBufferAnalysis}>Run analysis</button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={handleRun}
+                        disabled={!selectedLayerId || !(parseFloat(radius) > 0)}
+                    >
+                        Run analysis
+                    </button>
                 </div>
             </div>
         </div>
@@ -1,42 +1,128 @@
-
-import React from 'react';
+import React, { useState } from 'react';
 import LayerItem from './LayerItem';
 
-const Category = ({ name, data, layers, toggleCategory, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, moveCategory, isFirst, isLast, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor }) => {
+// Drop position relative to the vertical middle of the hovered element
+const isBelowMiddle = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return event.clientY > rect.top + rect.height / 2;
+};
+
+const Category = ({ name, data, index, layers, toggleCategory, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, moveCategory, isFirst, isLast, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor, setAttributeClassification, setPointSizing, setLayerStyle, setStyleRules, renameCategory, deleteCategory, dragAndDrop }) => {
     const categoryColor = layers.length > 0 ? layers[0].color : '#808080'; // Default color if no layers
+    const [renameValue, setRenameValue] = useState(null); // null when not renaming
+    const [renameError, setRenameError] = useState(null);
+
+    const { dragItem, dropTarget } = dragAndDrop;
+    const isDragged = dragItem && dragItem.type === 'category' && dragItem.name === name;
+    const isCategoryDropBefore = dropTarget && dropTarget.type === 'category' && dropTarget.index === index;
+    const isCategoryDropAfter = dropTarget && dropTarget.type === 'category' && isLast && dropTarget.index === index + 1;
+    const isLayerDropInto = dropTarget && dropTarget.type === 'layer' && dropTarget.category === name && (dropTarget.onHeader || layers.length === 0);
+
+    // Layers dropped on the header go to the end of the category; categories go before or after this one
+    const getHeaderDropTarget = (event) => (dragItem && dragItem.type === 'layer'
+        ? { type: 'layer', category: name, index: layers.length, onHeader: true }
+        : { type: 'category', index: index + (isBelowMiddle(event) ? 1 : 0) });
+
+    const startRename = () => {
+        setRenameValue(name);
+        setRenameError(null);
+    };
+
+    const submitRename = () => {
+        const error = renameCategory(name, renameValue);
+        if (error) {
+            setRenameError(error);
+        } else {
+            setRenameValue(null);
+        }
+    };
+
+    const handleRenameKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            submitRename();
+        } else if (e.key === 'Escape') {
+            setRenameValue(null);
+        }
+    };
 
     return (
-        <div className="category-folder">
-            <div className="category-header">
-                <div className="category-header-left" onClick={() => toggleCategory(name)}>
-                    <i className={`fas fa-chevron-right chevron ${data.expanded ? 'expanded' : ''}`}></i>
-                    <div className="color-indicator" style={{ backgroundColor: categoryColor }}></div>
-                    <span className="category-name">{name}</span>
-                </div>
-                <div className="category-actions" onClick={(e) => e.stopPropagation()}>
-                    <button 
-                        onClick={(e) => { e.stopPropagation(); moveCategory(name, 'up'); }}
-                        disabled={isFirst}
-                        title="Move Category Up"
-                        className="category-order-btn"
-                    >
-                        <i className="fas fa-arrow-up"></i>
-                    </button>
-                    <button 
-                        onClick={(e) => { e.stopPropagation(); moveCategory(name, 'down'); }}
-                        disabled={isLast}
-                        title="Move Category Down"
-                        className="category-order-btn"
-                    >
-                        <i className="fas fa-arrow-down"></i>
-                    </button>
-                </div>
+        <div className={`category-folder ${isDragged ? 'dragging' : ''} ${isCategoryDropBefore ? 'drop-before' : ''} ${isCategoryDropAfter ? 'drop-after' : ''}`}>
+            <div
+                className={`category-header ${isLayerDropInto ? 'drop-into' : ''}`}
+                draggable={renameValue === null}
+                onDragStart={(e) => dragAndDrop.startDrag(e, { type: 'category', name })}
+                onDragEnd={dragAndDrop.endDrag}
+                onDragOver={(e) => dragAndDrop.dragOver(e, getHeaderDropTarget(e))}
+                onDrop={(e) => dragAndDrop.drop(e, getHeaderDropTarget(e))}
+            >
+                {renameValue !== null ? (
+                    <div className="category-rename" onClick={(e) => e.stopPropagation()}>
+                        <input
+                            type="text"
+                            value={renameValue}
+                            onChange={(e) => { setRenameValue(e.target.value); setRenameError(null); }}
+                            onKeyDown={handleRenameKeyDown}
+                            autoFocus
+                        />
+                        <button className="category-order-btn" onClick={submitRename} title="Rename">
+                            <i className="fas fa-check"></i>
+                        </button>
+                        <button className="category-order-btn" onClick={() => setRenameValue(null)} title="Cancel">
+                            <i className="fas fa-times"></i>
+                        </button>
+                        {renameError && <div className="form-error">{renameError}</div>}
+                    </div>
+                ) : (
+                    <div className="category-header-left" onClick={() => toggleCategory(name)}>
+                        <i className={`fas fa-chevron-right chevron ${data.expanded ? 'expanded' : ''}`}></i>
+                        <div className="color-indicator" style={{ backgroundColor: categoryColor }}></div>
+                        <span className="category-name">{name}</span>
+                    </div>
+                )}
+                {renameValue === null && (
+                    <div className="category-actions" onClick={(e) => e.stopPropagation()}>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); startRename(); }}
+                            title="Rename Category"
+                            className="category-order-btn"
+                        >
+                            <i className="fas fa-pen"></i>
+                        </button>
+                        {layers.length === 0 && (
+                            <button
+                                onClick={(e) => { e.stopPropagation(); deleteCategory(name); }}
+                                title="Delete Empty Category"
+                                className="category-order-btn"
+                            >
+                                <i className="fas fa-trash"></i>
+                            </button>
+                        )}
+                        <button
+                            onClick={(e) => { e.stopPropagation(); moveCategory(name, 'up'); }}
+                            disabled={isFirst}
+                            title="Move Category Up"
+                            className="category-order-btn"
+                        >
+                            <i className="fas fa-arrow-up"></i>
+                        </button>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); moveCategory(name, 'down'); }}
+                            disabled={isLast}
+                            title="Move Category Down"
+                            className="category-order-btn"
+                        >
+                            <i className="fas fa-arrow-down"></i>
+                        </button>
+                    </div>
+                )}
             </div>
             <div className={`category-content ${data.expanded ? 'expanded' : ''}`}>
-                    {layers.map((layer) => (
+                    {layers.map((layer, layerIndex) => (
                         <LayerItem
                             key={layer.id}
                             layer={layer}
+                            layerIndex={layerIndex}
+                            isLastInCategory={layerIndex === layers.length - 1}
                             toggleLayerVisibility={toggleLayerVisibility}
                             deleteLayer={deleteLayer}
                             selectLayer={selectLayer}
@@ -46,8 +132,22 @@ const Category = ({ name, data, layers, toggleCategory, toggleLayerVisibility, d
                             getAttributeValues={getAttributeValues}
                             generateAttributeColorMap={generateAttributeColorMap}
                             updateAttributeValueColor={updateAttributeValueColor}
+                            setAttributeClassification={setAttributeClassification}
+                            setPointSizing={setPointSizing}
+                            setLayerStyle={setLayerStyle}
+                            setStyleRules={setStyleRules}
+                            dragAndDrop={dragAndDrop}
                         />
                     ))}
+                    {layers.length === 0 && (
+                        <div
+                            className="category-empty"
+                            onDragOver={(e) => dragAndDrop.dragOver(e, { type: 'layer', category: name, index: 0 })}
+                            onDrop={(e) => dragAndDrop.drop(e, { type: 'layer', category: name, index: 0 })}
+                        >
+                            Drag layers here
+                        </div>
+                    )}
             </div>
         </div>
     );
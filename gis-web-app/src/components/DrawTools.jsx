@@ -2,11 +2,18 @@ import React, { useEffect, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet-draw/dist/leaflet.draw.css';
 
-const DrawTools = ({ map, activeTool, setTool }) => {
+// onFeatureEdit({ label, undo, redo }) records each stroke and erase in the undo history
+const DrawTools = ({ map, activeTool, setTool, onFeatureEdit }) => {
     const drawnItems = useRef(new L.FeatureGroup());
     const [isDrawing, setIsDrawing] = useState(false);
     const currentPolyline = useRef(null);
     const longPressTimer = useRef(null);
+    // The erase button listeners are attached once, so they read the latest callback from a ref
+    const onFeatureEditRef = useRef(onFeatureEdit);
+
+    useEffect(() => {
+        onFeatureEditRef.current = onFeatureEdit;
+    }, [onFeatureEdit]);
 
     useEffect(() => {
         if (!map) return;
@@ -32,6 +39,14 @@ const DrawTools = ({ map, activeTool, setTool }) => {
             if (isDrawing) {
                 setIsDrawing(false);
                 map.dragging.enable();
+                const polyline = currentPolyline.current;
+                if (polyline) {
+                    onFeatureEditRef.current({
+                        label: `Draw line (${polyline.getLatLngs().length} points)`,
+                        undo: () => drawnItems.current.removeLayer(polyline),
+                        redo: () => drawnItems.current.addLayer(polyline)
+                    });
+                }
                 currentPolyline.current = null;
             }
         };
@@ -71,12 +86,24 @@ const DrawTools = ({ map, activeTool, setTool }) => {
         if (layers.length > 0) {
             const lastLayer = layers[layers.length - 1];
             drawnItems.current.removeLayer(lastLayer);
+            onFeatureEditRef.current({
+                label: 'Erase last line',
+                undo: () => drawnItems.current.addLayer(lastLayer),
+                redo: () => drawnItems.current.removeLayer(lastLayer)
+            });
         }
     };
 
     const handleEraseMouseDown = () => {
         longPressTimer.current = setTimeout(() => {
+            const erasedLayers = drawnItems.current.getLayers();
+            if (erasedLayers.length === 0) return;
             drawnItems.current.clearLayers();
+            onFeatureEditRef.current({
+                label: `Erase all lines (${erasedLayers.length})`,
+                undo: () => erasedLayers.forEach(layer => drawnItems.current.addLayer(layer)),
+                redo: () => drawnItems.current.clearLayers()
+            });
         }, 1000); // 1 second for long press
     };
 
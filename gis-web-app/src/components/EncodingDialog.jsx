@@ -0,0 +1,52 @@
+import React, { useState, useMemo } from 'react';
+import { previewEncodings } from '../utils/textEncoding';
+
+const EncodingDialog = ({ pendingChoice, onConfirm, onCancel }) => {
+    const { fileName, sampleBytes, detectedEncoding } = pendingChoice;
+    const previews = useMemo(() => previewEncodings(sampleBytes), [sampleBytes]);
+    const [selectedEncoding, setSelectedEncoding] = useState(detectedEncoding);
+
+    return (
+        <div className="dialog-overlay active">
+            <div className="dialog encoding-dialog">
+                <h3>Choose text encoding</h3>
+                <p>{fileName} is not UTF-8. Pick the encoding under which the text reads correctly.</p>
+                <div className="encoding-list">
+                    {previews.map(preview => (
+                        <label
+                            key={preview.value}
+                            className={`encoding-option ${selectedEncoding === preview.value ? 'selected' : ''}`}
+                        >
+                            <div className="encoding-option-header">
+                                <input
+                                    type="radio"
+                                    name="encoding"
+                                    checked={selectedEncoding === preview.value}
+                                    onChange={() => setSelectedEncoding(preview.value)}
+                                />
+                                <span className="sheet-name">{preview.label}</span>
+                                {preview.value === detectedEncoding && <span className="form-hint">(detected)</span>}
+                                {preview.replacementCount > 0 && (
+                                    <span className="sheet-meta">{preview.replacementCount} unreadable characters</span>
+                                )}
+                            </div>
+                            <div className="encoding-preview" dir="auto">
+                                {preview.lines.map((line, index) => (
+                                    <div key={index} dir="auto">{line}</div>
+                                ))}
+                            </div>
+                        </label>
+                    ))}
+                </div>
+                <div className="dialog-actions">
+                    <button className="btn btn-secondary" onClick={onCancel}>Cancel import</button>
+                    <button className="btn btn-primary" onClick={() => onConfirm(selectedEncoding)}>
+                        Use {previews.find(preview => preview.value === selectedEncoding)?.label || selectedEncoding}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default EncodingDialog;
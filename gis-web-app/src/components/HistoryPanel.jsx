@@ -0,0 +1,47 @@
+import React from 'react';
+
+const formatTime = (time) => time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Steps that can be redone are listed above the current state, greyed out; the latest undoable step is marked
+const HistoryPanel = ({ history, onUndo, onRedo, onClose }) => {
+    const { past, future } = history;
+
+    return (
+        <div className="history-panel">
+            <div className="history-panel-header">
+                <span><i className="fas fa-history"></i> History</span>
+                <div className="history-panel-actions">
+                    <button className="icon-btn" onClick={onUndo} disabled={past.length === 0} title="Undo (Ctrl+Z)">
+                        <i className="fas fa-undo"></i>
+                    </button>
+                    <button className="icon-btn" onClick={onRedo} disabled={future.length === 0} title="Redo (Ctrl+Y)">
+                        <i className="fas fa-redo"></i>
+                    </button>
+                    <button className="icon-btn" onClick={onClose} title="Close">
+                        <i className="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            {past.length === 0 && future.length === 0 ? (
+                <div className="history-empty form-hint">No changes yet.</div>
+            ) : (
+                <ul className="history-list">
+                    {[...future].reverse().map(entry => (
+                        <li key={entry.id} className="history-entry undone">
+                            <span className="history-label">{entry.label}</span>
+                            <span className="sheet-meta">{formatTime(entry.time)}</span>
+                        </li>
+                    ))}
+                    {[...past].reverse().map((entry, index) => (
+                        <li key={entry.id} className={`history-entry ${index === 0 ? 'current' : ''}`}>
+                            <span className="history-label">{entry.label}</span>
+                            <span className="sheet-meta">{formatTime(entry.time)}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
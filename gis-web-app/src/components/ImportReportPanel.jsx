@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { rejectedRowsToCSV } from '../utils/importReport';
+
+// Keep the DOM small for files with thousands of rejected rows
+const MAX_LISTED_ENTRIES = 200;
+
+const downloadRejectedRows = (report) => {
+    const csv = rejectedRowsToCSV(report);
+    const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${report.fileName.replace(/\.[^.]+$/, '')}_rejected.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+const ReportEntries = ({ title, entries, itemLabel }) => (
+    <div className="import-report-entries">
+        <div className="import-report-entries-title">{title}</div>
+        <table>
+            <thead>
+                <tr>
+                    <th>{itemLabel === 'rows' ? 'Row' : 'Feature'}</th>
+                    <th>Reason</th>
+                </tr>
+            </thead>
+            <tbody>
+                {entries.slice(0, MAX_LISTED_ENTRIES).map((entry, index) => (
+                    <tr key={index}>
+                        <td>{entry.row}</td>
+                        <td>{entry.reason}</td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+        {entries.length > MAX_LISTED_ENTRIES && (
+            <div className="form-hint">…and {entries.length - MAX_LISTED_ENTRIES} more</div>
+        )}
+    </div>
+);
+
+const ImportReport = ({ report, onDismiss }) => {
+    const hasIssues = report.skipped.length > 0 || report.repaired.length > 0;
+    const [expanded, setExpanded] = useState(report.skipped.length > 0);
+
+    return (
+        <div className={`import-report ${report.skipped.length > 0 ? 'has-skipped' : ''}`}>
+            <div className="import-report-header">
+                <div className="import-report-title" title={report.fileName}>
+                    {report.fileName}
+                    {report.layerName && <span className="form-hint"> → {report.layerName}</span>}
+                </div>
+                <button className="import-report-close" onClick={() => onDismiss(report.id)} title="Dismiss">
+                    <i className="fas fa-times"></i>
+                </button>
+            </div>
+            <div className="import-report-counts">
+                <span className="count-accepted">{report.accepted} of {report.total} {report.itemLabel} accepted</span>
+                <span className="count-skipped">{report.skipped.length} skipped</span>
+                <span className="count-repaired">{report.repaired.length} repaired</span>
+            </div>
+            {hasIssues && (
+                <div className="import-report-actions">
+                    <button className="btn btn-secondary" onClick={() => setExpanded(!expanded)}>
+                        {expanded ? 'Hide details' : 'Show details'}
+                    </button>
+                    {report.skipped.length > 0 && (
+                        <button className="btn btn-secondary" onClick={() => downloadRejectedRows(report)}>
+                            <i className="fas fa-download"></i> Rejected {report.itemLabel} (CSV)
+                        </button>
+                    )}
+                </div>
+            )}
+            {expanded && (
+                <>
+                    {report.skipped.length > 0 && (
+                        <ReportEntries title="Skipped" entries={report.skipped} itemLabel={report.itemLabel} />
+                    )}
+                    {report.repaired.length > 0 && (
+                        <ReportEntries title="Repaired" entries={report.repaired} itemLabel={report.itemLabel} />
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+const ImportReportPanel = ({ reports, onDismiss, onClearAll }) => {
+    if (reports.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="import-report-panel">
+            <div className="import-report-panel-header">
+                <span><i className="fas fa-clipboard-check"></i> Import report</span>
+                {reports.length > 1 && (
+                    <button className="import-report-close" onClick={onClearAll} title="Dismiss all">Clear all</button>
+                )}
+            </div>
+            {reports.map(report => (
+                <ImportReport key={report.id} report={report} onDismiss={onDismiss} />
+            ))}
+        </div>
+    );
+};
+
+export default ImportReportPanel;
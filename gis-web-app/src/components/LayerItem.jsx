@@ -1,9 +1,19 @@
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import LayerStyleEditor from './LayerStyleEditor';
+import StyleRulesEditor from './StyleRulesEditor';
+import { SIZE_SCALINGS, DEFAULT_SIZE_STYLE, MIN_SYMBOL_RADIUS, MAX_SYMBOL_RADIUS, createRadiusScale, getSizeLegend } from '../utils/proportionalSymbols';
+import { CLASSIFICATION_METHODS, COLOR_RAMPS, DEFAULT_CLASSIFICATION, MIN_CLASS_COUNT, MAX_CLASS_COUNT, isNumericAttribute, classifyFeatures, getRampColors, formatBreakValue } from '../utils/classification';
 
-const LayerItem = ({ layer, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor }) => {
+const LayerItem = ({ layer, layerIndex, isLastInCategory, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor, setAttributeClassification, setPointSizing, setLayerStyle, setStyleRules, dragAndDrop }) => {
     const isSelected = selectedLayer && selectedLayer.id === layer.id;
-    const [showAttributeSelector, setShowAttributeSelector] = useState(false);
+    const { dragItem, dropTarget } = dragAndDrop;
+    const isDragged = dragItem && dragItem.type === 'layer' && dragItem.id === layer.id;
+    const isDropBefore = dropTarget && dropTarget.type === 'layer' && !dropTarget.onHeader &&
+        dropTarget.category === layer.category && dropTarget.index === layerIndex;
+    const isDropAfter = dropTarget && dropTarget.type === 'layer' && !dropTarget.onHeader &&
+        dropTarget.category === layer.category && isLastInCategory && dropTarget.index === layerIndex + 1;
+    const [openPanel, setOpenPanel] = useState(null); // 'color' | 'size' | 'style' | 'rules' dropdown, or null
     const [editingColor, setEditingColor] = useState(null);
     const colorPickerRef = useRef(null);
     
@@ -29,6 +39,11 @@ const LayerItem = ({ layer, toggleLayerVisibility, deleteLayer, selectLayer, sel
         f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon')
     );
     
+    // Check if layer has point features (drawn as circle markers)
+    const hasPoints = layer.data && layer.data.features && layer.data.features.some(f => 
+        f.geometry && (f.geometry.type === 'Point' || f.geometry.type === 'MultiPoint')
+    );
+    
     const attributes = getLayerAttributes ? getLayerAttributes(layer) : [];
     const availableAttributes = attributes.filter(attr => {
         // Only show attributes that have some variation (not all the same value)
@@ -42,21 +57,88 @@ const LayerItem = ({ layer, toggleLayerVisibility, deleteLayer, selectLayer, sel
         return values.size > 1; // Only show if there are multiple unique values
     });
 
-    // Get attribute values and color map for legend
-    const attributeValues = layer.colorByAttribute && getAttributeValues 
+    const isGraduated = Boolean(layer.colorByAttribute && layer.classification);
+    const isNumeric = layer.colorByAttribute && layer.data && layer.data.features
+        ? isNumericAttribute(layer.data.features, layer.colorByAttribute)
+        : false;
+
+    // Get attribute values and color map for legend (unique values mode)
+    const attributeValues = layer.colorByAttribute && !isGraduated && getAttributeValues 
         ? getAttributeValues(layer, layer.colorByAttribute) 
         : [];
-    const colorMap = layer.colorByAttribute && generateAttributeColorMap
+    const colorMap = layer.colorByAttribute && !isGraduated && generateAttributeColorMap
         ? generateAttributeColorMap(layer, layer.colorByAttribute)
         : {};
 
+    // Classes for the graduated legend
+    const graduatedClasses = useMemo(() => (
+        layer.colorByAttribute && layer.classification
+            ? classifyFeatures(layer.data.features, layer.colorByAttribute, layer.classification)
+            : null
+    ), [layer.data, layer.colorByAttribute, layer.classification]);
+
+    // Numeric attributes available for proportional point symbols
+    const sizeAttributes = hasPoints ? availableAttributes.filter(attr => isNumericAttribute(layer.data.features, attr)) : [];
+
+    const sizeLegend = useMemo(() => (
+        layer.sizeByAttribute
+            ? getSizeLegend(createRadiusScale(layer.data.features, layer.sizeByAttribute))
+            : []
+    ), [layer.data, layer.sizeByAttribute]);
+
+    const togglePanel = (panel) => {
+        setOpenPanel(openPanel === panel ? null : panel);
+    };
+
+    const updateSizing = (changes) => {
+        const sizeStyle = { ...DEFAULT_SIZE_STYLE, ...(layer.sizeByAttribute || {}), ...changes };
+        // Keep the radius range ordered whichever bound was edited
+        if (changes.minRadius !== undefined && sizeStyle.maxRadius < sizeStyle.minRadius) {
+            sizeStyle.maxRadius = sizeStyle.minRadius;
+        }
+        if (changes.maxRadius !== undefined && sizeStyle.minRadius > sizeStyle.maxRadius) {
+            sizeStyle.minRadius = sizeStyle.maxRadius;
+        }
+        setPointSizing(layer.id, sizeStyle);
+    };
+
+    const handleSizeAttributeChange = (e) => {
+        e.stopPropagation();
+        const attributeName = e.target.value;
+        if (attributeName) {
+            updateSizing({ attribute: attributeName });
+        } else {
+            setPointSizing(layer.id, null);
+            setOpenPanel(null);
+        }
+    };
+
+    const handleRadiusChange = (bound, value) => {
+        const radius = Number(value);
+        if (Number.isFinite(radius) && radius >= MIN_SYMBOL_RADIUS && radius <= MAX_SYMBOL_RADIUS) {
+            updateSizing({ [bound]: radius });
+        }
+    };
+
+    const updateClassification = (changes) => {
+        setAttributeClassification(layer.id, { ...(layer.classification || DEFAULT_CLASSIFICATION), ...changes });
+    };
+
+    const handleModeChange = (e) => {
+        e.stopPropagation();
+        setAttributeClassification(layer.id, e.target.value === 'graduated' ? DEFAULT_CLASSIFICATION : null);
+    };
+
     const handleAttributeChange = (e) => {
         e.stopPropagation();
         const attributeName = e.target.value;
         if (setColorByAttribute) {
             setColorByAttribute(layer.id, attributeName || null);
         }
-        setShowAttributeSelector(false);
+        // Numeric attributes keep the selector open for the graduated options
+        if (!attributeName || !isNumericAttribute(layer.data.features, attributeName)) {
+            setOpenPanel(null);
+        }
     };
 
     const handleColorChange = (e, normalizedValue) => {
@@ -68,17 +150,32 @@ const LayerItem = ({ layer, toggleLayerVisibility, deleteLayer, selectLayer, sel
         setEditingColor(null);
     };
 
+    // Insert before or after this layer depending on which half of it the cursor is over
+    const getDropTarget = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const isBelowMiddle = e.clientY > rect.top + rect.height / 2;
+        return { type: 'layer', category: layer.category, index: layerIndex + (isBelowMiddle ? 1 : 0) };
+    };
+
     return (
         <>
-            <div className={`layer-item ${isSelected ? 'selected' : ''}`} onClick={() => selectLayer(layer)}>
+            <div
+                className={`layer-item ${isSelected ? 'selected' : ''} ${isDragged ? 'dragging' : ''} ${isDropBefore ? 'drop-before' : ''} ${isDropAfter ? 'drop-after' : ''}`}
+                onClick={() => selectLayer(layer)}
+                draggable
+                onDragStart={(e) => dragAndDrop.startDrag(e, { type: 'layer', id: layer.id })}
+                onDragEnd={dragAndDrop.endDrag}
+                onDragOver={(e) => dragAndDrop.dragOver(e, getDropTarget(e))}
+                onDrop={(e) => dragAndDrop.drop(e, getDropTarget(e))}
+            >
                 <div className="color-indicator" style={{ backgroundColor: layer.color }}></div>
                 <span className="layer-name">{layer.name}</span>
                 <div className="layer-actions">
-                    {hasPolygons && availableAttributes.length > 0 && (
+                    {(hasPolygons || hasPoints) && availableAttributes.length > 0 && (
                         <button 
                             onClick={(e) => { 
                                 e.stopPropagation(); 
-                                setShowAttributeSelector(!showAttributeSelector); 
+                                togglePanel('color');
                             }} 
                             title="Color by Attribute"
                             className={layer.colorByAttribute ? 'active' : ''}
@@ -86,6 +183,40 @@ const LayerItem = ({ layer, toggleLayerVisibility, deleteLayer, selectLayer, sel
                             <i className="fas fa-palette"></i>
                         </button>
                     )}
+                    {sizeAttributes.length > 0 && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                togglePanel('size');
+                            }}
+                            title="Size by Attribute"
+                            className={layer.sizeByAttribute ? 'active' : ''}
+                        >
+                            <i className="fas fa-dot-circle"></i>
+                        </button>
+                    )}
+                    <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            togglePanel('style');
+                        }}
+                        title="Layer Style"
+                        className={layer.style ? 'active' : ''}
+                    >
+                        <i className="fas fa-paint-brush"></i>
+                    </button>
+                    {attributes.length > 0 && (
+                        <button
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                togglePanel('rules');
+                            }}
+                            title="Rule-based Style"
+                            className={layer.styleRules ? 'active' : ''}
+                        >
+                            <i className="fas fa-filter"></i>
+                        </button>
+                    )}
                     <button onClick={(e) => { e.stopPropagation(); toggleLayerVisibility(layer.id); }} title="Toggle Visibility">
                         <i className={`fas fa-eye${layer.visible ? '' : '-slash'}`}></i>
                     </button>
@@ -93,7 +224,7 @@ const LayerItem = ({ layer, toggleLayerVisibility, deleteLayer, selectLayer, sel
                         <i className="fas fa-trash"></i>
                     </button>
                 </div>
-                {showAttributeSelector && hasPolygons && availableAttributes.length > 0 && (
+                {openPanel === 'color' && (hasPolygons || hasPoints) && availableAttributes.length > 0 && (
                     <div className="attribute-selector-dropdown" onClick={(e) => e.stopPropagation()}>
                         <label>Color by:</label>
                         <select 
@@ -106,9 +237,177 @@ const LayerItem = ({ layer, toggleLayerVisibility, deleteLayer, selectLayer, sel
                                 <option key={attr} value={attr}>{attr}</option>
                             ))}
                         </select>
+                        {isNumeric && (
+                            <>
+                                <label>Mode:</label>
+                                <select value={isGraduated ? 'graduated' : 'unique'} onChange={handleModeChange} className="attribute-select">
+                                    <option value="unique">Unique values</option>
+                                    <option value="graduated">Graduated classes</option>
+                                </select>
+                            </>
+                        )}
+                        {isGraduated && (
+                            <div className="graduated-options">
+                                <label>Method:</label>
+                                <select
+                                    value={layer.classification.method}
+                                    onChange={(e) => updateClassification({ method: e.target.value })}
+                                    className="attribute-select"
+                                >
+                                    {CLASSIFICATION_METHODS.map(method => (
+                                        <option key={method.value} value={method.value}>{method.label}</option>
+                                    ))}
+                                </select>
+                                <label>Classes: {layer.classification.classCount}</label>
+                                <input
+                                    type="range"
+                                    min={MIN_CLASS_COUNT}
+                                    max={MAX_CLASS_COUNT}
+                                    value={layer.classification.classCount}
+                                    onChange={(e) => updateClassification({ classCount: Number(e.target.value) })}
+                                />
+                                <label>Color ramp:</label>
+                                <div className="color-ramp-list">
+                                    {Object.entries(COLOR_RAMPS).map(([rampName, ramp]) => (
+                                        <button
+                                            key={rampName}
+                                            className={`color-ramp ${layer.classification.ramp === rampName ? 'selected' : ''}`}
+                                            onClick={() => updateClassification({ ramp: rampName })}
+                                            title={ramp.label}
+                                        >
+                                            {getRampColors(rampName, layer.classification.classCount).map((color, index) => (
+                                                <span key={index} style={{ backgroundColor: color }}></span>
+                                            ))}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+                {openPanel === 'size' && sizeAttributes.length > 0 && (
+                    <div className="attribute-selector-dropdown" onClick={(e) => e.stopPropagation()}>
+                        <label>Size by:</label>
+                        <select
+                            value={layer.sizeByAttribute ? layer.sizeByAttribute.attribute : ''}
+                            onChange={handleSizeAttributeChange}
+                            className="attribute-select"
+                        >
+                            <option value="">Fixed Size</option>
+                            {sizeAttributes.map(attr => (
+                                <option key={attr} value={attr}>{attr}</option>
+                            ))}
+                        </select>
+                        {layer.sizeByAttribute && (
+                            <div className="graduated-options">
+                                <label>Scaling:</label>
+                                <select
+                                    value={layer.sizeByAttribute.scaling}
+                                    onChange={(e) => updateSizing({ scaling: e.target.value })}
+                                    className="attribute-select"
+                                >
+                                    {SIZE_SCALINGS.map(scaling => (
+                                        <option key={scaling.value} value={scaling.value}>{scaling.label}</option>
+                                    ))}
+                                </select>
+                                <div className="radius-inputs">
+                                    <div>
+                                        <label>Min radius (px):</label>
+                                        <input
+                                            type="number"
+                                            min={MIN_SYMBOL_RADIUS}
+                                            max={MAX_SYMBOL_RADIUS}
+                                            value={layer.sizeByAttribute.minRadius}
+                                            onChange={(e) => handleRadiusChange('minRadius', e.target.value)}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label>Max radius (px):</label>
+                                        <input
+                                            type="number"
+                                            min={MIN_SYMBOL_RADIUS}
+                                            max={MAX_SYMBOL_RADIUS}
+                                            value={layer.sizeByAttribute.maxRadius}
+                                            onChange={(e) => handleRadiusChange('maxRadius', e.target.value)}
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+                        )}
                     </div>
                 )}
+                {openPanel === 'style' && (
+                    <LayerStyleEditor
+                        layer={layer}
+                        hasPolygons={hasPolygons}
+                        hasPoints={hasPoints}
+                        setLayerStyle={setLayerStyle}
+                    />
+                )}
+                {openPanel === 'rules' && attributes.length > 0 && (
+                    <StyleRulesEditor
+                        layer={layer}
+                        attributes={attributes}
+                        hasPolygons={hasPolygons}
+                        hasPoints={hasPoints}
+                        setStyleRules={setStyleRules}
+                    />
+                )}
             </div>
+            {/* Size legend of proportional symbols */}
+            {layer.sizeByAttribute && sizeLegend.length > 0 && (
+                <div className="attribute-legend" onClick={(e) => e.stopPropagation()}>
+                    <div className="legend-title">Size: {layer.sizeByAttribute.attribute}</div>
+                    {sizeLegend.map((entry, index) => (
+                        <div key={index} className="legend-item">
+                            <svg
+                                className="size-legend-symbol"
+                                width={layer.sizeByAttribute.maxRadius * 2 + 4}
+                                height={entry.radius * 2 + 4}
+                            >
+                                <circle
+                                    cx={layer.sizeByAttribute.maxRadius + 2}
+                                    cy={entry.radius + 2}
+                                    r={entry.radius}
+                                    fill={layer.color}
+                                    fillOpacity={0.3}
+                                    stroke={layer.color}
+                                    strokeWidth={2}
+                                />
+                            </svg>
+                            <span className="legend-value">{formatBreakValue(entry.value)}</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {/* Legend of the graduated classes */}
+            {isGraduated && graduatedClasses && (
+                <div className="attribute-legend" onClick={(e) => e.stopPropagation()}>
+                    <div className="legend-title">
+                        {layer.colorByAttribute} · {CLASSIFICATION_METHODS.find(method => method.value === layer.classification.method)?.label}
+                    </div>
+                    {graduatedClasses.classes.map((graduatedClass, index) => (
+                        <div key={index} className="legend-item">
+                            <div className="legend-color-wrapper">
+                                <div className="legend-color-indicator static" style={{ backgroundColor: graduatedClass.color }}></div>
+                            </div>
+                            <span className="legend-value">
+                                {formatBreakValue(graduatedClass.min)} – {formatBreakValue(graduatedClass.max)}
+                            </span>
+                            <span className="legend-count">{graduatedClass.count}</span>
+                        </div>
+                    ))}
+                    {graduatedClasses.noDataCount > 0 && (
+                        <div className="legend-item">
+                            <div className="legend-color-wrapper">
+                                <div className="legend-color-indicator static" style={{ backgroundColor: layer.color }}></div>
+                            </div>
+                            <span className="legend-value">No data</span>
+                            <span className="legend-count">{graduatedClasses.noDataCount}</span>
+                        </div>
+                    )}
+                </div>
+            )}
             {/* Legend showing colors and attribute values */}
             {layer.colorByAttribute && attributeValues.length > 0 && (
                 <div className="attribute-legend" onClick={(e) => e.stopPropagation()}>
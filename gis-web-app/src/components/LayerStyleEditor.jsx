@@ -0,0 +1,26 @@
+import React from 'react';
+import StyleFields from './StyleFields';
+import { resolveLayerStyle } from '../utils/layerStyle';
+
+// Style panel of a layer; every change is applied at once through setLayerStyle(layerId, changes)
+const LayerStyleEditor = ({ layer, hasPolygons, hasPoints, setLayerStyle }) => {
+    return (
+        <div className="attribute-selector-dropdown layer-style-editor" onClick={(e) => e.stopPropagation()}>
+            <StyleFields
+                style={resolveLayerStyle(layer)}
+                autoFillColor={layer.color}
+                hasPolygons={hasPolygons}
+                hasPoints={hasPoints}
+                sizeAttribute={layer.sizeByAttribute ? layer.sizeByAttribute.attribute : null}
+                onChange={(changes) => setLayerStyle(layer.id, changes)}
+            />
+            {layer.style && (
+                <button className="style-reset-btn" onClick={() => setLayerStyle(layer.id, null)}>
+                    <i className="fas fa-undo"></i> Reset to default style
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default LayerStyleEditor;
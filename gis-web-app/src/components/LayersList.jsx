@@ -1,18 +1,58 @@
-
-import React from 'react';
+import React, { useState } from 'react';
 import Category from './Category';
 
-const LayersList = ({ layers, categories, toggleCategory, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, moveCategory, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor }) => {
-    const categoryEntries = Object.entries(categories);
-    
+const LayersList = ({ layers, categories, toggleCategory, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, moveCategory, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor, setAttributeClassification, setPointSizing, setLayerStyle, setStyleRules, moveLayer, moveCategoryTo, renameCategory, deleteCategory }) => {
+    const [dragItem, setDragItem] = useState(null); // { type: 'layer', id } or { type: 'category', name }
+    const [dropTarget, setDropTarget] = useState(null); // { type: 'layer', category, index, onHeader } or { type: 'category', index }
+
+    // Drag state shared by categories and layer items: each reports the drop position under the cursor
+    const dragAndDrop = {
+        dragItem,
+        dropTarget,
+        startDrag: (event, item) => {
+            event.stopPropagation();
+            event.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag with data set
+            event.dataTransfer.setData('text/plain', item.type === 'layer' ? String(item.id) : item.name);
+            setDragItem(item);
+        },
+        endDrag: () => {
+            setDragItem(null);
+            setDropTarget(null);
+        },
+        dragOver: (event, target) => {
+            if (!dragItem || dragItem.type !== target.type) return;
+            event.preventDefault();
+            event.stopPropagation();
+            event.dataTransfer.dropEffect = 'move';
+            if (!dropTarget || dropTarget.type !== target.type || dropTarget.category !== target.category ||
+                dropTarget.index !== target.index || dropTarget.onHeader !== target.onHeader) {
+                setDropTarget(target);
+            }
+        },
+        drop: (event, target) => {
+            if (!dragItem || dragItem.type !== target.type) return;
+            event.preventDefault();
+            event.stopPropagation();
+            if (dragItem.type === 'layer') {
+                moveLayer(dragItem.id, target.category, target.index);
+            } else {
+                moveCategoryTo(dragItem.name, target.index);
+            }
+            setDragItem(null);
+            setDropTarget(null);
+        }
+    };
+
     return (
         <div className="layers-list">
-            {categoryEntries.map(([name, data], index) => (
+            {categories.map((category, index) => (
                 <Category
-                    key={name}
-                    name={name}
-                    data={data}
-                    layers={layers.filter(l => l.category === name)}
+                    key={category.name}
+                    name={category.name}
+                    data={category}
+                    index={index}
+                    layers={layers.filter(l => l.category === category.name)}
                     toggleCategory={toggleCategory}
                     toggleLayerVisibility={toggleLayerVisibility}
                     deleteLayer={deleteLayer}
@@ -20,12 +60,19 @@ const LayersList = ({ layers, categories, toggleCategory, toggleLayerVisibility,
                     selectedLayer={selectedLayer}
                     moveCategory={moveCategory}
                     isFirst={index === 0}
-                    isLast={index === categoryEntries.length - 1}
+                    isLast={index === categories.length - 1}
                     setColorByAttribute={setColorByAttribute}
                     getLayerAttributes={getLayerAttributes}
                     getAttributeValues={getAttributeValues}
                     generateAttributeColorMap={generateAttributeColorMap}
                     updateAttributeValueColor={updateAttributeValueColor}
+                    setAttributeClassification={setAttributeClassification}
+                    setPointSizing={setPointSizing}
+                    setLayerStyle={setLayerStyle}
+                    setStyleRules={setStyleRules}
+                    renameCategory={renameCategory}
+                    deleteCategory={deleteCategory}
+                    dragAndDrop={dragAndDrop}
                 />
             ))}
         </div>
@@ -1,25 +1,78 @@
-import React from 'react';
+import React, { useState } from 'react';
 import LayersList from './LayersList';
 
-const LeftSidebar = ({ layers, categories, toggleCategory, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, moveCategory, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor }) => {
+const LeftSidebar = ({ layers, categories, toggleCategory, toggleLayerVisibility, deleteLayer, selectLayer, selectedLayer, moveCategory, setColorByAttribute, getLayerAttributes, getAttributeValues, generateAttributeColorMap, updateAttributeValueColor, setAttributeClassification, setPointSizing, setLayerStyle, setStyleRules, moveLayer, moveCategoryTo, createCategory, renameCategory, deleteCategory, workspaceName, onShowWorkspaces, onSaveProject }) => {
+    const [newCategoryName, setNewCategoryName] = useState(null); // null when the form is hidden
+    const [newCategoryError, setNewCategoryError] = useState(null);
+
     const handleUploadClick = () => {
         document.getElementById('fileInput').click();
     };
 
+    const showNewCategoryForm = () => {
+        setNewCategoryName('');
+        setNewCategoryError(null);
+    };
+
+    const submitNewCategory = () => {
+        const error = createCategory(newCategoryName);
+        if (error) {
+            setNewCategoryError(error);
+        } else {
+            setNewCategoryName(null);
+        }
+    };
+
+    const handleNewCategoryKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            submitNewCategory();
+        } else if (e.key === 'Escape') {
+            setNewCategoryName(null);
+        }
+    };
+
     return (
         <div className="left-sidebar">
             <div className="sidebar-header">
                 <div className="header-top">
                     <h2>Layers</h2>
                     <div className="header-actions">
+                        <button className="icon-btn" onClick={onShowWorkspaces} title={`Workspaces (current: ${workspaceName})`}>
+                            <i className="fas fa-folder-open"></i>
+                        </button>
+                        <button className="icon-btn" onClick={onSaveProject} title="Save project file (.gisproj)">
+                            <i className="fas fa-save"></i>
+                        </button>
                         <button className="icon-btn" title="Settings">
                             <i className="fas fa-cog"></i>
                         </button>
+                        <button className="icon-btn" onClick={showNewCategoryForm} title="New category">
+                            <i className="fas fa-folder-plus"></i>
+                        </button>
                         <button className="icon-btn" onClick={handleUploadClick} title="Upload">
                             <i className="fas fa-upload"></i>
                         </button>
                     </div>
                 </div>
+                {newCategoryName !== null && (
+                    <div className="new-category-form">
+                        <input
+                            type="text"
+                            placeholder="Category name"
+                            value={newCategoryName}
+                            onChange={(e) => { setNewCategoryName(e.target.value); setNewCategoryError(null); }}
+                            onKeyDown={handleNewCategoryKeyDown}
+                            autoFocus
+                        />
+                        <button className="category-order-btn" onClick={submitNewCategory} title="Create">
+                            <i className="fas fa-check"></i>
+                        </button>
+                        <button className="category-order-btn" onClick={() => setNewCategoryName(null)} title="Cancel">
+                            <i className="fas fa-times"></i>
+                        </button>
+                        {newCategoryError && <div className="form-error">{newCategoryError}</div>}
+                    </div>
+                )}
             </div>
             <LayersList
                 layers={layers}
@@ -35,6 +88,14 @@ const LeftSidebar = ({ layers, categories, toggleCategory, toggleLayerVisibility
                 getAttributeValues={getAttributeValues}
                 generateAttributeColorMap={generateAttributeColorMap}
                 updateAttributeValueColor={updateAttributeValueColor}
+                setAttributeClassification={setAttributeClassification}
+                setPointSizing={setPointSizing}
+                setLayerStyle={setLayerStyle}
+                setStyleRules={setStyleRules}
+                moveLayer={moveLayer}
+                moveCategoryTo={moveCategoryTo}
+                renameCategory={renameCategory}
+                deleteCategory={deleteCategory}
             />
         </div>
     );
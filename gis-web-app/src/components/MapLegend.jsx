@@ -0,0 +1,250 @@
+import React, { memo, useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import L from 'leaflet';
+import { classifyFeatures, formatBreakValue } from '../utils/classification';
+import { createRadiusScale, getSizeLegend } from '../utils/proportionalSymbols';
+import { DEFAULT_FILL_OPACITY, resolveLayerStyle, getPathOptions, usesMarkerIcons, getMarkerIconHtml } from '../utils/layerStyle';
+
+const SYMBOL_SIZE = 18;
+
+// Symbol drawn for a layer: the geometry type of its first feature decides between point, line and polygon
+const getSymbolType = (layer) => {
+    const feature = layer.data && layer.data.features && layer.data.features.find(f => f.geometry);
+    const geometryType = feature ? feature.geometry.type : null;
+    if (geometryType === 'Point' || geometryType === 'MultiPoint') return 'point';
+    if (geometryType === 'LineString' || geometryType === 'MultiLineString') return 'line';
+    return 'polygon';
+};
+
+// Drawn with the stroke, fill and marker settings of the layer style, like the features on the map
+const LegendSymbol = ({ type, style, color, radius }) => {
+    const pathOptions = getPathOptions(style, color, style.fillOpacity !== null ? style.fillOpacity : DEFAULT_FILL_OPACITY);
+    const strokeProps = {
+        stroke: pathOptions.color,
+        strokeWidth: pathOptions.weight,
+        strokeDasharray: pathOptions.dashArray || undefined
+    };
+
+    if (type === 'point') {
+        if (usesMarkerIcons(style)) {
+            const { html } = getMarkerIconHtml(style, pathOptions, radius);
+            return <span className="map-legend-symbol" dangerouslySetInnerHTML={{ __html: html }}></span>;
+        }
+        const size = Math.max(SYMBOL_SIZE, radius * 2 + pathOptions.weight * 2);
+        return (
+            <svg className="map-legend-symbol" width={size} height={size}>
+                <circle cx={size / 2} cy={size / 2} r={radius} fill={pathOptions.fillColor} fillOpacity={pathOptions.fillOpacity} {...strokeProps} />
+            </svg>
+        );
+    }
+    if (type === 'line') {
+        return (
+            <svg className="map-legend-symbol" width={SYMBOL_SIZE} height={SYMBOL_SIZE}>
+                <line x1={2} y1={SYMBOL_SIZE - 4} x2={SYMBOL_SIZE - 2} y2={4} {...strokeProps} />
+            </svg>
+        );
+    }
+    return (
+        <svg className="map-legend-symbol" width={SYMBOL_SIZE} height={SYMBOL_SIZE}>
+            <rect x={2} y={2} width={SYMBOL_SIZE - 4} height={SYMBOL_SIZE - 4} fill={pathOptions.fillColor} fillOpacity={pathOptions.fillOpacity} {...strokeProps} />
+        </svg>
+    );
+};
+
+// Legend rows of a layer: style rules and their else symbol, unique values (with customColorMap colors) or graduated classes;
+// no rows for a single symbol. Rows with their own symbol carry its style settings
+const getLayerLegendRows = (layer, getAttributeValues, generateAttributeColorMap) => {
+    const rows = [];
+    let elseSymbol = {};
+    if (layer.styleRules) {
+        layer.styleRules.rules.forEach(rule => {
+            rows.push({ color: rule.symbol.fillColor, label: rule.filter, symbol: rule.symbol });
+        });
+        elseSymbol = layer.styleRules.elseSymbol;
+        // Features no rule matches keep the attribute colors unless the else symbol sets its own fill
+        if (!layer.colorByAttribute || elseSymbol.fillColor) {
+            rows.push({ color: elseSymbol.fillColor, label: 'Other features', symbol: elseSymbol });
+            return rows;
+        }
+    }
+
+    if (layer.colorByAttribute && layer.classification) {
+        const { classes, noDataCount } = classifyFeatures(layer.data.features, layer.colorByAttribute, layer.classification);
+        classes.forEach(graduatedClass => {
+            rows.push({ color: graduatedClass.color, label: `${formatBreakValue(graduatedClass.min)} – ${formatBreakValue(graduatedClass.max)}`, symbol: elseSymbol });
+        });
+        if (noDataCount > 0) {
+            rows.push({ color: layer.color, label: 'No data', symbol: elseSymbol });
+        }
+    } else if (layer.colorByAttribute) {
+        const colorMap = generateAttributeColorMap(layer, layer.colorByAttribute);
+        getAttributeValues(layer, layer.colorByAttribute).forEach(valueObj => {
+            rows.push({ color: colorMap[valueObj.normalized] || layer.color, label: valueObj.original, symbol: elseSymbol });
+        });
+    }
+    return rows;
+};
+
+// Symbols of one layer. Layer updates replace the layer object, so the classes and size scale are recomputed
+// only when it changes, not on every render of the App (the attribute helpers only read the layer)
+const LegendLayer = memo(({ layer, getAttributeValues, generateAttributeColorMap }) => {
+    const symbolType = getSymbolType(layer);
+    const style = resolveLayerStyle(layer);
+    const rows = getLayerLegendRows(layer, getAttributeValues, generateAttributeColorMap);
+    const sizeLegend = symbolType === 'point' && layer.sizeByAttribute
+        ? getSizeLegend(createRadiusScale(layer.data.features, layer.sizeByAttribute))
+        : [];
+
+    return (
+        <div className="map-legend-layer">
+            {rows.length === 0 ? (
+                <div className="map-legend-row">
+                    <LegendSymbol type={symbolType} style={style} color={style.fillColor || layer.color} radius={style.markerSize} />
+                    <span className="map-legend-layer-name">{layer.name}</span>
+                </div>
+            ) : (
+                <>
+                    <div className="map-legend-layer-name">{layer.name}</div>
+                    {layer.colorByAttribute && !layer.styleRules && <div className="map-legend-attribute">{layer.colorByAttribute}</div>}
+                    {rows.map((row, index) => {
+                        const rowStyle = { ...style, ...row.symbol };
+                        return (
+                            <div key={index} className="map-legend-row">
+                                <LegendSymbol type={symbolType} style={rowStyle} color={row.color || rowStyle.fillColor || layer.color} radius={rowStyle.markerSize} />
+                                <span>{row.label}</span>
+                            </div>
+                        );
+                    })}
+                </>
+            )}
+            {sizeLegend.length > 0 && (
+                <>
+                    <div className="map-legend-attribute">{layer.sizeByAttribute.attribute}</div>
+                    {sizeLegend.map((entry, index) => (
+                        <div key={index} className="map-legend-row">
+                            <div className="map-legend-size-symbol" style={{ width: layer.sizeByAttribute.maxRadius * 2 + style.strokeWidth * 2 }}>
+                                <LegendSymbol type="point" style={style} color={style.fillColor || layer.color} radius={entry.radius} />
+                            </div>
+                            <span>{formatBreakValue(entry.value)}</span>
+                        </div>
+                    ))}
+                </>
+            )}
+        </div>
+    );
+}, (prevProps, nextProps) => prevProps.layer === nextProps.layer);
+
+// Leaflet control listing the symbols of the visible layers; collapsible, and draggable by its header within the map
+const MapLegend = ({ map, layers, categories, getAttributeValues, generateAttributeColorMap }) => {
+    const [container, setContainer] = useState(null);
+    const [collapsed, setCollapsed] = useState(false);
+
+    useEffect(() => {
+        if (!map) return;
+
+        const LegendControl = L.Control.extend({
+            onAdd: () => {
+                const div = L.DomUtil.create('div', 'map-legend');
+                // Clicks, drags and scrolling inside the legend must not pan or zoom the map
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                return div;
+            }
+        });
+        const control = new LegendControl({ position: 'bottomright' });
+        control.addTo(map);
+        const legendContainer = control.getContainer();
+
+        // Dragging moves the legend with a CSS offset from its corner, kept inside the map
+        let offset = { x: 0, y: 0 };
+        let stopDragging = null;
+
+        const handleDragStart = (e) => {
+            if (e.button !== 0 || !e.target.closest('.map-legend-header') || e.target.closest('button')) return;
+            e.preventDefault();
+
+            const mapRect = map.getContainer().getBoundingClientRect();
+            const legendRect = legendContainer.getBoundingClientRect();
+            const bounds = {
+                minX: offset.x + mapRect.left - legendRect.left,
+                maxX: offset.x + mapRect.right - legendRect.right,
+                minY: offset.y + mapRect.top - legendRect.top,
+                maxY: offset.y + mapRect.bottom - legendRect.bottom
+            };
+            const start = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+
+            const handleMove = (moveEvent) => {
+                offset = {
+                    x: Math.min(Math.max(moveEvent.clientX - start.x, bounds.minX), bounds.maxX),
+                    y: Math.min(Math.max(moveEvent.clientY - start.y, bounds.minY), bounds.maxY)
+                };
+                legendContainer.style.transform = `translate(${offset.x}px, ${offset.y}px)`;
+            };
+
+            stopDragging = () => {
+                document.removeEventListener('mousemove', handleMove);
+                document.removeEventListener('mouseup', stopDragging);
+                L.DomUtil.removeClass(legendContainer, 'dragging');
+                stopDragging = null;
+            };
+
+            L.DomUtil.addClass(legendContainer, 'dragging');
+            document.addEventListener('mousemove', handleMove);
+            document.addEventListener('mouseup', stopDragging);
+        };
+
+        L.DomEvent.on(legendContainer, 'mousedown', handleDragStart);
+        setContainer(legendContainer);
+
+        return () => {
+            if (stopDragging) stopDragging();
+            L.DomEvent.off(legendContainer, 'mousedown', handleDragStart);
+            control.remove();
+            setContainer(null);
+        };
+    }, [map]);
+
+    // Visible layers in sidebar order
+    const visibleLayers = categories.flatMap(category => (
+        layers.filter(layer => layer.category === category.name && layer.visible)
+    ));
+
+    // The control stays in the map corner but is hidden while there is nothing to explain
+    useEffect(() => {
+        if (container) {
+            container.style.display = visibleLayers.length > 0 ? '' : 'none';
+        }
+    }, [container, visibleLayers.length]);
+
+    if (!container) return null;
+
+    return createPortal(
+        <>
+            <div className="map-legend-header" title="Drag to move the legend">
+                <span><i className="fas fa-list-ul"></i> Legend</span>
+                <button
+                    className="icon-btn"
+                    onClick={() => setCollapsed(!collapsed)}
+                    title={collapsed ? 'Expand Legend' : 'Collapse Legend'}
+                >
+                    <i className={`fas fa-chevron-${collapsed ? 'up' : 'down'}`}></i>
+                </button>
+            </div>
+            {!collapsed && (
+                <div className="map-legend-body">
+                    {visibleLayers.map(layer => (
+                        <LegendLayer
+                            key={layer.id}
+                            layer={layer}
+                            getAttributeValues={getAttributeValues}
+                            generateAttributeColorMap={generateAttributeColorMap}
+                        />
+                    ))}
+                </div>
+            )}
+        </>,
+        container
+    );
+};
+
+export default MapLegend;
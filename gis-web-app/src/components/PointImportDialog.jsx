@@ -0,0 +1,180 @@
+import React, { useState, useMemo } from 'react';
+import proj4 from 'proj4';
+import { getColumnNames, detectCoordinateColumns, extractCoordinatePairs, detectGeometryColumn } from '../utils/importHelpers';
+import { parseWKT, getFirstPosition } from '../utils/wktParser';
+import { COMMON_PROJECTIONS, guessCRSFromCoordinates, getProjectionDefinition, resolveProjection, searchProjections } from '../utils/projections';
+
+const CUSTOM_CRS = 'custom';
+
+// Read the first rows' WKT to guess the CRS and preview the result
+const sampleWKTColumn = (rows, geometryCol) => {
+    const positions = [];
+    const srids = [];
+    let firstGeometry = null;
+    if (!geometryCol) return { positions, srids, firstGeometry };
+
+    rows.slice(0, 100).forEach(row => {
+        try {
+            const { geometry, srid } = parseWKT(row[geometryCol]);
+            const position = getFirstPosition(geometry);
+            if (!position) return;
+            positions.push(position);
+            if (srid && !srids.includes(srid)) srids.push(srid);
+            if (!firstGeometry) firstGeometry = { geometry, position };
+        } catch {
+            // Invalid values are reported when importing
+        }
+    });
+    return { positions, srids, firstGeometry };
+};
+
+const PointImportDialog = ({ pendingImport, onConfirm, onCancel }) => {
+    const { rows, fileName } = pendingImport;
+    const columns = useMemo(() => getColumnNames(rows), [rows]);
+    const detectedColumns = useMemo(() => detectCoordinateColumns(rows), [rows]);
+    const detectedGeometryCol = useMemo(() => detectGeometryColumn(rows), [rows]);
+
+    const [geometryMode, setGeometryMode] = useState(detectedGeometryCol ? 'wkt' : 'xy');
+    const [geometryCol, setGeometryCol] = useState(detectedGeometryCol || '');
+    const [xCol, setXCol] = useState(detectedColumns.xCol || '');
+    const [yCol, setYCol] = useState(detectedColumns.yCol || '');
+    const [crsChoice, setCrsChoice] = useState(null);
+    const [customCode, setCustomCode] = useState('');
+
+    const isWKT = geometryMode === 'wkt';
+    const coordinatePairs = useMemo(() => extractCoordinatePairs(rows, xCol, yCol), [rows, xCol, yCol]);
+    const wktSample = useMemo(() => sampleWKTColumn(rows, geometryCol), [rows, geometryCol]);
+    const samplePositions = isWKT ? wktSample.positions : coordinatePairs;
+
+    // EWKT SRID known to the registry beats guessing from coordinate ranges
+    const sridCRS = isWKT && wktSample.srids.length > 0 ? getProjectionDefinition(`EPSG:${wktSample.srids[0]}`) : null;
+    const guessedCRS = useMemo(() => guessCRSFromCoordinates(samplePositions), [samplePositions]);
+    const detectedCRS = sridCRS ? sridCRS.code : guessedCRS;
+
+    // CRS options: common projections plus the detected CRS when it is another registry code (e.g. an EWKT SRID)
+    const detectedProjection = sridCRS || (detectedCRS ? getProjectionDefinition(detectedCRS) : null);
+    const crsOptions = detectedProjection && !COMMON_PROJECTIONS.some(p => p.code === detectedProjection.code)
+        ? [...COMMON_PROJECTIONS, detectedProjection]
+        : COMMON_PROJECTIONS;
+
+    // Follow the detection until the user picks a CRS explicitly
+    const selectedCRS = crsChoice || detectedCRS || 'EPSG:4326';
+    const customProjection = selectedCRS === CUSTOM_CRS ? getProjectionDefinition(customCode) : null;
+    const customSuggestions = useMemo(() => searchProjections(customCode), [customCode]);
+    const sourceCRS = selectedCRS === CUSTOM_CRS ? (customProjection && customProjection.code) : selectedCRS;
+    const canImport = sourceCRS && (isWKT
+        ? geometryCol && wktSample.positions.length > 0
+        : xCol && yCol && xCol !== yCol && coordinatePairs.length > 0);
+
+    // Preview the first converted position so the user can sanity-check the choice
+    let previewText = 'N/A';
+    const previewPosition = isWKT ? (wktSample.firstGeometry && wktSample.firstGeometry.position) : coordinatePairs[0];
+    if (previewPosition && sourceCRS) {
+        try {
+            const [lon, lat] = proj4(resolveProjection(sourceCRS), 'EPSG:4326', previewPosition.slice(0, 2));
+            const prefix = isWKT ? `${wktSample.firstGeometry.geometry.type}: ` : '';
+            previewText = `${prefix}${previewPosition[0]}, ${previewPosition[1]} → ${lon.toFixed(6)}, ${lat.toFixed(6)}`;
+        } catch (error) {
+            previewText = `Cannot transform: ${error.message}`;
+        }
+    }
+
+    const handleConfirm = () => {
+        onConfirm(isWKT ? { geometryCol, sourceCRS } : { xCol, yCol, sourceCRS });
+    };
+
+    return (
+        <div className="dialog-overlay active">
+            <div className="dialog">
+                <h3>{isWKT ? 'Import geometries' : 'Import points'}</h3>
+                <p>
+                    {fileName}: {rows.length} rows
+                    {!isWKT && <>, {coordinatePairs.length} with numeric coordinates</>}
+                </p>
+                <div className="form-group">
+                    <label>Geometry from</label>
+                    <select value={geometryMode} onChange={(e) => setGeometryMode(e.target.value)}>
+                        <option value="xy">X / Y coordinate columns (points)</option>
+                        <option value="wkt">WKT / EWKT geometry column</option>
+                    </select>
+                </div>
+                {isWKT ? (
+                    <div className="form-group">
+                        <label>Geometry column</label>
+                        <select value={geometryCol} onChange={(e) => setGeometryCol(e.target.value)}>
+                            <option value="">-- Select --</option>
+                            {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                        </select>
+                        {geometryCol && wktSample.positions.length === 0 && (
+                            <div className="form-error">No valid WKT found in the first rows of this column</div>
+                        )}
+                    </div>
+                ) : (
+                    <div className="form-row">
+                        <div className="form-group">
+                            <label>X / Longitude column</label>
+                            <select value={xCol} onChange={(e) => setXCol(e.target.value)}>
+                                <option value="">-- Select --</option>
+                                {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label>Y / Latitude column</label>
+                            <select value={yCol} onChange={(e) => setYCol(e.target.value)}>
+                                <option value="">-- Select --</option>
+                                {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                )}
+                <div className="form-group">
+                    <label>
+                        Coordinate system {detectedCRS && <span className="form-hint">(detected{sridCRS ? ' from EWKT SRID' : ''}: {detectedCRS})</span>}
+                    </label>
+                    <select value={selectedCRS} onChange={(e) => setCrsChoice(e.target.value)}>
+                        {crsOptions.map(projection => (
+                            <option key={projection.code} value={projection.code}>
+                                {projection.code} - {projection.name}
+                            </option>
+                        ))}
+                        <option value={CUSTOM_CRS}>Other EPSG code...</option>
+                    </select>
+                    {isWKT && wktSample.srids.length > 0 && (
+                        <div className="form-hint">Rows with an EWKT SRID are read in that CRS; the selection applies to the others.</div>
+                    )}
+                </div>
+                {selectedCRS === CUSTOM_CRS && (
+                    <div className="form-group">
+                        <label>EPSG code or name</label>
+                        <input
+                            type="text"
+                            list="point-import-crs-list"
+                            value={customCode}
+                            onChange={(e) => setCustomCode(e.target.value)}
+                            placeholder="e.g. 32631 or Nord Maroc"
+                        />
+                        <datalist id="point-import-crs-list">
+                            {customSuggestions.map(projection => (
+                                <option key={projection.code} value={projection.code}>{projection.name}</option>
+                            ))}
+                        </datalist>
+                        {customProjection && <div className="form-hint">{customProjection.name}</div>}
+                        {customCode.trim() !== '' && !customProjection && (
+                            <div className="form-error">Unknown EPSG code: not in the bundled projection registry</div>
+                        )}
+                    </div>
+                )}
+                <div className="form-group">
+                    <label>Preview (first {isWKT ? 'vertex' : 'point'} → WGS 84)</label>
+                    <div className="form-preview">{previewText}</div>
+                </div>
+                <div className="dialog-actions">
+                    <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+                    <button className="btn btn-primary" onClick={handleConfirm} disabled={!canImport}>Import</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PointImportDialog;
@@ -9,13 +9,18 @@ import {
     getLayerSummary,
     countByCategory
 } from '../utils/dataFunctions';
+import { COMMON_PROJECTIONS, getProjectionDefinition } from '../utils/projections';
+import { exportToShapefile } from '../utils/shapefileWriter';
+import { exportToKML, exportToKMZ } from '../utils/kmlWriter';
+import { exportToGPX } from '../utils/gpxWriter';
 
-const RightSidebar = ({ selectedColor, selectColor, zoomIn, zoomOut, setTool, activeTool, selectedLayer, projection, layerGroupsRef, map, onShowStatistics }) => {
+const RightSidebar = ({ selectedColor, selectColor, zoomIn, zoomOut, setTool, activeTool, selectedLayer, projection, layerGroupsRef, map, onShowStatistics, generateAttributeColorMap }) => {
     const [showLayerInfo, setShowLayerInfo] = useState(false);
     const [searchQuery, setSearchQuery] = useState("");
     const [searchResults, setSearchResults] = useState([]);
     const [highlightedFeature, setHighlightedFeature] = useState(null);
     const highlightLayerRef = useRef(null);
+    const [exportCRS, setExportCRS] = useState(null); // null = CRS the selected layer was imported from
 
     const colors = [
         '#1f2937', '#6b7280', '#dc2626', '#ec4899', '#a855f7',
@@ -97,6 +102,48 @@ const RightSidebar = ({ selectedColor, selectColor, zoomIn, zoomOut, setTool, ac
         return `[${southWest.lng.toFixed(4)}, ${southWest.lat.toFixed(4)}] to [${northEast.lng.toFixed(4)}, ${northEast.lat.toFixed(4)}]`;
     };
 
+    // A CRS chosen for one layer must not carry over to the next: another layer defaults to its own source CRS
+    const selectedLayerId = selectedLayer ? selectedLayer.id : null;
+    useEffect(() => {
+        setExportCRS(null);
+    }, [selectedLayerId]);
+
+    // Export CRS options: common projections plus the layer's own source CRS when it is a registry code
+    const layerSourceProjection = selectedLayer ? getProjectionDefinition(selectedLayer.sourceCRS) : null;
+    const exportProjections = layerSourceProjection && !COMMON_PROJECTIONS.some(p => p.code === layerSourceProjection.code)
+        ? [...COMMON_PROJECTIONS, layerSourceProjection]
+        : COMMON_PROJECTIONS;
+    const targetCRS = exportCRS || (layerSourceProjection ? layerSourceProjection.code : 'EPSG:4326');
+
+    const downloadFile = (content, fileName, mimeType) => {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    const canExportGPX = Boolean(selectedLayer && selectedLayer.data && selectedLayer.data.features &&
+        selectedLayer.data.features.some(feature => feature.geometry &&
+            ['Point', 'MultiPoint', 'LineString', 'MultiLineString'].includes(feature.geometry.type)));
+
+    // Colours of the attribute classes as drawn on the map, for style-preserving exports
+    const getLayerColorMap = () => (
+        selectedLayer.colorByAttribute && generateAttributeColorMap
+            ? generateAttributeColorMap(selectedLayer, selectedLayer.colorByAttribute)
+            : null
+    );
+
+    const runExport = async (exportFn) => {
+        try {
+            await exportFn();
+        } catch (error) {
+            console.error('Export error:', error);
+            alert(`Error exporting ${selectedLayer.name}: ${error.message}`);
+        }
+    };
+
     const getCRS = () => {
         if (selectedLayer && selectedLayer.data && selectedLayer.data.crs && selectedLayer.data.crs.properties && selectedLayer.data.crs.properties.name) {
             return selectedLayer.data.crs.properties.name;
@@ -209,16 +256,22 @@ const RightSidebar = ({ selectedColor, selectColor, zoomIn, zoomOut, setTool, ac
                             <div className="action-list">
                                 {selectedLayer && (
                                     <>
+                                        <div className="export-crs">
+                                            <label htmlFor="exportCRS">Export CRS</label>
+                                            <select id="exportCRS" value={targetCRS} onChange={(e) => setExportCRS(e.target.value)}>
+                                                {exportProjections.map(projection => (
+                                                    <option key={projection.code} value={projection.code}>
+                                                        {projection.code} - {projection.name}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
                                         <button 
                                             className="action-item"
-                                            onClick={() => {
-                                                const csv = exportToCSV(selectedLayer);
-                                                const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-                                                const link = document.createElement('a');
-                                                link.href = URL.createObjectURL(blob);
-                                                link.download = `${selectedLayer.name}.csv`;
-                                                link.click();
-                                            }}
+                                            onClick={() => runExport(() => {
+                                                const csv = exportToCSV(selectedLayer, targetCRS);
+                                                downloadFile(csv, `${selectedLayer.name}.csv`, 'text/csv;charset=utf-8;');
+                                            })}
                                             title="Export to CSV"
                                         >
                                             <i className="fas fa-file-csv" style={{ color: '#22c55e' }}></i>
@@ -226,19 +279,60 @@ const RightSidebar = ({ selectedColor, selectColor, zoomIn, zoomOut, setTool, ac
                                         </button>
                                         <button 
                                             className="action-item"
-                                            onClick={() => {
-                                                const geojson = exportToGeoJSON(selectedLayer);
-                                                const blob = new Blob([geojson], { type: 'application/json' });
-                                                const link = document.createElement('a');
-                                                link.href = URL.createObjectURL(blob);
-                                                link.download = `${selectedLayer.name}.geojson`;
-                                                link.click();
-                                            }}
+                                            onClick={() => runExport(() => {
+                                                const geojson = exportToGeoJSON(selectedLayer, targetCRS);
+                                                downloadFile(geojson, `${selectedLayer.name}.geojson`, 'application/json');
+                                            })}
                                             title="Export to GeoJSON"
                                         >
                                             <i className="fas fa-file-code" style={{ color: '#3b82f6' }}></i>
                                             Export to GeoJSON
                                         </button>
+                                        <button 
+                                            className="action-item"
+                                            onClick={() => runExport(async () => {
+                                                const zip = await exportToShapefile(selectedLayer, targetCRS);
+                                                downloadFile(zip, `${selectedLayer.name}.zip`, 'application/zip');
+                                            })}
+                                            title="Export to Shapefile"
+                                        >
+                                            <i className="fas fa-file-archive" style={{ color: '#8b5cf6' }}></i>
+                                            Export to Shapefile
+                                        </button>
+                                        <button 
+                                            className="action-item"
+                                            onClick={() => runExport(() => {
+                                                const kml = exportToKML(selectedLayer, getLayerColorMap());
+                                                downloadFile(kml, `${selectedLayer.name}.kml`, 'application/vnd.google-earth.kml+xml');
+                                            })}
+                                            title="Export to KML (always WGS 84)"
+                                        >
+                                            <i className="fas fa-globe-africa" style={{ color: '#ef4444' }}></i>
+                                            Export to KML
+                                        </button>
+                                        <button 
+                                            className="action-item"
+                                            onClick={() => runExport(async () => {
+                                                const kmz = await exportToKMZ(selectedLayer, getLayerColorMap());
+                                                downloadFile(kmz, `${selectedLayer.name}.kmz`, 'application/vnd.google-earth.kmz');
+                                            })}
+                                            title="Export to KMZ (always WGS 84)"
+                                        >
+                                            <i className="fas fa-globe-africa" style={{ color: '#f97316' }}></i>
+                                            Export to KMZ
+                                        </button>
+                                        <button 
+                                            className="action-item"
+                                            onClick={() => runExport(() => {
+                                                const gpx = exportToGPX(selectedLayer);
+                                                downloadFile(gpx, `${selectedLayer.name}.gpx`, 'application/gpx+xml');
+                                            })}
+                                            disabled={!canExportGPX}
+                                            title={canExportGPX ? 'Export to GPX (waypoints and tracks)' : 'GPX export needs point or line features'}
+                                        >
+                                            <i className="fas fa-route" style={{ color: '#14b8a6' }}></i>
+                                            Export to GPX
+                                        </button>
                                         <button 
                                             className="action-item"
                                             onClick={() => {
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { SHAPEFILE_EXTENSIONS, getMissingShapefileParts } from '../utils/shapefileGroups';
+
+const ShapefileCheckDialog = ({ pendingCheck, onConfirm, onCancel }) => {
+    const { groups, sourceName } = pendingCheck;
+
+    const groupSummaries = Object.entries(groups).map(([baseName, fileGroup]) => {
+        const missing = getMissingShapefileParts(fileGroup);
+        return {
+            baseName,
+            present: SHAPEFILE_EXTENSIONS.filter(ext => fileGroup[ext]),
+            missing,
+            importable: !missing.some(part => part.blocking)
+        };
+    });
+
+    // Importable groups start selected; the user opts out of incomplete ones
+    const [selectedGroups, setSelectedGroups] = useState(() => groupSummaries
+        .filter(group => group.importable)
+        .map(group => group.baseName));
+
+    const toggleGroup = (baseName) => {
+        setSelectedGroups(prevSelected => prevSelected.includes(baseName)
+            ? prevSelected.filter(name => name !== baseName)
+            : [...prevSelected, baseName]);
+    };
+
+    const hasImportable = groupSummaries.some(group => group.importable);
+
+    return (
+        <div className="dialog-overlay active">
+            <div className="dialog">
+                <h3>Incomplete shapefiles</h3>
+                <p>
+                    {sourceName ? `${sourceName}: ` : ''}
+                    {groupSummaries.length > 1 ? 'these shapefiles are' : 'this shapefile is'} missing component files.
+                    {hasImportable && ' Select the ones to import anyway.'}
+                </p>
+                <div className="sheet-list">
+                    {groupSummaries.map(group => (
+                        <label key={group.baseName} className={`sheet-item shapefile-group ${group.importable ? '' : 'blocked'}`}>
+                            <input
+                                type="checkbox"
+                                checked={selectedGroups.includes(group.baseName)}
+                                onChange={() => toggleGroup(group.baseName)}
+                                disabled={!group.importable}
+                            />
+                            <div className="shapefile-group-details">
+                                <div>
+                                    <span className="sheet-name">{group.baseName}</span>
+                                    <span className="sheet-meta"> {group.present.map(ext => `.${ext}`).join(', ') || 'no files'}</span>
+                                </div>
+                                {group.missing.map(part => (
+                                    <div key={part.ext} className={part.blocking ? 'form-error' : 'form-hint'}>
+                                        Missing .{part.ext}: {part.consequence}
+                                    </div>
+                                ))}
+                            </div>
+                        </label>
+                    ))}
+                </div>
+                <div className="dialog-actions">
+                    <button className="btn btn-secondary" onClick={onCancel}>{hasImportable ? 'Cancel' : 'Close'}</button>
+                    {hasImportable && (
+                        <button className="btn btn-primary" onClick={() => onConfirm(selectedGroups)} disabled={selectedGroups.length === 0}>
+                            Import anyway
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ShapefileCheckDialog;
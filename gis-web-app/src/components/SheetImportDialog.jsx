@@ -0,0 +1,66 @@
+import React, { useState, useMemo } from 'react';
+import { getColumnNames, detectCoordinateColumns } from '../utils/importHelpers';
+
+const SheetImportDialog = ({ pendingWorkbook, onConfirm, onCancel }) => {
+    const { sheets, fileName } = pendingWorkbook;
+
+    const sheetSummaries = useMemo(() => sheets.map(sheet => {
+        const { xCol, yCol } = detectCoordinateColumns(sheet.rows);
+        return {
+            name: sheet.name,
+            rowCount: sheet.rows.length,
+            columnCount: getColumnNames(sheet.rows).length,
+            coordinates: xCol && yCol ? `${xCol} / ${yCol}` : null
+        };
+    }), [sheets]);
+
+    // Start with every sheet that has rows selected
+    const [selectedSheets, setSelectedSheets] = useState(() => sheetSummaries
+        .filter(sheet => sheet.rowCount > 0)
+        .map(sheet => sheet.name));
+
+    const toggleSheet = (sheetName) => {
+        setSelectedSheets(prevSelected => prevSelected.includes(sheetName)
+            ? prevSelected.filter(name => name !== sheetName)
+            : [...prevSelected, sheetName]);
+    };
+
+    const handleConfirm = () => {
+        // Keep workbook order rather than click order
+        onConfirm(sheetSummaries.map(sheet => sheet.name).filter(name => selectedSheets.includes(name)));
+    };
+
+    return (
+        <div className="dialog-overlay active">
+            <div className="dialog">
+                <h3>Import Excel sheets</h3>
+                <p>{fileName}: {sheets.length} sheets. Each selected sheet becomes a separate layer; coordinate columns are confirmed per sheet.</p>
+                <div className="sheet-list">
+                    {sheetSummaries.map(sheet => (
+                        <label key={sheet.name} className={`sheet-item ${sheet.rowCount === 0 ? 'empty' : ''}`}>
+                            <input
+                                type="checkbox"
+                                checked={selectedSheets.includes(sheet.name)}
+                                onChange={() => toggleSheet(sheet.name)}
+                                disabled={sheet.rowCount === 0}
+                            />
+                            <span className="sheet-name">{sheet.name}</span>
+                            <span className="sheet-meta">
+                                {sheet.rowCount} rows, {sheet.columnCount} columns
+                                {sheet.coordinates && <> · {sheet.coordinates}</>}
+                            </span>
+                        </label>
+                    ))}
+                </div>
+                <div className="dialog-actions">
+                    <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+                    <button className="btn btn-primary" onClick={handleConfirm} disabled={selectedSheets.length === 0}>
+                        Import {selectedSheets.length > 1 ? `${selectedSheets.length} sheets` : 'sheet'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SheetImportDialog;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { DASH_PATTERNS, MARKER_SHAPES, MARKER_ICONS, DEFAULT_FILL_OPACITY, MAX_STROKE_WIDTH } from '../utils/layerStyle';
+import { MIN_SYMBOL_RADIUS, MAX_SYMBOL_RADIUS } from '../utils/proportionalSymbols';
+
+// Stroke, fill and marker inputs of a resolved style; onChange(changes) receives the edited settings only.
+// autoFillColor is the color shown while the fill color is automatic; sizeAttribute replaces the marker size input when points are sized by an attribute
+const StyleFields = ({ style, autoFillColor, hasPolygons, hasPoints, sizeAttribute, onChange }) => {
+    const fillColor = style.fillColor || autoFillColor;
+    const fillOpacity = style.fillOpacity !== null ? style.fillOpacity : DEFAULT_FILL_OPACITY;
+
+    return (
+        <>
+            <div className="style-color-row">
+                <label>Stroke color:</label>
+                <input
+                    type="color"
+                    value={style.strokeColor || fillColor}
+                    onChange={(e) => onChange({ strokeColor: e.target.value })}
+                />
+                {style.strokeColor && (
+                    <button className="style-auto-btn" onClick={() => onChange({ strokeColor: null })} title="Same as fill color">
+                        Auto
+                    </button>
+                )}
+            </div>
+            <label>Stroke width: {style.strokeWidth}px</label>
+            <input
+                type="range"
+                min={0}
+                max={MAX_STROKE_WIDTH}
+                step={0.5}
+                value={style.strokeWidth}
+                onChange={(e) => onChange({ strokeWidth: Number(e.target.value) })}
+            />
+            <label>Dash pattern:</label>
+            <select
+                value={style.dash}
+                onChange={(e) => onChange({ dash: e.target.value })}
+                className="attribute-select"
+            >
+                {DASH_PATTERNS.map(pattern => (
+                    <option key={pattern.value} value={pattern.value}>{pattern.label}</option>
+                ))}
+            </select>
+
+            {(hasPolygons || hasPoints) && (
+                <>
+                    <div className="style-color-row">
+                        <label>Fill color:</label>
+                        <input
+                            type="color"
+                            value={fillColor}
+                            onChange={(e) => onChange({ fillColor: e.target.value })}
+                        />
+                        {style.fillColor && (
+                            <button className="style-auto-btn" onClick={() => onChange({ fillColor: null })} title="Layer color (or the feature's KML fill)">
+                                Auto
+                            </button>
+                        )}
+                    </div>
+                    <label>Fill opacity: {Math.round(fillOpacity * 100)}%</label>
+                    <input
+                        type="range"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        value={fillOpacity}
+                        onChange={(e) => onChange({ fillOpacity: Number(e.target.value) })}
+                    />
+                </>
+            )}
+
+            {hasPoints && (
+                <>
+                    <label>Marker shape:</label>
+                    <select
+                        value={style.markerShape}
+                        onChange={(e) => onChange({ markerShape: e.target.value })}
+                        className="attribute-select"
+                        disabled={Boolean(style.icon)}
+                    >
+                        {MARKER_SHAPES.map(shape => (
+                            <option key={shape.value} value={shape.value}>{shape.label}</option>
+                        ))}
+                    </select>
+                    <label>Marker icon:</label>
+                    <select
+                        value={style.icon || ''}
+                        onChange={(e) => onChange({ icon: e.target.value || null })}
+                        className="attribute-select"
+                    >
+                        <option value="">None (use shape)</option>
+                        {MARKER_ICONS.map(icon => (
+                            <option key={icon.value} value={icon.value}>{icon.label}</option>
+                        ))}
+                    </select>
+                    {sizeAttribute ? (
+                        <div className="form-hint">Marker size follows {sizeAttribute}</div>
+                    ) : (
+                        <>
+                            <label>Marker size: {style.markerSize}px</label>
+                            <input
+                                type="range"
+                                min={MIN_SYMBOL_RADIUS}
+                                max={MAX_SYMBOL_RADIUS}
+                                value={style.markerSize}
+                                onChange={(e) => onChange({ markerSize: Number(e.target.value) })}
+                            />
+                        </>
+                    )}
+                </>
+            )}
+        </>
+    );
+};
+
+export default StyleFields;
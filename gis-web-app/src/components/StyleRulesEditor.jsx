@@ -0,0 +1,139 @@
+import React, { useMemo, useState } from 'react';
+import StyleFields from './StyleFields';
+import { resolveLayerStyle } from '../utils/layerStyle';
+import { parseExpression, getExpressionFields } from '../utils/featureExpression';
+import { createStyleRule, countRuleMatches } from '../utils/styleRules';
+
+// Syntax error of a filter, or a note about fields the layer does not have
+const checkFilter = (filter, attributes) => {
+    try {
+        const lowerAttributes = attributes.map(attr => attr.toLowerCase());
+        const unknownFields = getExpressionFields(parseExpression(filter))
+            .filter(field => !lowerAttributes.includes(field.toLowerCase()));
+        return {
+            error: null,
+            warning: unknownFields.length > 0 ? `Unknown field${unknownFields.length > 1 ? 's' : ''}: ${unknownFields.join(', ')}` : null
+        };
+    } catch (error) {
+        return { error: error.message, warning: null };
+    }
+};
+
+// Rules are edited as a draft and applied together; the first rule whose filter matches a feature gives its symbol
+const StyleRulesEditor = ({ layer, attributes, hasPolygons, hasPoints, setStyleRules }) => {
+    const [draft, setDraft] = useState(() => layer.styleRules || { rules: [createStyleRule(0)], elseSymbol: {} });
+    const [editingSymbol, setEditingSymbol] = useState(null); // Rule id, 'else' or null
+
+    const layerStyle = resolveLayerStyle(layer);
+    const autoFillColor = layerStyle.fillColor || layer.color;
+    const sizeAttribute = layer.sizeByAttribute ? layer.sizeByAttribute.attribute : null;
+
+    const checks = draft.rules.map(rule => checkFilter(rule.filter, attributes));
+    const hasErrors = checks.some(check => check.error);
+    const { ruleCounts, elseCount } = useMemo(() => countRuleMatches(draft, layer.data.features), [draft, layer.data]);
+
+    const updateRule = (ruleId, changes) => {
+        setDraft(prevDraft => ({
+            ...prevDraft,
+            rules: prevDraft.rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule))
+        }));
+    };
+
+    const moveRule = (index, offset) => {
+        setDraft(prevDraft => {
+            const rules = [...prevDraft.rules];
+            const [rule] = rules.splice(index, 1);
+            rules.splice(index + offset, 0, rule);
+            return { ...prevDraft, rules };
+        });
+    };
+
+    const deleteRule = (ruleId) => {
+        setDraft(prevDraft => ({ ...prevDraft, rules: prevDraft.rules.filter(rule => rule.id !== ruleId) }));
+    };
+
+    const addRule = () => {
+        setDraft(prevDraft => ({ ...prevDraft, rules: [...prevDraft.rules, createStyleRule(prevDraft.rules.length)] }));
+    };
+
+    const renderSymbolFields = (symbol, onChange) => (
+        <div className="style-rule-symbol">
+            <StyleFields
+                style={{ ...layerStyle, ...symbol }}
+                autoFillColor={autoFillColor}
+                hasPolygons={hasPolygons}
+                hasPoints={hasPoints}
+                sizeAttribute={sizeAttribute}
+                onChange={(changes) => onChange({ ...symbol, ...changes })}
+            />
+        </div>
+    );
+
+    return (
+        <div className="attribute-selector-dropdown style-rules-editor" onClick={(e) => e.stopPropagation()}>
+            <label>Rules (the first matching rule applies):</label>
+            {draft.rules.map((rule, index) => (
+                <div key={rule.id} className="style-rule">
+                    <div className="style-rule-header">
+                        <button
+                            className="style-rule-swatch"
+                            style={{ backgroundColor: rule.symbol.fillColor || autoFillColor }}
+                            onClick={() => setEditingSymbol(editingSymbol === rule.id ? null : rule.id)}
+                            title="Edit Symbol"
+                        ></button>
+                        <input
+                            type="text"
+                            className="style-rule-filter"
+                            value={rule.filter}
+                            onChange={(e) => updateRule(rule.id, { filter: e.target.value })}
+                            placeholder="mat = 'argile' AND depth > 5"
+                            spellCheck={false}
+                        />
+                        <span className="legend-count" title="Matching features">{checks[index].error ? '–' : ruleCounts[index]}</span>
+                        <button className="layer-order-btn" onClick={() => moveRule(index, -1)} disabled={index === 0} title="Move Rule Up">
+                            <i className="fas fa-arrow-up"></i>
+                        </button>
+                        <button className="layer-order-btn" onClick={() => moveRule(index, 1)} disabled={index === draft.rules.length - 1} title="Move Rule Down">
+                            <i className="fas fa-arrow-down"></i>
+                        </button>
+                        <button className="layer-order-btn" onClick={() => deleteRule(rule.id)} title="Delete Rule">
+                            <i className="fas fa-trash"></i>
+                        </button>
+                    </div>
+                    {checks[index].error && <div className="form-error">{checks[index].error}</div>}
+                    {checks[index].warning && <div className="form-hint">{checks[index].warning}</div>}
+                    {editingSymbol === rule.id && renderSymbolFields(rule.symbol, (symbol) => updateRule(rule.id, { symbol }))}
+                </div>
+            ))}
+            <button className="style-auto-btn style-rule-add" onClick={addRule}>
+                <i className="fas fa-plus"></i> Add rule
+            </button>
+
+            <div className="style-rule else">
+                <div className="style-rule-header">
+                    <button
+                        className="style-rule-swatch"
+                        style={{ backgroundColor: draft.elseSymbol.fillColor || autoFillColor }}
+                        onClick={() => setEditingSymbol(editingSymbol === 'else' ? null : 'else')}
+                        title="Edit Symbol"
+                    ></button>
+                    <span className="style-rule-filter">Else (other features)</span>
+                    <span className="legend-count" title="Matching features">{elseCount}</span>
+                </div>
+                {editingSymbol === 'else' && renderSymbolFields(draft.elseSymbol, (elseSymbol) => setDraft(prevDraft => ({ ...prevDraft, elseSymbol })))}
+            </div>
+
+            {attributes.length > 0 && (
+                <div className="form-hint style-rules-fields">Fields: {attributes.join(', ')}</div>
+            )}
+            <div className="style-rules-actions">
+                {layer.styleRules && (
+                    <button className="btn btn-secondary" onClick={() => setStyleRules(layer.id, null)}>Remove rules</button>
+                )}
+                <button className="btn btn-primary" onClick={() => setStyleRules(layer.id, draft)} disabled={hasErrors}>Apply</button>
+            </div>
+        </div>
+    );
+};
+
+export default StyleRulesEditor;
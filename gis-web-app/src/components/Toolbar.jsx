@@ -1,7 +1,6 @@
-
 import React from 'react';
 
-const Toolbar = ({ showBufferDialog }) => {
+const Toolbar = ({ showBufferDialog, onUndo, onRedo, canUndo, canRedo, toggleHistoryPanel }) => {
     return (
         <div className="top-toolbar">
             <button className="toolbar-btn" onClick={showBufferDialog} title="Buffer Analysis">
@@ -14,6 +13,16 @@ const Toolbar = ({ showBufferDialog }) => {
             <button className="toolbar-btn" title="Draw">
                 <i className="fas fa-pencil-alt"></i>
             </button>
+            <div className="toolbar-divider"></div>
+            <button className="toolbar-btn" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+                <i className="fas fa-undo"></i>
+            </button>
+            <button className="toolbar-btn" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Y)">
+                <i className="fas fa-redo"></i>
+            </button>
+            <button className="toolbar-btn" onClick={toggleHistoryPanel} title="History">
+                <i className="fas fa-history"></i>
+            </button>
         </div>
     );
 };
@@ -0,0 +1,38 @@
+import React from 'react';
+
+const UploadQueue = ({ uploads, onCancel }) => {
+    if (uploads.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="upload-queue">
+            <div className="upload-queue-header">
+                <i className="fas fa-spinner fa-spin"></i> Importing {uploads.length} {uploads.length > 1 ? 'files' : 'file'}
+            </div>
+            {uploads.map(upload => (
+                <div key={upload.id} className="upload-item">
+                    <div className="upload-item-header">
+                        <span className="upload-item-name" title={upload.fileName}>{upload.fileName}</span>
+                        <button className="upload-item-cancel" onClick={() => onCancel(upload.id)} title="Cancel import">
+                            <i className="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div className="upload-progress">
+                        <div
+                            className={`upload-progress-bar ${upload.status !== 'running' ? 'queued' : ''}`}
+                            style={{ width: `${Math.round(upload.progress * 100)}%` }}
+                        ></div>
+                    </div>
+                    <div className="upload-item-stage">
+                        {upload.status === 'queued' && 'Waiting…'}
+                        {upload.status === 'waiting' && upload.stage}
+                        {upload.status === 'running' && `${upload.stage} ${Math.round(upload.progress * 100)}%`}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default UploadQueue;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { getUniqueWorkspaceName } from '../utils/workspaceStore';
+
+const formatSavedAt = (savedAt) => {
+    const date = new Date(savedAt);
+    return isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+// startup: offer to restore a saved workspace or start empty
+// otherwise: switch, delete, copy ("save as") or create workspaces; the current one is autosaved
+const WorkspaceDialog = ({ startup, workspaces, currentName, onOpen, onDelete, onSaveAs, onNew, onClose }) => {
+    const existingNames = workspaces.map(workspace => workspace.name);
+    const [selectedName, setSelectedName] = useState(() => {
+        const preferred = startup ? currentName : workspaces.find(workspace => workspace.name !== currentName)?.name;
+        return existingNames.includes(preferred) ? preferred : existingNames[0] || null;
+    });
+    const [newName, setNewName] = useState(() => getUniqueWorkspaceName(existingNames));
+
+    const trimmedName = newName.trim();
+    const nameError = !trimmedName
+        ? 'Enter a workspace name'
+        : existingNames.includes(trimmedName) ? `A workspace named "${trimmedName}" already exists` : null;
+
+    const handleDelete = () => {
+        if (selectedName && window.confirm(`Delete workspace "${selectedName}"? Its layers cannot be recovered.`)) {
+            onDelete(selectedName);
+            setSelectedName(existingNames.find(name => name !== selectedName) || null);
+        }
+    };
+
+    return (
+        <div className="dialog-overlay active">
+            <div className="dialog">
+                <h3>{startup ? 'Restore a workspace' : 'Workspaces'}</h3>
+                <p>
+                    {startup
+                        ? 'Workspaces saved in this browser. Restore one or start with an empty map.'
+                        : `Changes are saved automatically to "${currentName}".`}
+                </p>
+                {workspaces.length > 0 ? (
+                    <div className="sheet-list">
+                        {workspaces.map(workspace => (
+                            <label key={workspace.name} className="sheet-item">
+                                <input
+                                    type="radio"
+                                    name="workspace"
+                                    checked={selectedName === workspace.name}
+                                    onChange={() => setSelectedName(workspace.name)}
+                                />
+                                <span className="sheet-name">
+                                    {workspace.name}
+                                    {!startup && workspace.name === currentName && <span className="form-hint"> (current)</span>}
+                                </span>
+                                <span className="sheet-meta">
+                                    {workspace.layerCount} {workspace.layerCount === 1 ? 'layer' : 'layers'}, {workspace.featureCount} features · {formatSavedAt(workspace.savedAt)}
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+                ) : (
+                    <p className="form-hint">No saved workspaces.</p>
+                )}
+                <div className="dialog-actions workspace-list-actions">
+                    <button className="btn btn-secondary" onClick={handleDelete} disabled={!selectedName || (!startup && selectedName === currentName)}>
+                        Delete
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={() => onOpen(selectedName)}
+                        disabled={!selectedName || (!startup && selectedName === currentName)}
+                    >
+                        {startup ? 'Restore' : 'Open'}
+                    </button>
+                </div>
+                <div className="form-group">
+                    <label>{startup ? 'Or start an empty workspace named' : 'Workspace name'}</label>
+                    <input type="text" value={newName} onChange={(e) => setNewName(e.target.value)} />
+                    {nameError && <div className="form-error">{nameError}</div>}
+                </div>
+                <div className="dialog-actions">
+                    {!startup && <button className="btn btn-secondary" onClick={onClose}>Close</button>}
+                    {!startup && (
+                        <button className="btn btn-secondary" onClick={() => onSaveAs(trimmedName)} disabled={Boolean(nameError)}>
+                            Save current as
+                        </button>
+                    )}
+                    <button className="btn btn-primary" onClick={() => onNew(trimmedName)} disabled={Boolean(nameError)}>
+                        {startup ? 'Start empty' : 'New empty workspace'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default WorkspaceDialog;
@@ -0,0 +1,284 @@
+/**
+ * Numeric classification for graduated symbology: class breaks (equal interval, quantile, Jenks, standard deviation) and colour ramps
+ */
+
+export const CLASSIFICATION_METHODS = [
+    { value: 'equalInterval', label: 'Equal interval' },
+    { value: 'quantile', label: 'Quantile' },
+    { value: 'jenks', label: 'Natural breaks (Jenks)' },
+    { value: 'stdDev', label: 'Standard deviation' }
+];
+
+// Colour stops from low to high values; diverging ramps suit standard-deviation classes
+export const COLOR_RAMPS = {
+    blues: { label: 'Blues', stops: ['#eff6ff', '#93c5fd', '#3b82f6', '#1e3a8a'] },
+    greens: { label: 'Greens', stops: ['#f0fdf4', '#86efac', '#22c55e', '#14532d'] },
+    reds: { label: 'Reds', stops: ['#fef2f2', '#fca5a5', '#ef4444', '#7f1d1d'] },
+    ylOrRd: { label: 'Yellow-Orange-Red', stops: ['#ffffb2', '#fecc5c', '#fd8d3c', '#e31a1c', '#800026'] },
+    viridis: { label: 'Viridis', stops: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+    rdYlBu: { label: 'Red-Yellow-Blue (diverging)', stops: ['#d7191c', '#fdae61', '#ffffbf', '#abd9e9', '#2c7bb6'] },
+    spectral: { label: 'Spectral (diverging)', stops: ['#9e0142', '#f46d43', '#fee08b', '#e6f598', '#66c2a5', '#5e4fa2'] }
+};
+
+export const DEFAULT_CLASSIFICATION = { method: 'jenks', classCount: 5, ramp: 'ylOrRd' };
+export const MIN_CLASS_COUNT = 2;
+export const MAX_CLASS_COUNT = 9;
+
+// Jenks is quadratic in the number of values; larger layers are classified on an evenly spaced sample
+const JENKS_SAMPLE_SIZE = 2000;
+
+/**
+ * Read a numeric attribute value (numbers, numeric strings, decimal comma)
+ * Unlike parseNumericValue of the tabular imports (NaN for non-numeric cells), attribute values are null or a finite number
+ * @param {*} value - Attribute value
+ * @returns {number|null} The number, or null when the value is empty, not numeric or not finite
+ */
+export const parseAttributeNumber = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+    let text = value.trim();
+    if (text === '') {
+        return null;
+    }
+    if (/^[-+]?\d+,\d+$/.test(text)) {
+        text = text.replace(',', '.');
+    }
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Check whether an attribute is numeric (at least 80% of the non-empty values are numbers)
+ * @param {Array} features - GeoJSON features
+ * @param {string} attribute - Attribute name
+ * @returns {boolean}
+ */
+export const isNumericAttribute = (features, attribute) => {
+    let filled = 0;
+    let numeric = 0;
+    features.forEach(feature => {
+        const value = feature.properties ? feature.properties[attribute] : undefined;
+        if (value === undefined || value === null || value === '') return;
+        filled++;
+        if (parseAttributeNumber(value) !== null) {
+            numeric++;
+        }
+    });
+    return filled > 0 && numeric / filled >= 0.8;
+};
+
+const equalIntervalBreaks = (sortedValues, classCount) => {
+    const min = sortedValues[0];
+    const max = sortedValues[sortedValues.length - 1];
+    const step = (max - min) / classCount;
+    return Array.from({ length: classCount + 1 }, (_, i) => (i === classCount ? max : min + i * step));
+};
+
+const quantileBreaks = (sortedValues, classCount) => {
+    const n = sortedValues.length;
+    const breaks = [sortedValues[0]];
+    for (let i = 1; i < classCount; i++) {
+        breaks.push(sortedValues[Math.ceil((i * n) / classCount) - 1]);
+    }
+    breaks.push(sortedValues[n - 1]);
+    return breaks;
+};
+
+// Fisher-Jenks natural breaks: minimises the within-class variance (dynamic programming over the sorted values)
+const jenksBreaks = (sortedValues, classCount) => {
+    let values = sortedValues;
+    if (values.length > JENKS_SAMPLE_SIZE) {
+        const step = (values.length - 1) / (JENKS_SAMPLE_SIZE - 1);
+        values = Array.from({ length: JENKS_SAMPLE_SIZE }, (_, i) => sortedValues[Math.round(i * step)]);
+    }
+
+    const n = values.length;
+    const lowerClassLimits = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(0));
+    const varianceCombinations = Array.from({ length: n + 1 }, () => new Array(classCount + 1).fill(0));
+
+    for (let j = 1; j <= classCount; j++) {
+        lowerClassLimits[1][j] = 1;
+        for (let i = 2; i <= n; i++) {
+            varianceCombinations[i][j] = Infinity;
+        }
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let variance = 0;
+        for (let m = 1; m <= l; m++) {
+            const lowerLimit = l - m + 1;
+            const value = values[lowerLimit - 1];
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / m;
+            const previous = lowerLimit - 1;
+            if (previous !== 0) {
+                for (let j = 2; j <= classCount; j++) {
+                    if (varianceCombinations[l][j] >= variance + varianceCombinations[previous][j - 1]) {
+                        lowerClassLimits[l][j] = lowerLimit;
+                        varianceCombinations[l][j] = variance + varianceCombinations[previous][j - 1];
+                    }
+                }
+            }
+        }
+        lowerClassLimits[l][1] = 1;
+        varianceCombinations[l][1] = variance;
+    }
+
+    const breaks = new Array(classCount + 1);
+    breaks[0] = values[0];
+    breaks[classCount] = values[n - 1];
+    let k = n;
+    for (let j = classCount; j >= 2; j--) {
+        breaks[j - 1] = values[lowerClassLimits[k][j] - 2];
+        k = lowerClassLimits[k][j] - 1;
+    }
+    return breaks;
+};
+
+// Classes one standard deviation wide, centred on the mean, clipped to the data range
+const stdDevBreaks = (sortedValues, classCount) => {
+    const n = sortedValues.length;
+    const min = sortedValues[0];
+    const max = sortedValues[n - 1];
+    const mean = sortedValues.reduce((total, value) => total + value, 0) / n;
+    const stdDev = Math.sqrt(sortedValues.reduce((total, value) => total + (value - mean) ** 2, 0) / n);
+    if (stdDev === 0) {
+        return [min, max];
+    }
+
+    const innerBreaks = [];
+    for (let i = 1; i < classCount; i++) {
+        const value = mean + (i - classCount / 2) * stdDev;
+        if (value > min && value < max) {
+            innerBreaks.push(value);
+        }
+    }
+    return [min, ...innerBreaks, max];
+};
+
+const BREAK_METHODS = {
+    equalInterval: equalIntervalBreaks,
+    quantile: quantileBreaks,
+    jenks: jenksBreaks,
+    stdDev: stdDevBreaks
+};
+
+/**
+ * Compute class breaks for numeric values
+ * @param {Array} values - Numbers (any order)
+ * @param {string} method - 'equalInterval' | 'quantile' | 'jenks' | 'stdDev'
+ * @param {number} classCount - Requested number of classes (fewer when there are fewer distinct values)
+ * @returns {Array} Ascending breaks [min, upper bound of class 1, ..., max]; empty when there are no values
+ */
+export const computeBreaks = (values, method, classCount) => {
+    if (values.length === 0) {
+        return [];
+    }
+    const sortedValues = [...values].sort((a, b) => a - b);
+    const distinctCount = new Set(sortedValues).size;
+    if (distinctCount === 1) {
+        return [sortedValues[0], sortedValues[0]];
+    }
+
+    const computeMethod = BREAK_METHODS[method] || BREAK_METHODS.equalInterval;
+    const breaks = computeMethod(sortedValues, Math.min(classCount, distinctCount));
+
+    // Quantiles of repeated values and clipped deviations can produce empty classes
+    return breaks.filter((value, index) => index === 0 || value > breaks[index - 1]);
+};
+
+/**
+ * Index of the class a value falls into (classes include their upper bound)
+ * @param {number} value - Numeric value
+ * @param {Array} breaks - Result of computeBreaks
+ * @returns {number} Class index
+ */
+export const getClassIndex = (value, breaks) => {
+    for (let i = 1; i < breaks.length - 1; i++) {
+        if (value <= breaks[i]) {
+            return i - 1;
+        }
+    }
+    return Math.max(0, breaks.length - 2);
+};
+
+const hexToRgb = (hex) => {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const rgbToHex = (rgb) => '#' + rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+
+/**
+ * Sample a colour ramp into evenly spaced colours
+ * @param {string} rampName - Key of COLOR_RAMPS
+ * @param {number} count - Number of colours
+ * @returns {Array} Hex colours from low to high
+ */
+export const getRampColors = (rampName, count) => {
+    const stops = (COLOR_RAMPS[rampName] || COLOR_RAMPS[DEFAULT_CLASSIFICATION.ramp]).stops.map(hexToRgb);
+    if (count === 1) {
+        return [rgbToHex(stops[stops.length - 1])];
+    }
+    return Array.from({ length: count }, (_, i) => {
+        const position = (i / (count - 1)) * (stops.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, stops.length - 1);
+        const fraction = position - lower;
+        return rgbToHex(stops[lower].map((channel, c) => channel + (stops[upper][c] - channel) * fraction));
+    });
+};
+
+/**
+ * Format a class bound for legends
+ * @param {number} value - Number
+ * @returns {string} Rounded value
+ */
+export const formatBreakValue = (value) => {
+    const magnitude = Math.abs(value);
+    if (magnitude >= 1000) return Math.round(value).toLocaleString();
+    if (magnitude >= 1) return String(Number(value.toFixed(2)));
+    return String(Number(value.toPrecision(3)));
+};
+
+/**
+ * Classify a layer's numeric attribute into coloured classes
+ * @param {Array} features - GeoJSON features
+ * @param {string} attribute - Numeric attribute name
+ * @param {Object} classification - { method, classCount, ramp }
+ * @returns {Object} { breaks, classes: [{ min, max, color, count }], noDataCount }
+ */
+export const classifyFeatures = (features, attribute, classification) => {
+    const values = [];
+    let noDataCount = 0;
+    features.forEach(feature => {
+        const value = parseAttributeNumber(feature.properties ? feature.properties[attribute] : null);
+        if (value === null) {
+            noDataCount++;
+        } else {
+            values.push(value);
+        }
+    });
+
+    const breaks = computeBreaks(values, classification.method, classification.classCount);
+    const classCount = Math.max(0, breaks.length - 1);
+    const colors = getRampColors(classification.ramp, Math.max(1, classCount));
+    const classes = Array.from({ length: classCount }, (_, i) => ({
+        min: breaks[i],
+        max: breaks[i + 1],
+        color: colors[i],
+        count: 0
+    }));
+    values.forEach(value => {
+        classes[getClassIndex(value, breaks)].count++;
+    });
+
+    return { breaks, classes, noDataCount };
+};
@@ -3,6 +3,8 @@
  * Based on the GIS data structure (CSV with Sites, X, Y, mat, etc.)
  */
 
+import { reprojectGeometry, toGeoJSONCRS, isGeographicCRS } from './projections';
+
 /**
  * Get statistics for a layer
  * @param {Object} layer - Layer object with data.features
@@ -218,10 +220,13 @@ export const calculateExtent = (layer) => {
 
 /**
  * Export layer to CSV format
+ * Point coordinates are written in the target CRS: Longitude/Latitude columns for
+ * geographic systems, X/Y columns for projected ones
  * @param {Object} layer - Layer object
+ * @param {String} targetCRS - EPSG code of the output coordinates (default EPSG:4326)
  * @returns {String} CSV string
  */
-export const exportToCSV = (layer) => {
+export const exportToCSV = (layer, targetCRS = 'EPSG:4326') => {
     if (!layer || !layer.data || !layer.data.features || layer.data.features.length === 0) {
         return '';
     }
@@ -230,15 +235,20 @@ export const exportToCSV = (layer) => {
     const properties = Object.keys(features[0].properties);
     
     // Add coordinate columns
-    const headers = ['Name', 'Longitude', 'Latitude', ...properties];
+    const coordinateHeaders = isGeographicCRS(targetCRS) ? ['Longitude', 'Latitude'] : ['X', 'Y'];
+    const headers = ['Name', ...coordinateHeaders, ...properties];
     
     const rows = features.map(feature => {
-        const coords = feature.geometry?.coordinates || [];
-        const lon = coords[0] || '';
-        const lat = coords[1] || '';
+        let x = '';
+        let y = '';
+        if (feature.geometry && feature.geometry.type === 'Point') {
+            const coords = reprojectGeometry(feature.geometry, 'EPSG:4326', targetCRS).coordinates;
+            x = coords[0];
+            y = coords[1];
+        }
         const name = feature.properties.name || feature.properties.Nom || feature.properties.Sites || '';
         
-        const values = [name, lon, lat, ...properties.map(prop => feature.properties[prop] || '')];
+        const values = [name, x, y, ...properties.map(prop => feature.properties[prop] ?? '')];
         return values.map(v => `"${v.toString().replace(/"/g, '""')}"`).join(';');
     });
 
@@ -247,15 +257,27 @@ export const exportToCSV = (layer) => {
 
 /**
  * Export layer to GeoJSON
+ * Geometries are reprojected to the target CRS and a matching "crs" member is written
  * @param {Object} layer - Layer object
+ * @param {String} targetCRS - EPSG code of the output coordinates (default EPSG:4326)
  * @returns {String} GeoJSON string
  */
-export const exportToGeoJSON = (layer) => {
+export const exportToGeoJSON = (layer, targetCRS = 'EPSG:4326') => {
     if (!layer || !layer.data) {
         return '';
     }
 
-    return JSON.stringify(layer.data, null, 2);
+    const crs = toGeoJSONCRS(targetCRS);
+    const exported = {
+        type: 'FeatureCollection',
+        ...(crs ? { crs } : {}),
+        features: (layer.data.features || []).map(feature => ({
+            ...feature,
+            geometry: reprojectGeometry(feature.geometry, 'EPSG:4326', targetCRS)
+        }))
+    };
+
+    return JSON.stringify(exported, null, 2);
 };
 
 /**
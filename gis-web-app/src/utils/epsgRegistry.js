@@ -0,0 +1,146 @@
+/**
+ * Bundled offline registry of proj4 definitions, keyed by EPSG code
+ * Covers common geographic CRSs, national grids around the Mediterranean and the UTM zone families
+ * Definitions follow the EPSG dataset (towgs84 shifts included where EPSG publishes one)
+ */
+
+const NATIONAL_AND_GEOGRAPHIC = {
+    // Geographic
+    'EPSG:4326': { name: 'WGS 84', proj4: '+proj=longlat +datum=WGS84 +no_defs' },
+    'EPSG:4258': { name: 'ETRS89', proj4: '+proj=longlat +ellps=GRS80 +no_defs' },
+    'EPSG:4230': { name: 'ED50', proj4: '+proj=longlat +ellps=intl +towgs84=-87,-98,-121,0,0,0,0 +no_defs' },
+    'EPSG:4231': { name: 'ED87', proj4: '+proj=longlat +ellps=intl +towgs84=-83.11,-97.38,-117.22,0.0276,-0.2167,0.2147,0.1218 +no_defs' },
+    'EPSG:4223': { name: 'Carthage', proj4: '+proj=longlat +ellps=clrk80ign +towgs84=-263,6,431,0,0,0,0 +no_defs' },
+    'EPSG:4816': { name: 'Carthage (Paris)', proj4: '+proj=longlat +ellps=clrk80ign +towgs84=-263,6,431,0,0,0,0 +pm=paris +no_defs' },
+    'EPSG:4275': { name: 'NTF', proj4: '+proj=longlat +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +no_defs' },
+    'EPSG:4807': { name: 'NTF (Paris)', proj4: '+proj=longlat +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +no_defs' },
+    'EPSG:4261': { name: 'Merchich', proj4: '+proj=longlat +ellps=clrk80ign +towgs84=31,146,47,0,0,0,0 +no_defs' },
+    'EPSG:4229': { name: 'Egypt 1907', proj4: '+proj=longlat +ellps=helmert +towgs84=-127.535,113.495,-12.7,1.603747,-0.153612,-5.364408,5.33745 +no_defs' },
+    'EPSG:4754': { name: 'LGD2006', proj4: '+proj=longlat +ellps=intl +no_defs' },
+    'EPSG:4265': { name: 'Monte Mario', proj4: '+proj=longlat +ellps=intl +towgs84=-104.1,-49.1,-9.9,0.971,-2.917,0.714,-11.68 +no_defs' },
+    'EPSG:6706': { name: 'RDN2008', proj4: '+proj=longlat +ellps=GRS80 +no_defs' },
+    'EPSG:4121': { name: 'GGRS87', proj4: '+proj=longlat +ellps=GRS80 +towgs84=-199.87,74.79,246.62,0,0,0,0 +no_defs' },
+    'EPSG:5252': { name: 'TUREF', proj4: '+proj=longlat +ellps=GRS80 +no_defs' },
+    'EPSG:4191': { name: 'Albanian 1987', proj4: '+proj=longlat +ellps=krass +towgs84=-44.183,-0.58,-38.489,-2.3867,-2.7072,3.5196,-8.2703 +no_defs' },
+    'EPSG:4765': { name: 'Slovenia 1996', proj4: '+proj=longlat +ellps=GRS80 +no_defs' },
+    'EPSG:4281': { name: 'Palestine 1923', proj4: '+proj=longlat +a=6378300.789 +b=6356566.435 +towgs84=-275.7224,94.7824,340.8944,-8.001,-4.42,-11.821,1 +no_defs' },
+    'EPSG:4269': { name: 'NAD83', proj4: '+proj=longlat +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +no_defs' },
+    // Web
+    'EPSG:3857': { name: 'WGS 84 / Pseudo-Mercator', proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs' },
+    // Tunisia
+    'EPSG:22391': { name: 'Carthage / Nord Tunisie', proj4: '+proj=lcc +lat_1=36 +lat_0=36 +lon_0=9.9 +k_0=0.999625544 +x_0=500000 +y_0=300000 +ellps=clrk80ign +towgs84=-263,6,431,0,0,0,0 +units=m +no_defs' },
+    'EPSG:22392': { name: 'Carthage / Sud Tunisie', proj4: '+proj=lcc +lat_1=33.3 +lat_0=33.3 +lon_0=9.9 +k_0=0.999625769 +x_0=500000 +y_0=300000 +ellps=clrk80ign +towgs84=-263,6,431,0,0,0,0 +units=m +no_defs' },
+    'EPSG:22332': { name: 'Carthage / UTM zone 32N', proj4: '+proj=utm +zone=32 +ellps=clrk80ign +towgs84=-263,6,431,0,0,0,0 +units=m +no_defs' },
+    'EPSG:2088': { name: 'Carthage / TM 11 NE', proj4: '+proj=tmerc +lat_0=0 +lon_0=11 +k=0.9996 +x_0=500000 +y_0=0 +ellps=clrk80ign +towgs84=-263,6,431,0,0,0,0 +units=m +no_defs' },
+    // Algeria
+    'EPSG:30491': { name: 'Voirol 1875 / Nord Algerie (ancienne)', proj4: '+proj=lcc +lat_1=36 +lat_0=36 +lon_0=2.7 +k_0=0.999625544 +x_0=500000 +y_0=300000 +ellps=clrk80ign +towgs84=-73,-247,227,0,0,0,0 +units=m +no_defs' },
+    'EPSG:30492': { name: 'Voirol 1875 / Sud Algerie (ancienne)', proj4: '+proj=lcc +lat_1=33.3 +lat_0=33.3 +lon_0=2.7 +k_0=0.999625769 +x_0=500000 +y_0=300000 +ellps=clrk80ign +towgs84=-73,-247,227,0,0,0,0 +units=m +no_defs' },
+    'EPSG:30791': { name: 'Nord Sahara 1959 / Nord Algerie', proj4: '+proj=lcc +lat_1=36 +lat_0=36 +lon_0=2.7 +k_0=0.999625544 +x_0=500135 +y_0=300090 +a=6378249.145 +rf=293.465 +towgs84=-209.3622,-87.8162,404.6198,0.0046,3.4784,0.5805,-1.4547 +units=m +no_defs' },
+    'EPSG:30792': { name: 'Nord Sahara 1959 / Sud Algerie', proj4: '+proj=lcc +lat_1=33.3 +lat_0=33.3 +lon_0=2.7 +k_0=0.999625769 +x_0=500135 +y_0=300090 +a=6378249.145 +rf=293.465 +towgs84=-209.3622,-87.8162,404.6198,0.0046,3.4784,0.5805,-1.4547 +units=m +no_defs' },
+    'EPSG:30729': { name: 'Nord Sahara 1959 / UTM zone 29N', proj4: '+proj=utm +zone=29 +a=6378249.145 +rf=293.465 +towgs84=-209.3622,-87.8162,404.6198,0.0046,3.4784,0.5805,-1.4547 +units=m +no_defs' },
+    'EPSG:30730': { name: 'Nord Sahara 1959 / UTM zone 30N', proj4: '+proj=utm +zone=30 +a=6378249.145 +rf=293.465 +towgs84=-209.3622,-87.8162,404.6198,0.0046,3.4784,0.5805,-1.4547 +units=m +no_defs' },
+    'EPSG:30731': { name: 'Nord Sahara 1959 / UTM zone 31N', proj4: '+proj=utm +zone=31 +a=6378249.145 +rf=293.465 +towgs84=-209.3622,-87.8162,404.6198,0.0046,3.4784,0.5805,-1.4547 +units=m +no_defs' },
+    'EPSG:30732': { name: 'Nord Sahara 1959 / UTM zone 32N', proj4: '+proj=utm +zone=32 +a=6378249.145 +rf=293.465 +towgs84=-209.3622,-87.8162,404.6198,0.0046,3.4784,0.5805,-1.4547 +units=m +no_defs' },
+    // Morocco
+    'EPSG:26191': { name: 'Merchich / Nord Maroc', proj4: '+proj=lcc +lat_1=33.3 +lat_0=33.3 +lon_0=-5.4 +k_0=0.999625769 +x_0=500000 +y_0=300000 +ellps=clrk80ign +towgs84=31,146,47,0,0,0,0 +units=m +no_defs' },
+    'EPSG:26192': { name: 'Merchich / Sud Maroc', proj4: '+proj=lcc +lat_1=29.7 +lat_0=29.7 +lon_0=-5.4 +k_0=0.999615596 +x_0=500000 +y_0=300000 +ellps=clrk80ign +towgs84=31,146,47,0,0,0,0 +units=m +no_defs' },
+    'EPSG:26194': { name: 'Merchich / Sahara Nord', proj4: '+proj=lcc +lat_1=26.1 +lat_0=26.1 +lon_0=-5.4 +k_0=0.999616304 +x_0=1200000 +y_0=400000 +ellps=clrk80ign +towgs84=31,146,47,0,0,0,0 +units=m +no_defs' },
+    // Libya
+    'EPSG:3177': { name: 'LGD2006 / Libya TM', proj4: '+proj=tmerc +lat_0=0 +lon_0=17 +k=0.9965 +x_0=1000000 +y_0=0 +ellps=intl +towgs84=-208.4058,-109.8777,-2.5764,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3199': { name: 'LGD2006 / UTM zone 32N', proj4: '+proj=utm +zone=32 +ellps=intl +towgs84=-208.4058,-109.8777,-2.5764,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3201': { name: 'LGD2006 / UTM zone 33N', proj4: '+proj=utm +zone=33 +ellps=intl +towgs84=-208.4058,-109.8777,-2.5764,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3202': { name: 'LGD2006 / UTM zone 34N', proj4: '+proj=utm +zone=34 +ellps=intl +towgs84=-208.4058,-109.8777,-2.5764,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3203': { name: 'LGD2006 / UTM zone 35N', proj4: '+proj=utm +zone=35 +ellps=intl +towgs84=-208.4058,-109.8777,-2.5764,0,0,0,0 +units=m +no_defs' },
+    // Egypt
+    'EPSG:22991': { name: 'Egypt 1907 / Blue Belt', proj4: '+proj=tmerc +lat_0=30 +lon_0=35 +k=1 +x_0=300000 +y_0=1100000 +ellps=helmert +towgs84=-127.535,113.495,-12.7,1.603747,-0.153612,-5.364408,5.33745 +units=m +no_defs' },
+    'EPSG:22992': { name: 'Egypt 1907 / Red Belt', proj4: '+proj=tmerc +lat_0=30 +lon_0=31 +k=1 +x_0=615000 +y_0=810000 +ellps=helmert +towgs84=-127.535,113.495,-12.7,1.603747,-0.153612,-5.364408,5.33745 +units=m +no_defs' },
+    'EPSG:22993': { name: 'Egypt 1907 / Purple Belt', proj4: '+proj=tmerc +lat_0=30 +lon_0=27 +k=1 +x_0=700000 +y_0=200000 +ellps=helmert +towgs84=-127.535,113.495,-12.7,1.603747,-0.153612,-5.364408,5.33745 +units=m +no_defs' },
+    'EPSG:22994': { name: 'Egypt 1907 / Extended Purple Belt', proj4: '+proj=tmerc +lat_0=30 +lon_0=27 +k=1 +x_0=700000 +y_0=1200000 +ellps=helmert +towgs84=-127.535,113.495,-12.7,1.603747,-0.153612,-5.364408,5.33745 +units=m +no_defs' },
+    // France
+    'EPSG:2154': { name: 'RGF93 v1 / Lambert-93', proj4: '+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:27571': { name: 'NTF (Paris) / Lambert zone I', proj4: '+proj=lcc +lat_1=49.5 +lat_0=49.5 +lon_0=0 +k_0=0.999877341 +x_0=600000 +y_0=1200000 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:27572': { name: 'NTF (Paris) / Lambert zone II', proj4: '+proj=lcc +lat_1=46.8 +lat_0=46.8 +lon_0=0 +k_0=0.99987742 +x_0=600000 +y_0=2200000 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:27573': { name: 'NTF (Paris) / Lambert zone III', proj4: '+proj=lcc +lat_1=44.1 +lat_0=44.1 +lon_0=0 +k_0=0.999877499 +x_0=600000 +y_0=3200000 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:27574': { name: 'NTF (Paris) / Lambert zone IV', proj4: '+proj=lcc +lat_1=42.1649999999998 +lat_0=42.1649999999998 +lon_0=0 +k_0=0.99994471 +x_0=234.358 +y_0=4185861.369 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:27561': { name: 'NTF (Paris) / Lambert Nord France', proj4: '+proj=lcc +lat_1=49.5 +lat_0=49.5 +lon_0=0 +k_0=0.999877341 +x_0=600000 +y_0=200000 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:27562': { name: 'NTF (Paris) / Lambert Centre France', proj4: '+proj=lcc +lat_1=46.8 +lat_0=46.8 +lon_0=0 +k_0=0.99987742 +x_0=600000 +y_0=200000 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:27563': { name: 'NTF (Paris) / Lambert Sud France', proj4: '+proj=lcc +lat_1=44.1 +lat_0=44.1 +lon_0=0 +k_0=0.999877499 +x_0=600000 +y_0=200000 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:27564': { name: 'NTF (Paris) / Lambert Corse', proj4: '+proj=lcc +lat_1=42.1649999999998 +lat_0=42.1649999999998 +lon_0=0 +k_0=0.99994471 +x_0=234.358 +y_0=185861.369 +ellps=clrk80ign +towgs84=-168,-60,320,0,0,0,0 +pm=paris +units=m +no_defs' },
+    'EPSG:3942': { name: 'RGF93 v1 / CC42', proj4: '+proj=lcc +lat_0=42 +lon_0=3 +lat_1=41.25 +lat_2=42.75 +x_0=1700000 +y_0=1200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3943': { name: 'RGF93 v1 / CC43', proj4: '+proj=lcc +lat_0=43 +lon_0=3 +lat_1=42.25 +lat_2=43.75 +x_0=1700000 +y_0=2200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3944': { name: 'RGF93 v1 / CC44', proj4: '+proj=lcc +lat_0=44 +lon_0=3 +lat_1=43.25 +lat_2=44.75 +x_0=1700000 +y_0=3200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3945': { name: 'RGF93 v1 / CC45', proj4: '+proj=lcc +lat_0=45 +lon_0=3 +lat_1=44.25 +lat_2=45.75 +x_0=1700000 +y_0=4200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3946': { name: 'RGF93 v1 / CC46', proj4: '+proj=lcc +lat_0=46 +lon_0=3 +lat_1=45.25 +lat_2=46.75 +x_0=1700000 +y_0=5200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3947': { name: 'RGF93 v1 / CC47', proj4: '+proj=lcc +lat_0=47 +lon_0=3 +lat_1=46.25 +lat_2=47.75 +x_0=1700000 +y_0=6200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3948': { name: 'RGF93 v1 / CC48', proj4: '+proj=lcc +lat_0=48 +lon_0=3 +lat_1=47.25 +lat_2=48.75 +x_0=1700000 +y_0=7200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3949': { name: 'RGF93 v1 / CC49', proj4: '+proj=lcc +lat_0=49 +lon_0=3 +lat_1=48.25 +lat_2=49.75 +x_0=1700000 +y_0=8200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3950': { name: 'RGF93 v1 / CC50', proj4: '+proj=lcc +lat_0=50 +lon_0=3 +lat_1=49.25 +lat_2=50.75 +x_0=1700000 +y_0=9200000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    // Italy
+    'EPSG:3003': { name: 'Monte Mario / Italy zone 1', proj4: '+proj=tmerc +lat_0=0 +lon_0=9 +k=0.9996 +x_0=1500000 +y_0=0 +ellps=intl +towgs84=-104.1,-49.1,-9.9,0.971,-2.917,0.714,-11.68 +units=m +no_defs' },
+    'EPSG:3004': { name: 'Monte Mario / Italy zone 2', proj4: '+proj=tmerc +lat_0=0 +lon_0=15 +k=0.9996 +x_0=2520000 +y_0=0 +ellps=intl +towgs84=-104.1,-49.1,-9.9,0.971,-2.917,0.714,-11.68 +units=m +no_defs' },
+    'EPSG:6875': { name: 'RDN2008 / Italy zone (N-E)', proj4: '+proj=tmerc +lat_0=0 +lon_0=12 +k=0.9985 +x_0=7000000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:6876': { name: 'RDN2008 / Zone 12 (N-E)', proj4: '+proj=tmerc +lat_0=0 +lon_0=12 +k=1 +x_0=3000000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:7791': { name: 'RDN2008 / UTM zone 32N', proj4: '+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:7792': { name: 'RDN2008 / UTM zone 33N', proj4: '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:7793': { name: 'RDN2008 / UTM zone 34N', proj4: '+proj=utm +zone=34 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3064': { name: 'IGM95 / UTM zone 32N', proj4: '+proj=utm +zone=32 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3065': { name: 'IGM95 / UTM zone 33N', proj4: '+proj=utm +zone=33 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    // Spain/Portugal
+    'EPSG:3763': { name: 'ETRS89 / Portugal TM06', proj4: '+proj=tmerc +lat_0=39.6682583333333 +lon_0=-8.13310833333333 +k=1 +x_0=0 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:2062': { name: 'Madrid 1870 (Madrid) / Spain LCC', proj4: '+proj=lcc +lat_1=40 +lat_0=40 +lon_0=0 +k_0=0.9988085293 +x_0=600000 +y_0=600000 +a=6378298.3 +rf=294.73 +pm=-3.687375 +units=m +no_defs' },
+    // Greece
+    'EPSG:2100': { name: 'GGRS87 / Greek Grid', proj4: '+proj=tmerc +lat_0=0 +lon_0=24 +k=0.9996 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=-199.87,74.79,246.62,0,0,0,0 +units=m +no_defs' },
+    // Turkey
+    'EPSG:5253': { name: 'TUREF / TM27', proj4: '+proj=tmerc +lat_0=0 +lon_0=27 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:5254': { name: 'TUREF / TM30', proj4: '+proj=tmerc +lat_0=0 +lon_0=30 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:5255': { name: 'TUREF / TM33', proj4: '+proj=tmerc +lat_0=0 +lon_0=33 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:5256': { name: 'TUREF / TM36', proj4: '+proj=tmerc +lat_0=0 +lon_0=36 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:5257': { name: 'TUREF / TM39', proj4: '+proj=tmerc +lat_0=0 +lon_0=39 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:5258': { name: 'TUREF / TM42', proj4: '+proj=tmerc +lat_0=0 +lon_0=42 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:5259': { name: 'TUREF / TM45', proj4: '+proj=tmerc +lat_0=0 +lon_0=45 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    // Balkans
+    'EPSG:3765': { name: 'HTRS96 / Croatia TM', proj4: '+proj=tmerc +lat_0=0 +lon_0=16.5 +k=0.9999 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3794': { name: 'Slovenia 1996 / Slovene National Grid', proj4: '+proj=tmerc +lat_0=0 +lon_0=15 +k=0.9999 +x_0=500000 +y_0=-5000000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:6870': { name: 'ETRS89 / Albania TM 2010', proj4: '+proj=tmerc +lat_0=0 +lon_0=20 +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    // Levant
+    'EPSG:2039': { name: 'Israel 1993 / Israeli TM Grid', proj4: '+proj=tmerc +lat_0=31.7343936111111 +lon_0=35.2045169444444 +k=1.0000067 +x_0=219529.584 +y_0=626907.39 +ellps=GRS80 +towgs84=23.772,17.49,17.859,0.3132,1.85274,-1.67299,-5.4262 +units=m +no_defs' },
+    'EPSG:28191': { name: 'Palestine 1923 / Palestine Grid', proj4: '+proj=cass +lat_0=31.7340969444444 +lon_0=35.2120805555556 +x_0=170251.555 +y_0=126867.909 +a=6378300.789 +b=6356566.435 +towgs84=-275.7224,94.7824,340.8944,-8.001,-4.42,-11.821,1 +units=m +no_defs' },
+    'EPSG:28193': { name: 'Palestine 1923 / Israeli CS Grid', proj4: '+proj=cass +lat_0=31.7340969444444 +lon_0=35.2120805555556 +x_0=170251.555 +y_0=1126867.909 +a=6378300.789 +b=6356566.435 +towgs84=-275.7224,94.7824,340.8944,-8.001,-4.42,-11.821,1 +units=m +no_defs' },
+    'EPSG:22770': { name: 'Deir ez Zor / Syria Lambert', proj4: '+proj=lcc +lat_1=34.65 +lat_0=34.65 +lon_0=37.35 +k_0=0.9996256 +x_0=300000 +y_0=300000 +ellps=clrk80ign +towgs84=-190.421,8.532,238.69,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3066': { name: 'ED50 / Jordan TM', proj4: '+proj=tmerc +lat_0=0 +lon_0=37 +k=0.9998 +x_0=500000 +y_0=-3000000 +ellps=intl +towgs84=-87,-98,-121,0,0,0,0 +units=m +no_defs' },
+    // Cyprus
+    'EPSG:6312': { name: 'CGRS93 / Cyprus Local Transverse Mercator', proj4: '+proj=tmerc +lat_0=0 +lon_0=33 +k=0.99995 +x_0=200000 +y_0=-3500000 +ellps=WGS84 +towgs84=8.846,-4.394,-1.122,0.00237,0.146528,-0.130428,0.783926 +units=m +no_defs' },
+    // Europe
+    'EPSG:3035': { name: 'ETRS89-extended / LAEA Europe', proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+    'EPSG:3034': { name: 'ETRS89-extended / LCC Europe', proj4: '+proj=lcc +lat_0=52 +lon_0=10 +lat_1=35 +lat_2=65 +x_0=4000000 +y_0=2800000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs' },
+};
+
+/**
+ * Generate a family of UTM zone definitions
+ * @param {Number} baseCode - EPSG code of zone 0 (e.g. 32600 for WGS 84 north)
+ * @param {Array} zones - Zone numbers to generate
+ * @param {String} datumName - Datum name used in the CRS name
+ * @param {String} datumParams - proj4 datum/ellipsoid parameters
+ * @param {boolean} south - Southern hemisphere zones
+ * @returns {Object} Registry entries
+ */
+const generateUTMZones = (baseCode, zones, datumName, datumParams, south = false) => {
+    const entries = {};
+    zones.forEach(zone => {
+        entries[`EPSG:${baseCode + zone}`] = {
+            name: `${datumName} / UTM zone ${zone}${south ? 'S' : 'N'}`,
+            proj4: `+proj=utm +zone=${zone}${south ? ' +south' : ''} ${datumParams} +units=m +no_defs`
+        };
+    });
+    return entries;
+};
+
+const zoneRange = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+export const EPSG_REGISTRY = {
+    ...NATIONAL_AND_GEOGRAPHIC,
+    ...generateUTMZones(32600, zoneRange(1, 60), 'WGS 84', '+datum=WGS84'),
+    ...generateUTMZones(32700, zoneRange(1, 60), 'WGS 84', '+datum=WGS84', true),
+    ...generateUTMZones(25800, zoneRange(28, 38), 'ETRS89', '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0'),
+    ...generateUTMZones(23000, zoneRange(28, 38), 'ED50', '+ellps=intl +towgs84=-87,-98,-121,0,0,0,0')
+};
@@ -0,0 +1,315 @@
+/**
+ * Filter expressions over feature properties, e.g. mat = 'argile' AND depth > 5
+ * Supports = != <> < <= > >=, [NOT] LIKE ('%' and '_' wildcards), [NOT] IN (...), IS [NOT] NULL, AND, OR, NOT and parentheses.
+ * Field names are bare words or double-quoted ("field name"), text values are single-quoted ('it''s').
+ */
+
+import { parseAttributeNumber } from './classification';
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'LIKE', 'IS', 'NULL', 'TRUE', 'FALSE'];
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+
+// A minus sign after a value or a closing parenthesis is not the sign of a number
+const isOperand = (token) => Boolean(token) && ['number', 'string', 'field', ')'].includes(token.type);
+
+const tokenize = (text) => {
+    const tokens = [];
+    let position = 0;
+
+    while (position < text.length) {
+        const char = text[position];
+        const start = position;
+
+        if (/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char, position: start });
+            position++;
+        } else if (char === '\'' || char === '"') {
+            // A doubled quote inside the quotes stands for the quote itself
+            let value = '';
+            position++;
+            for (;;) {
+                if (position >= text.length) {
+                    throw new Error(`Missing closing ${char} for the text starting at position ${start + 1}`);
+                }
+                if (text[position] === char) {
+                    if (text[position + 1] === char) {
+                        value += char;
+                        position += 2;
+                        continue;
+                    }
+                    position++;
+                    break;
+                }
+                value += text[position];
+                position++;
+            }
+            tokens.push(char === '\'' ? { type: 'string', value, position: start } : { type: 'field', value, position: start });
+        } else if (/[0-9.]/.test(char) || (char === '-' && /[0-9.]/.test(text[position + 1] || '') && !isOperand(tokens[tokens.length - 1]))) {
+            const match = text.slice(position).match(/^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+            if (!match) {
+                throw new Error(`Invalid number at position ${start + 1}`);
+            }
+            tokens.push({ type: 'number', value: Number(match[0]), position: start });
+            position += match[0].length;
+        } else if (/[A-Za-z_\u00C0-\u024F]/.test(char)) {
+            const match = text.slice(position).match(/^[A-Za-z_\u00C0-\u024F][\w.\u00C0-\u024F]*/);
+            const word = match[0];
+            const upperWord = word.toUpperCase();
+            tokens.push(KEYWORDS.includes(upperWord)
+                ? { type: 'keyword', value: upperWord, position: start }
+                : { type: 'field', value: word, position: start });
+            position += word.length;
+        } else {
+            const operator = COMPARISON_OPERATORS
+                .filter(candidate => text.startsWith(candidate, position))
+                .sort((a, b) => b.length - a.length)[0];
+            if (!operator) {
+                throw new Error(`Unexpected character "${char}" at position ${start + 1}`);
+            }
+            tokens.push({ type: 'operator', value: operator, position: start });
+            position += operator.length;
+        }
+    }
+
+    return tokens;
+};
+
+const describeToken = (token) => {
+    if (!token) return 'end of expression';
+    if (token.type === 'string') return `'${token.value}'`;
+    if (token.value !== undefined) return `"${token.value}"`;
+    return `"${token.type}"`;
+};
+
+// Recursive descent parser: OR binds looser than AND, which binds looser than NOT and comparisons
+const parseTokens = (tokens) => {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isKeyword = (keyword) => peek() && peek().type === 'keyword' && peek().value === keyword;
+    const fail = (expected) => {
+        const token = peek();
+        throw new Error(`Expected ${expected} but found ${describeToken(token)}${token ? ` at position ${token.position + 1}` : ''}`);
+    };
+    const expect = (type, description) => {
+        if (!peek() || peek().type !== type) fail(description);
+        return tokens[index++];
+    };
+
+    const parseValue = () => {
+        const token = peek();
+        if (!token) fail('a field or a value');
+        if (token.type === 'number' || token.type === 'string') {
+            index++;
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'field') {
+            index++;
+            return { type: 'field', name: token.value };
+        }
+        if (token.type === 'keyword' && (token.value === 'TRUE' || token.value === 'FALSE' || token.value === 'NULL')) {
+            index++;
+            return { type: 'literal', value: token.value === 'NULL' ? null : token.value === 'TRUE' };
+        }
+        return fail('a field or a value');
+    };
+
+    const parseCondition = () => {
+        if (isKeyword('NOT')) {
+            index++;
+            return { type: 'not', operand: parseCondition() };
+        }
+        if (peek() && peek().type === '(') {
+            index++;
+            const expression = parseOr();
+            expect(')', '")"');
+            return expression;
+        }
+
+        const left = parseValue();
+        const token = peek();
+
+        if (token && token.type === 'operator') {
+            index++;
+            return { type: 'compare', operator: token.value, left, right: parseValue() };
+        }
+        if (isKeyword('IS')) {
+            index++;
+            const negated = isKeyword('NOT');
+            if (negated) index++;
+            if (!isKeyword('NULL')) fail('NULL');
+            index++;
+            return { type: 'isNull', operand: left, negated };
+        }
+
+        const negated = isKeyword('NOT');
+        if (negated) index++;
+        if (isKeyword('LIKE')) {
+            index++;
+            return { type: 'like', operand: left, pattern: parseValue(), negated };
+        }
+        if (isKeyword('IN')) {
+            index++;
+            expect('(', '"(" after IN');
+            const values = [parseValue()];
+            while (peek() && peek().type === ',') {
+                index++;
+                values.push(parseValue());
+            }
+            expect(')', '")" after the IN list');
+            return { type: 'in', operand: left, values, negated };
+        }
+        if (negated) fail('LIKE or IN after NOT');
+
+        // A value alone is a condition on its truthiness (e.g. a boolean field)
+        return { type: 'truthy', operand: left };
+    };
+
+    const parseAnd = () => {
+        let left = parseCondition();
+        while (isKeyword('AND')) {
+            index++;
+            left = { type: 'logical', operator: 'AND', left, right: parseCondition() };
+        }
+        return left;
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isKeyword('OR')) {
+            index++;
+            left = { type: 'logical', operator: 'OR', left, right: parseAnd() };
+        }
+        return left;
+    };
+
+    const expression = parseOr();
+    if (index < tokens.length) {
+        fail('AND, OR or the end of the expression');
+    }
+    return expression;
+};
+
+/**
+ * Parse a filter expression
+ * @param {string} text - Expression text
+ * @returns {Object} Syntax tree for evaluateExpression
+ * @throws {Error} When the expression is empty or invalid (the message names the position)
+ */
+export const parseExpression = (text) => {
+    const tokens = tokenize(text || '');
+    if (tokens.length === 0) {
+        throw new Error('Enter a condition, e.g. type = \'road\' AND lanes > 2');
+    }
+    return parseTokens(tokens);
+};
+
+// Field values are looked up by exact name first, then ignoring case
+const getFieldValue = (properties, name) => {
+    if (!properties) return null;
+    if (properties[name] !== undefined) return properties[name];
+    const lowerName = name.toLowerCase();
+    const key = Object.keys(properties).find(candidate => candidate.toLowerCase() === lowerName);
+    return key !== undefined && properties[key] !== undefined ? properties[key] : null;
+};
+
+const getValue = (node, properties) => (node.type === 'field' ? getFieldValue(properties, node.name) : node.value);
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const normalizeText = (value) => value.toString().trim().toLowerCase();
+
+// Numbers (and numeric text) compare as numbers, anything else as text ignoring case, like the attribute color maps
+const compareValues = (left, right) => {
+    const leftNumber = parseAttributeNumber(left);
+    const rightNumber = parseAttributeNumber(right);
+    if (leftNumber !== null && rightNumber !== null) {
+        return leftNumber - rightNumber;
+    }
+    return normalizeText(left).localeCompare(normalizeText(right));
+};
+
+const likeToRegExp = (pattern) => new RegExp(
+    '^' + normalizeText(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$'
+);
+
+/**
+ * Evaluate a parsed expression against the properties of a feature
+ * Comparisons with an empty value are false (use IS NULL to match them)
+ * @param {Object} expression - Result of parseExpression
+ * @param {Object} properties - Feature properties
+ * @returns {boolean}
+ */
+export const evaluateExpression = (expression, properties) => {
+    switch (expression.type) {
+        case 'logical':
+            return expression.operator === 'AND'
+                ? evaluateExpression(expression.left, properties) && evaluateExpression(expression.right, properties)
+                : evaluateExpression(expression.left, properties) || evaluateExpression(expression.right, properties);
+        case 'not':
+            return !evaluateExpression(expression.operand, properties);
+        case 'isNull':
+            return isEmpty(getValue(expression.operand, properties)) !== expression.negated;
+        case 'compare': {
+            const left = getValue(expression.left, properties);
+            const right = getValue(expression.right, properties);
+            if (isEmpty(left) || isEmpty(right)) return false;
+            const order = compareValues(left, right);
+            switch (expression.operator) {
+                case '=':
+                case '==': return order === 0;
+                case '!=':
+                case '<>': return order !== 0;
+                case '<': return order < 0;
+                case '<=': return order <= 0;
+                case '>': return order > 0;
+                default: return order >= 0;
+            }
+        }
+        case 'like': {
+            const value = getValue(expression.operand, properties);
+            const pattern = getValue(expression.pattern, properties);
+            if (isEmpty(value) || isEmpty(pattern)) return false;
+            return likeToRegExp(pattern).test(normalizeText(value)) !== expression.negated;
+        }
+        case 'in': {
+            const value = getValue(expression.operand, properties);
+            if (isEmpty(value)) return false;
+            const found = expression.values.some(node => {
+                const candidate = getValue(node, properties);
+                return !isEmpty(candidate) && compareValues(value, candidate) === 0;
+            });
+            return found !== expression.negated;
+        }
+        case 'truthy': {
+            const value = getValue(expression.operand, properties);
+            return !isEmpty(value) && value !== false && value !== 0 && normalizeText(value) !== 'false';
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Names of the fields an expression reads
+ * @param {Object} expression - Result of parseExpression
+ * @returns {Array} Field names, without duplicates
+ */
+export const getExpressionFields = (expression) => {
+    const fields = new Set();
+    const visit = (node) => {
+        if (!node) return;
+        if (node.type === 'field') {
+            fields.add(node.name);
+            return;
+        }
+        [node.left, node.right, node.operand, node.pattern, ...(node.values || [])].forEach(visit);
+    };
+    visit(expression);
+    return [...fields];
+};
@@ -0,0 +1,89 @@
+/**
+ * Helpers for files dropped onto the map: folder traversal and zip unpacking
+ */
+
+import JSZip from 'jszip';
+
+// OS metadata that should never be imported
+const isHiddenPath = (path) => path.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX');
+
+// FileSystemDirectoryReader returns entries in batches until an empty batch
+const readDirectoryEntries = (directoryEntry) => new Promise((resolve, reject) => {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+    const readBatch = () => {
+        reader.readEntries(batch => {
+            if (batch.length === 0) {
+                resolve(entries);
+            } else {
+                entries.push(...batch);
+                readBatch();
+            }
+        }, reject);
+    };
+    readBatch();
+});
+
+// Files keep their base name; relativePath keeps the folder inside the dropped folder or archive,
+// so that shapefiles with the same name in different folders are not grouped together
+const setRelativePath = (file, path) => {
+    Object.defineProperty(file, 'relativePath', { value: path.replace(/^\/+/, ''), enumerable: true });
+    return file;
+};
+
+const collectEntryFiles = async (entry) => {
+    if (isHiddenPath(entry.name)) {
+        return [];
+    }
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [setRelativePath(file, entry.fullPath || entry.name)];
+    }
+    if (entry.isDirectory) {
+        const children = await readDirectoryEntries(entry);
+        const nestedFiles = await Promise.all(children.map(collectEntryFiles));
+        return nestedFiles.flat();
+    }
+    return [];
+};
+
+/**
+ * Get the files of a drop event, walking dropped folders recursively
+ * Must be called synchronously from the drop handler: the DataTransfer is emptied afterwards
+ * @param {DataTransfer} dataTransfer - event.dataTransfer of the drop event
+ * @returns {Promise<Array>} Dropped File objects (with their relativePath in the dropped folders)
+ */
+export const readDroppedFiles = (dataTransfer) => {
+    const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+    const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    // Browsers without the entries API only expose plain files
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Promise.resolve(Array.from(dataTransfer.files || []));
+    }
+
+    return Promise.all(entries.map(collectEntryFiles)).then(files => files.flat());
+};
+
+/**
+ * Unpack a zip archive into File objects (folders flattened, OS metadata skipped)
+ * @param {File|Blob|ArrayBuffer} data - Zip content
+ * @param {Function} onProgress - Called with the fraction of entries extracted
+ * @returns {Promise<Array>} Files named after their archive entry (without folder), with the entry path as relativePath
+ */
+export const extractZipFiles = async (data, onProgress = () => {}) => {
+    const zip = await JSZip.loadAsync(data);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !isHiddenPath(entry.name));
+
+    const files = [];
+    for (const [index, entry] of entries.entries()) {
+        onProgress(index / entries.length);
+        const blob = await entry.async('blob');
+        const fileName = entry.name.split('/').pop();
+        const file = new File([blob], fileName, { lastModified: entry.date ? entry.date.getTime() : Date.now() });
+        files.push(setRelativePath(file, entry.name));
+    }
+    onProgress(1);
+
+    return files;
+};
@@ -0,0 +1,163 @@
+/**
+ * GPX reader: converts waypoints, tracks and routes to GeoJSON
+ * Elevation is kept as the Z coordinate and, with time, as feature properties;
+ * point times of tracks and routes are kept in a coordTimes property like togeojson does
+ */
+
+const getChildText = (element, tagName) => {
+    for (const child of element.children) {
+        if (child.localName === tagName) {
+            return (child.textContent || '').trim();
+        }
+    }
+    return null;
+};
+
+const getChildren = (element, tagName) => Array.from(element.children).filter(child => child.localName === tagName);
+
+// Descriptive GPX fields copied to properties when present
+const DESCRIPTIVE_FIELDS = ['name', 'cmt', 'desc', 'src', 'sym', 'type', 'number'];
+
+const readDescriptiveFields = (element) => {
+    const properties = {};
+    DESCRIPTIVE_FIELDS.forEach(field => {
+        const value = getChildText(element, field);
+        if (value !== null && value !== '') {
+            properties[field] = value;
+        }
+    });
+    return properties;
+};
+
+/**
+ * Read a wpt/trkpt/rtept element
+ * @returns {Object} { coordinates: [lon, lat(, ele)], ele, time } or null when invalid
+ */
+const readPoint = (element) => {
+    const lat = parseFloat(element.getAttribute('lat'));
+    const lon = parseFloat(element.getAttribute('lon'));
+    if (isNaN(lat) || isNaN(lon)) return null;
+
+    const eleText = getChildText(element, 'ele');
+    const ele = eleText !== null && eleText !== '' ? parseFloat(eleText) : NaN;
+    const time = getChildText(element, 'time');
+
+    return {
+        coordinates: isNaN(ele) ? [lon, lat] : [lon, lat, ele],
+        ele: isNaN(ele) ? null : ele,
+        time: time || null
+    };
+};
+
+/**
+ * Summarise elevation and time of a list of points into line properties
+ */
+const summarisePoints = (points) => {
+    const properties = {};
+    const elevations = points.map(point => point.ele).filter(ele => ele !== null);
+    const times = points.map(point => point.time).filter(Boolean);
+
+    if (elevations.length > 0) {
+        properties.ele_start = elevations[0];
+        properties.ele_end = elevations[elevations.length - 1];
+        properties.ele_min = elevations.reduce((min, ele) => Math.min(min, ele), Infinity);
+        properties.ele_max = elevations.reduce((max, ele) => Math.max(max, ele), -Infinity);
+    }
+    if (times.length > 0) {
+        properties.time = times[0];
+        properties.end_time = times[times.length - 1];
+    }
+    properties.point_count = points.length;
+    return properties;
+};
+
+/**
+ * Times of the points of each part, aligned with the coordinates (null where a point has no time)
+ * @param {Array} parts - Point lists, one per LineString part
+ * @returns {Array|null} One array of times for a single part, an array per part otherwise; null without any time
+ */
+const getCoordTimes = (parts) => {
+    if (!parts.some(points => points.some(point => point.time))) return null;
+    const times = parts.map(points => points.map(point => point.time));
+    return parts.length === 1 ? times[0] : times;
+};
+
+const withCoordTimes = (properties, parts) => {
+    const coordTimes = getCoordTimes(parts);
+    return coordTimes ? { ...properties, coordTimes } : properties;
+};
+
+const toFeatureCollection = (features) => ({ type: 'FeatureCollection', features });
+
+/**
+ * Convert a parsed GPX document to GeoJSON
+ * @param {Document} gpxDocument - GPX XML document (from DOMParser)
+ * @returns {Object} { waypoints, tracks, routes } FeatureCollections
+ */
+export const parseGPX = (gpxDocument) => {
+    const root = gpxDocument.documentElement;
+    if (!root || root.localName !== 'gpx') {
+        throw new Error('Not a GPX document (missing <gpx> root element)');
+    }
+
+    const waypoints = [];
+    getChildren(root, 'wpt').forEach((element, index) => {
+        const point = readPoint(element);
+        if (!point) {
+            console.warn(`Skipping waypoint ${index}: invalid lat/lon`);
+            return;
+        }
+        const properties = readDescriptiveFields(element);
+        if (point.ele !== null) properties.ele = point.ele;
+        if (point.time) properties.time = point.time;
+        waypoints.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: point.coordinates },
+            properties
+        });
+    });
+
+    const tracks = [];
+    getChildren(root, 'trk').forEach((element, index) => {
+        const segments = getChildren(element, 'trkseg')
+            .map(segment => getChildren(segment, 'trkpt').map(readPoint).filter(Boolean))
+            .filter(points => points.length >= 2);
+        if (segments.length === 0) {
+            console.warn(`Skipping track ${index}: no segment with at least two points`);
+            return;
+        }
+        tracks.push({
+            type: 'Feature',
+            geometry: segments.length === 1
+                ? { type: 'LineString', coordinates: segments[0].map(point => point.coordinates) }
+                : { type: 'MultiLineString', coordinates: segments.map(points => points.map(point => point.coordinates)) },
+            properties: withCoordTimes({
+                ...readDescriptiveFields(element),
+                ...summarisePoints(segments.flat())
+            }, segments)
+        });
+    });
+
+    const routes = [];
+    getChildren(root, 'rte').forEach((element, index) => {
+        const points = getChildren(element, 'rtept').map(readPoint).filter(Boolean);
+        if (points.length < 2) {
+            console.warn(`Skipping route ${index}: fewer than two points`);
+            return;
+        }
+        routes.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: points.map(point => point.coordinates) },
+            properties: withCoordTimes({
+                ...readDescriptiveFields(element),
+                ...summarisePoints(points)
+            }, [points])
+        });
+    });
+
+    return {
+        waypoints: toFeatureCollection(waypoints),
+        tracks: toFeatureCollection(tracks),
+        routes: toFeatureCollection(routes)
+    };
+};
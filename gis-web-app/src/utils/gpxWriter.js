@@ -0,0 +1,163 @@
+/**
+ * GPX writer: point layers become waypoints, line layers become tracks
+ */
+
+import { escapeXML } from './xmlEscape';
+
+const NAME_PROPERTIES = ['name', 'Name', 'NAME', 'nom', 'Nom', 'NOM', 'Sites'];
+const DESCRIPTION_PROPERTIES = ['desc', 'description', 'Description'];
+
+// Properties written as GPX elements; everything else goes to <desc> when no description exists
+const GPX_FIELDS = ['name', 'cmt', 'desc', 'src', 'sym', 'type', 'ele', 'time', 'end_time',
+    'ele_start', 'ele_end', 'ele_min', 'ele_max', 'point_count', 'number', 'coordTimes'];
+
+const findProperty = (properties, names) => {
+    const key = names.find(name => properties[name] !== undefined && properties[name] !== null && properties[name] !== '');
+    return key ? properties[key] : null;
+};
+
+const isValidTime = (value) => value !== null && value !== undefined && value !== '' && !isNaN(new Date(value).getTime());
+
+const formatTime = (value) => new Date(value).toISOString();
+
+/**
+ * Point times of each line part from the coordTimes property (GPX and togeojson KML imports)
+ * Parts whose times no longer match their coordinates (e.g. after an edit) get none
+ * @returns {Array} One array of times (or null) per part
+ */
+const getPartTimes = (coordTimes, parts) => {
+    if (!Array.isArray(coordTimes) || coordTimes.length === 0) return parts.map(() => null);
+    // A LineString has a flat list of times, a MultiLineString a list per part
+    const partTimes = Array.isArray(coordTimes[0]) ? coordTimes : [coordTimes];
+    return parts.map((part, index) => (
+        Array.isArray(partTimes[index]) && partTimes[index].length === part.length ? partTimes[index] : null
+    ));
+};
+
+/**
+ * Build the name/cmt/desc/src children shared by wpt and trk
+ */
+const describeFeature = (properties, indent) => {
+    const lines = [];
+    const name = findProperty(properties, NAME_PROPERTIES);
+    const cmt = properties.cmt;
+    let description = findProperty(properties, DESCRIPTION_PROPERTIES);
+
+    // Keep remaining attributes readable in GPS software that only shows name/desc
+    if (description === null) {
+        const extra = Object.entries(properties)
+            .filter(([key, value]) => !GPX_FIELDS.includes(key) && !NAME_PROPERTIES.includes(key)
+                && value !== null && value !== undefined && value !== '' && typeof value !== 'object')
+            .map(([key, value]) => `${key}: ${value}`);
+        if (extra.length > 0) description = extra.join('; ');
+    }
+
+    if (name !== null) lines.push(`${indent}<name>${escapeXML(name)}</name>`);
+    if (cmt) lines.push(`${indent}<cmt>${escapeXML(cmt)}</cmt>`);
+    if (description !== null) lines.push(`${indent}<desc>${escapeXML(description)}</desc>`);
+    if (properties.src) lines.push(`${indent}<src>${escapeXML(properties.src)}</src>`);
+    return lines;
+};
+
+/**
+ * Format a wpt/trkpt element; elevation comes from properties or the Z coordinate
+ */
+const formatPoint = (tagName, coordinates, indent, properties = {}, descriptionLines = []) => {
+    const [lon, lat, z] = coordinates;
+    const ele = properties.ele !== undefined && properties.ele !== null && properties.ele !== '' ? parseFloat(properties.ele) : z;
+    const children = [];
+    if (ele !== undefined && !isNaN(ele)) children.push(`<ele>${ele}</ele>`);
+    if (isValidTime(properties.time)) children.push(`<time>${formatTime(properties.time)}</time>`);
+
+    if (descriptionLines.length > 0) {
+        return [
+            `${indent}<${tagName} lat="${lat}" lon="${lon}">`,
+            ...children.map(child => `${indent}  ${child}`),
+            ...descriptionLines,
+            `${indent}</${tagName}>`
+        ].join('\n');
+    }
+    return children.length > 0
+        ? `${indent}<${tagName} lat="${lat}" lon="${lon}">${children.join('')}</${tagName}>`
+        : `${indent}<${tagName} lat="${lat}" lon="${lon}"/>`;
+};
+
+/**
+ * Export a point or line layer to GPX 1.1
+ * Points (and MultiPoints) become wpt, LineStrings/MultiLineStrings become trk with one trkseg per part
+ * @param {Object} layer - Layer object (data in WGS84)
+ * @returns {String} GPX document
+ * @throws {Error} If the layer has no point or line features
+ */
+export const exportToGPX = (layer) => {
+    if (!layer || !layer.data || !layer.data.features) {
+        throw new Error('Layer has no features to export');
+    }
+
+    const waypoints = [];
+    const tracks = [];
+    let skipped = 0;
+
+    layer.data.features.forEach(feature => {
+        const geometry = feature.geometry;
+        const properties = feature.properties || {};
+        if (!geometry) {
+            skipped++;
+            return;
+        }
+
+        switch (geometry.type) {
+            case 'Point':
+            case 'MultiPoint': {
+                const positions = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+                const descriptionLines = [
+                    ...describeFeature(properties, '    '),
+                    ...(properties.sym ? [`    <sym>${escapeXML(properties.sym)}</sym>`] : []),
+                    ...(properties.type ? [`    <type>${escapeXML(properties.type)}</type>`] : [])
+                ];
+                positions.forEach(position => {
+                    waypoints.push(formatPoint('wpt', position, '  ', properties, descriptionLines));
+                });
+                break;
+            }
+            case 'LineString':
+            case 'MultiLineString': {
+                const parts = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+                const partTimes = getPartTimes(properties.coordTimes, parts);
+                const segments = parts.map((part, partIndex) => [
+                    '    <trkseg>',
+                    ...part.map((position, index) => formatPoint('trkpt', position, '      ',
+                        partTimes[partIndex] ? { time: partTimes[partIndex][index] } : {})),
+                    '    </trkseg>'
+                ].join('\n'));
+                tracks.push([
+                    '  <trk>',
+                    ...describeFeature(properties, '    '),
+                    ...(properties.type ? [`    <type>${escapeXML(properties.type)}</type>`] : []),
+                    ...segments,
+                    '  </trk>'
+                ].join('\n'));
+                break;
+            }
+            default:
+                skipped++;
+        }
+    });
+
+    if (waypoints.length === 0 && tracks.length === 0) {
+        throw new Error('GPX export supports point and line layers only');
+    }
+    if (skipped > 0) {
+        console.warn(`GPX export: skipped ${skipped} features without point or line geometry`);
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="GIS Web App" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><name>${escapeXML(layer.name)}</name></metadata>`,
+        ...waypoints,
+        ...tracks,
+        '</gpx>',
+        ''
+    ].join('\n');
+};
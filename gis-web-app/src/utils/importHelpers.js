@@ -0,0 +1,186 @@
+/**
+ * Helpers for tabular (CSV/Excel) imports
+ */
+
+import { looksLikeWKT } from './wktParser';
+
+// Column names recognised as coordinates, compared after lowercasing and stripping separators
+const X_COLUMN_NAMES = ['x', 'lon', 'long', 'lng', 'longitude', 'easting', 'east', 'est', 'e', 'xcoord', 'coordx', 'coordonneex'];
+const Y_COLUMN_NAMES = ['y', 'lat', 'latitude', 'northing', 'north', 'nord', 'n', 'ycoord', 'coordy', 'coordonneey'];
+
+const GEOMETRY_COLUMN_NAMES = ['wkt', 'ewkt', 'geom', 'geometry', 'thegeom', 'wktgeom', 'geomwkt', 'shape', 'geometrie'];
+
+const normalizeColumnName = (name) => name.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse a numeric cell, accepting comma decimal separators
+ * @param {*} value - Cell value
+ * @returns {Number} Parsed number or NaN
+ */
+export const parseNumericValue = (value) => {
+    if (typeof value === 'number') return value;
+    if (value === null || value === undefined) return NaN;
+    const text = value.toString().trim().replace(/\s/g, '').replace(',', '.');
+    if (text === '' || !/^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(text)) return NaN;
+    return parseFloat(text);
+};
+
+/**
+ * Get all column names used in the rows
+ * @param {Array} rows - Parsed rows (objects)
+ * @returns {Array} Column names
+ */
+export const getColumnNames = (rows) => {
+    const columns = [];
+    rows.slice(0, 100).forEach(row => {
+        Object.keys(row).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+    return columns;
+};
+
+/**
+ * Get columns whose non-empty values are mostly numeric
+ * @param {Array} rows - Parsed rows
+ * @returns {Array} Column names
+ */
+export const getNumericColumns = (rows) => {
+    const sample = rows.slice(0, 100);
+    return getColumnNames(rows).filter(column => {
+        const values = sample.map(row => row[column]).filter(v => v !== null && v !== undefined && v !== '');
+        if (values.length === 0) return false;
+        const numericCount = values.filter(v => !isNaN(parseNumericValue(v))).length;
+        return numericCount / values.length >= 0.8;
+    });
+};
+
+/**
+ * Detect the most likely X and Y coordinate columns
+ * Known names win; otherwise the first two numeric columns are used
+ * @param {Array} rows - Parsed rows
+ * @returns {Object} { xCol, yCol } (either may be null)
+ */
+export const detectCoordinateColumns = (rows) => {
+    const columns = getColumnNames(rows);
+    const numericColumns = getNumericColumns(rows);
+
+    const findByNames = (names) => {
+        for (const name of names) {
+            const column = columns.find(col => normalizeColumnName(col) === name);
+            if (column) return column;
+        }
+        return null;
+    };
+
+    let xCol = findByNames(X_COLUMN_NAMES);
+    let yCol = findByNames(Y_COLUMN_NAMES);
+
+    if (!xCol || !yCol) {
+        const remaining = numericColumns.filter(col => col !== xCol && col !== yCol);
+        if (!xCol) xCol = remaining.shift() || null;
+        if (!yCol) yCol = remaining.shift() || null;
+    }
+
+    return { xCol, yCol };
+};
+
+/**
+ * Extract [x, y] pairs from rows for the given columns, skipping non-numeric values
+ * @param {Array} rows - Parsed rows
+ * @param {String} xCol - X column
+ * @param {String} yCol - Y column
+ * @returns {Array} Array of [x, y]
+ */
+export const extractCoordinatePairs = (rows, xCol, yCol) => {
+    if (!xCol || !yCol) return [];
+    return rows
+        .map(row => [parseNumericValue(row[xCol]), parseNumericValue(row[yCol])])
+        .filter(([x, y]) => !isNaN(x) && !isNaN(y));
+};
+
+/**
+ * Detect a column holding WKT/EWKT geometries
+ * A known name (WKT, geom, the_geom...) whose values look like WKT wins; otherwise any column
+ * where most non-empty sampled values are WKT
+ * @param {Array} rows - Parsed rows
+ * @returns {String} Column name or null
+ */
+export const detectGeometryColumn = (rows) => {
+    const columns = getColumnNames(rows);
+    const sample = rows.slice(0, 100);
+
+    const wktRatio = (column) => {
+        const values = sample.map(row => row[column]).filter(v => v !== null && v !== undefined && v !== '');
+        if (values.length === 0) return 0;
+        return values.filter(looksLikeWKT).length / values.length;
+    };
+
+    const namedColumn = columns.find(col => GEOMETRY_COLUMN_NAMES.includes(normalizeColumnName(col)) && wktRatio(col) > 0);
+    if (namedColumn) return namedColumn;
+
+    return columns.find(col => wktRatio(col) >= 0.8) || null;
+};
+
+/**
+ * Close polygon rings whose last position differs from the first
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object} { geometry, closedRings } with a new geometry when rings were closed
+ */
+export const closePolygonRings = (geometry) => {
+    let closedRings = 0;
+    const closeRing = (ring) => {
+        if (ring.length === 0) return ring;
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) return ring;
+        closedRings++;
+        return [...ring, first];
+    };
+
+    const close = (geom) => {
+        if (!geom) return geom;
+        switch (geom.type) {
+            case 'Polygon':
+                return { ...geom, coordinates: geom.coordinates.map(closeRing) };
+            case 'MultiPolygon':
+                return { ...geom, coordinates: geom.coordinates.map(polygon => polygon.map(closeRing)) };
+            case 'GeometryCollection':
+                return { ...geom, geometries: geom.geometries.map(close) };
+            default:
+                return geom;
+        }
+    };
+
+    const closed = close(geometry);
+    return { geometry: closedRings > 0 ? closed : geometry, closedRings };
+};
+
+/**
+ * Find the first position outside WGS84 longitude/latitude bounds
+ * @param {Object} geometry - GeoJSON geometry in WGS84
+ * @returns {Array} Offending [lon, lat] or null when every position is valid
+ */
+export const findInvalidWGS84Position = (geometry) => {
+    if (!geometry) return null;
+    if (geometry.type === 'GeometryCollection') {
+        for (const child of geometry.geometries) {
+            const invalid = findInvalidWGS84Position(child);
+            if (invalid) return invalid;
+        }
+        return null;
+    }
+
+    const search = (coords) => {
+        if (typeof coords[0] === 'number') {
+            const [lon, lat] = coords;
+            return !isFinite(lon) || !isFinite(lat) || lon < -180 || lon > 180 || lat < -90 || lat > 90 ? coords : null;
+        }
+        for (const child of coords) {
+            const invalid = search(child);
+            if (invalid) return invalid;
+        }
+        return null;
+    };
+    return Array.isArray(geometry.coordinates) ? search(geometry.coordinates) : null;
+};
@@ -0,0 +1,63 @@
+/**
+ * Import report: counts of accepted, skipped and repaired rows/features with reasons
+ */
+
+import Papa from 'papaparse';
+
+/**
+ * Create an empty import report
+ * @param {String} fileName - Imported file (or sheet) name
+ * @param {String} itemLabel - 'rows' for tables, 'features' for GeoJSON/KML
+ * @returns {Object} Report { id, fileName, itemLabel, layerName, total, accepted, skipped: [], repaired: [] }
+ */
+export const createImportReport = (fileName, itemLabel = 'rows') => ({
+    id: Date.now() + Math.random(),
+    fileName,
+    itemLabel,
+    layerName: null,
+    total: 0,
+    accepted: 0,
+    skipped: [],
+    repaired: []
+});
+
+/**
+ * Record a skipped row/feature
+ * @param {Object} report - Import report
+ * @param {Number} row - 1-based row or feature number
+ * @param {String} reason - Why it was rejected
+ * @param {Object} data - Original row (or feature properties) for the rejected-rows CSV
+ */
+export const reportSkipped = (report, row, reason, data) => {
+    report.skipped.push({ row, reason, data: data || {} });
+};
+
+/**
+ * Record a row/feature that was imported after an automatic fix
+ * @param {Object} report - Import report
+ * @param {Number} row - 1-based row or feature number
+ * @param {String} reason - What was repaired
+ */
+export const reportRepaired = (report, row, reason) => {
+    report.repaired.push({ row, reason });
+};
+
+/**
+ * Build a CSV of the rejected rows: row number, reason, then the original columns
+ * Uses the same ';' delimiter as the CSV importer so the file can be fixed and re-imported
+ * @param {Object} report - Import report
+ * @returns {String} CSV text
+ */
+export const rejectedRowsToCSV = (report) => {
+    const columns = [];
+    report.skipped.forEach(({ data }) => {
+        Object.keys(data).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+
+    const formatValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : (value ?? ''));
+    const rows = report.skipped.map(({ row, reason, data }) => [row, reason, ...columns.map(column => formatValue(data[column]))]);
+
+    return Papa.unparse({ fields: ['import_row', 'import_reason', ...columns], data: rows }, { delimiter: ';' });
+};
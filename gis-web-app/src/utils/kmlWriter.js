@@ -0,0 +1,225 @@
+/**
+ * KML/KMZ writer: Placemarks with ExtendedData and shared Style elements
+ * built like the map symbols: layer style, style rules, attribute colour map and fill-opacity
+ */
+
+import JSZip from 'jszip';
+import { escapeXML } from './xmlEscape';
+import { DEFAULT_FILL_OPACITY, resolveLayerStyle, getPathOptions } from './layerStyle';
+import { compileStyleRules } from './styleRules';
+
+const NAME_PROPERTIES = ['name', 'Name', 'NAME', 'nom', 'Nom', 'NOM'];
+const DESCRIPTION_PROPERTIES = ['description', 'Description', 'DESCRIPTION'];
+
+/**
+ * Convert a CSS hex colour and opacity to KML AABBGGRR
+ * @param {String} hexColor - #RRGGBB or #RGB
+ * @param {Number} opacity - 0-1
+ * @returns {String} KML colour
+ */
+export const convertHexToKMLColor = (hexColor, opacity = 1) => {
+    let hex = (hexColor || '').trim().replace('#', '');
+    if (/^[0-9a-fA-F]{3}$/.test(hex)) {
+        hex = hex.split('').map(c => c + c).join('');
+    }
+    if (!/^[0-9a-fA-F]{6}/.test(hex)) {
+        hex = '3b82f6';
+    }
+    const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, '0');
+    const r = hex.substring(0, 2);
+    const g = hex.substring(2, 4);
+    const b = hex.substring(4, 6);
+    return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+// Opacity stored by the KML importer may be 0-1 or 0-255
+const parseOpacity = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = parseFloat(value);
+    if (isNaN(num)) return null;
+    return num > 1 ? Math.min(1, num / 255) : Math.max(0, num);
+};
+
+// Colours stored by the KML importer may be #RRGGBB or AABBGGRR
+const parseColor = (value) => {
+    if (!value) return null;
+    const color = value.toString().trim();
+    if (/^#[0-9a-fA-F]{6}$/.test(color)) return color;
+    if (/^[0-9a-fA-F]{8}$/.test(color)) {
+        return `#${color.substring(6, 8)}${color.substring(4, 6)}${color.substring(2, 4)}`;
+    }
+    if (/^[0-9a-fA-F]{6}$/.test(color)) return `#${color}`;
+    return null;
+};
+
+/**
+ * Resolve the stroke and fill a feature is drawn with on the map (same precedence as the map symbols:
+ * rule fill, attribute colour, style fill, KML fill, layer colour)
+ * @param {Object} feature - GeoJSON feature
+ * @param {Object} layer - Layer object
+ * @param {Object} colorMap - Attribute colour map { normalizedValue: color } or null
+ * @param {Function|null} matchRule - Result of compileStyleRules for the layer
+ * @returns {Object} { fillColor, fillOpacity, strokeColor, strokeWidth }
+ */
+const getFeatureStyle = (feature, layer, colorMap, matchRule) => {
+    const properties = feature.properties || {};
+    const ruleSymbol = matchRule ? matchRule(properties) : null;
+    const style = { ...resolveLayerStyle(layer), ...(ruleSymbol || {}) };
+
+    let fillColor = style.fillColor || parseColor(properties.fill) || layer.color;
+    if (layer.colorByAttribute && colorMap && !(ruleSymbol && ruleSymbol.fillColor)) {
+        const value = properties[layer.colorByAttribute];
+        if (value !== undefined && value !== null) {
+            fillColor = colorMap[value.toString().trim().toLowerCase()] || layer.color;
+        }
+    }
+
+    let fillOpacity = style.fillOpacity;
+    if (fillOpacity === null) {
+        const kmlOpacity = parseOpacity(properties['fill-opacity']);
+        fillOpacity = kmlOpacity !== null ? kmlOpacity : DEFAULT_FILL_OPACITY;
+    }
+
+    const pathOptions = getPathOptions(style, fillColor, fillOpacity);
+    return {
+        fillColor,
+        fillOpacity,
+        strokeColor: pathOptions.color,
+        strokeWidth: pathOptions.weight
+    };
+};
+
+const formatCoordinate = (position) => position.slice(0, 3).join(',');
+
+const formatCoordinates = (positions) => positions.map(formatCoordinate).join(' ');
+
+const formatRing = (ring) => `<LinearRing><coordinates>${formatCoordinates(ring)}</coordinates></LinearRing>`;
+
+/**
+ * Convert a GeoJSON geometry to KML geometry markup
+ * @param {Object} geometry - GeoJSON geometry (WGS84)
+ * @returns {String} KML geometry or '' if unsupported
+ */
+const geometryToKML = (geometry) => {
+    if (!geometry) return '';
+
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${formatCoordinate(geometry.coordinates)}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><tessellate>1</tessellate><coordinates>${formatCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+        case 'Polygon': {
+            const [outer, ...holes] = geometry.coordinates;
+            const inner = holes.map(ring => `<innerBoundaryIs>${formatRing(ring)}</innerBoundaryIs>`).join('');
+            return `<Polygon><outerBoundaryIs>${formatRing(outer)}</outerBoundaryIs>${inner}</Polygon>`;
+        }
+        case 'MultiPoint':
+            return `<MultiGeometry>${geometry.coordinates.map(coordinates => geometryToKML({ type: 'Point', coordinates })).join('')}</MultiGeometry>`;
+        case 'MultiLineString':
+            return `<MultiGeometry>${geometry.coordinates.map(coordinates => geometryToKML({ type: 'LineString', coordinates })).join('')}</MultiGeometry>`;
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(coordinates => geometryToKML({ type: 'Polygon', coordinates })).join('')}</MultiGeometry>`;
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(geometryToKML).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+};
+
+const findProperty = (properties, names) => {
+    const key = names.find(name => properties[name] !== undefined && properties[name] !== null && properties[name] !== '');
+    return key ? properties[key] : null;
+};
+
+const formatValue = (value) => (
+    value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '')
+);
+
+/**
+ * Export layer to KML
+ * Every property goes to ExtendedData; colours become shared Style elements
+ * so that re-importing the file restores the same styling
+ * @param {Object} layer - Layer object (data in WGS84)
+ * @param {Object} colorMap - Attribute colour map from generateAttributeColorMap (optional)
+ * @returns {String} KML document
+ */
+export const exportToKML = (layer, colorMap = null) => {
+    if (!layer || !layer.data || !layer.data.features) {
+        throw new Error('Layer has no features to export');
+    }
+
+    const styles = {}; // fill, stroke and width key -> { id, fill, stroke, width }
+    const placemarks = [];
+    const matchRule = compileStyleRules(layer.styleRules);
+
+    layer.data.features.forEach((feature, index) => {
+        const geometryMarkup = geometryToKML(feature.geometry);
+        if (!geometryMarkup) {
+            console.warn(`Skipping feature ${index}: geometry cannot be written to KML`);
+            return;
+        }
+
+        const properties = feature.properties || {};
+        const { fillColor, fillOpacity, strokeColor, strokeWidth } = getFeatureStyle(feature, layer, colorMap, matchRule);
+        // Outlines and icons are drawn opaque on the map, only the fill is transparent
+        const fill = convertHexToKMLColor(fillColor, fillOpacity);
+        const stroke = convertHexToKMLColor(strokeColor, 1);
+        const styleKey = `${fill}|${stroke}|${strokeWidth}`;
+        if (!styles[styleKey]) {
+            styles[styleKey] = { id: `style_${Object.keys(styles).length + 1}`, fill, stroke, width: strokeWidth };
+        }
+
+        const name = findProperty(properties, NAME_PROPERTIES);
+        const description = findProperty(properties, DESCRIPTION_PROPERTIES);
+        const extendedData = Object.entries(properties)
+            .map(([key, value]) => `<Data name="${escapeXML(key)}"><value>${escapeXML(formatValue(value))}</value></Data>`)
+            .join('');
+
+        placemarks.push([
+            '    <Placemark>',
+            name !== null ? `      <name>${escapeXML(formatValue(name))}</name>` : null,
+            description !== null ? `      <description>${escapeXML(formatValue(description))}</description>` : null,
+            `      <styleUrl>#${styles[styleKey].id}</styleUrl>`,
+            extendedData ? `      <ExtendedData>${extendedData}</ExtendedData>` : null,
+            `      ${geometryMarkup}`,
+            '    </Placemark>'
+        ].filter(line => line !== null).join('\n'));
+    });
+
+    if (placemarks.length === 0) {
+        throw new Error('Layer has no geometries that can be written to KML');
+    }
+
+    const styleElements = Object.values(styles).map(({ id, fill, stroke, width }) => [
+        `    <Style id="${id}">`,
+        `      <IconStyle><color>ff${fill.substring(2)}</color></IconStyle>`,
+        `      <LineStyle><color>${stroke}</color><width>${width}</width></LineStyle>`,
+        // Without a stroke width polygons have no outline
+        `      <PolyStyle><color>${fill}</color>${width > 0 ? '' : '<outline>0</outline>'}</PolyStyle>`,
+        '    </Style>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXML(layer.name)}</name>`,
+        ...styleElements,
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Export layer to KMZ (zipped doc.kml)
+ * @param {Object} layer - Layer object (data in WGS84)
+ * @param {Object} colorMap - Attribute colour map (optional)
+ * @returns {Promise<Blob>} KMZ archive
+ */
+export const exportToKMZ = async (layer, colorMap = null) => {
+    const zip = new JSZip();
+    zip.file('doc.kml', exportToKML(layer, colorMap));
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: 'application/vnd.google-earth.kmz' });
+};
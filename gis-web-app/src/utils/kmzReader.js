@@ -0,0 +1,112 @@
+/**
+ * KMZ (zipped KML) reading helpers
+ */
+
+import JSZip from 'jszip';
+
+const RESOURCE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    webp: 'image/webp',
+    tif: 'image/tiff',
+    tiff: 'image/tiff'
+};
+
+const getDirectory = (path) => (path.includes('/') ? path.substring(0, path.lastIndexOf('/') + 1) : '');
+
+// Resolve "./" and "../" segments of a path inside the archive
+const normalizeArchivePath = (path) => {
+    const segments = [];
+    path.replace(/\\/g, '/').split('/').forEach(segment => {
+        if (segment === '' || segment === '.') return;
+        if (segment === '..') {
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    });
+    return segments.join('/');
+};
+
+/**
+ * Unzip a KMZ archive and locate its main KML document
+ * doc.kml at the archive root wins; otherwise the least nested .kml file is used
+ * @param {File|Blob|ArrayBuffer} data - KMZ content
+ * @returns {Promise<Object>} { kmlPath, kmlBlob, resources: { archivePath: dataURL } }
+ */
+export const extractKMZ = async (data) => {
+    const zip = await JSZip.loadAsync(data);
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+    const kmlEntries = entries
+        .filter(entry => /\.kml$/i.test(entry.name))
+        .sort((a, b) => {
+            const depth = (entry) => entry.name.split('/').length;
+            const isDoc = (entry) => /(^|\/)doc\.kml$/i.test(entry.name);
+            return depth(a) - depth(b) || isDoc(b) - isDoc(a);
+        });
+
+    if (kmlEntries.length === 0) {
+        throw new Error('KMZ archive contains no .kml document');
+    }
+
+    const kmlEntry = kmlEntries[0];
+    const resources = {};
+
+    // Embedded icons and overlay images, kept as data URLs so the layer does not depend on the archive
+    for (const entry of entries) {
+        const ext = entry.name.split('.').pop().toLowerCase();
+        const mimeType = RESOURCE_MIME_TYPES[ext];
+        if (!mimeType) continue;
+        const base64 = await entry.async('base64');
+        resources[normalizeArchivePath(entry.name).toLowerCase()] = `data:${mimeType};base64,${base64}`;
+    }
+
+
+    return {
+        kmlPath: kmlEntry.name,
+        kmlBlob: await kmlEntry.async('blob'),
+        resources
+    };
+};
+
+/**
+ * Replace relative <href> references (icons, ground overlays) with the embedded resources
+ * Absolute URLs and references missing from the archive are left untouched
+ * @param {String} kmlText - KML document text
+ * @param {String} kmlPath - Path of the KML document inside the archive
+ * @param {Object} resources - Map of lowercased archive path -> data URL
+ * @returns {String} KML text with resolved references
+ */
+export const resolveKMZReferences = (kmlText, kmlPath, resources) => {
+    const baseDirectory = getDirectory(kmlPath);
+
+    return kmlText.replace(/(<href>)([\s\S]*?)(<\/href>)/gi, (match, open, href, close) => {
+        const reference = href.trim().replace(/&amp;/g, '&');
+        if (reference === '' || /^[a-z][a-z0-9+.-]*:/i.test(reference) || reference.startsWith('#') || reference.startsWith('//')) {
+            return match;
+        }
+
+        let decoded = reference;
+        try {
+            decoded = decodeURIComponent(reference);
+        } catch {
+            // Keep the raw reference when it is not valid percent-encoding
+        }
+
+        const candidates = [
+            normalizeArchivePath(baseDirectory + decoded),
+            normalizeArchivePath(decoded)
+        ];
+        const resolved = candidates.map(path => resources[path.toLowerCase()]).find(Boolean);
+        if (!resolved) {
+            console.warn(`KMZ: referenced file "${reference}" not found in archive`);
+            return match;
+        }
+        return `${open}${resolved}${close}`;
+    });
+};
@@ -0,0 +1,111 @@
+/**
+ * Rendering order of layers: categories in sidebar order, then layers in order within their category
+ * Categories are an array of { name, expanded } in sidebar order: object key order cannot hold it,
+ * since integer-like names such as "2019" always come first
+ */
+
+/**
+ * Find a category by name
+ * @param {Array} categoriesList - Categories in sidebar order
+ * @param {string} name - Category name
+ * @returns {Object|undefined} { name, expanded }
+ */
+export const findCategory = (categoriesList, name) => categoriesList.find(category => category.name === name);
+
+/**
+ * Add a category at the end of the order (drawn on top), unless it already exists
+ * @param {Array} categoriesList - Categories in sidebar order
+ * @param {string} name - Category name
+ * @returns {Array} New categories list, or categoriesList itself when the category exists
+ */
+export const addCategoryToList = (categoriesList, name) => (
+    findCategory(categoriesList, name) ? categoriesList : [...categoriesList, { name, expanded: true }]
+);
+
+/**
+ * Compute the Leaflet z-index of every layer
+ * Category index * 1000 gives major separation between categories, the layer index within the category minor separation
+ * @param {Array} layersList - Layers in sidebar order
+ * @param {Array} categoriesList - Categories in sidebar order
+ * @returns {Object} { layerId: zIndex }
+ */
+export const getLayerZIndexes = (layersList, categoriesList) => {
+    const zIndexes = {};
+
+    categoriesList.forEach((category, catIdx) => {
+        layersList
+            .filter(layer => layer.category === category.name)
+            .forEach((layer, layerIdx) => {
+                zIndexes[layer.id] = 1000 + (catIdx * 1000) + layerIdx;
+            });
+    });
+
+    return zIndexes;
+};
+
+/**
+ * Move a layer to a position within a category (the same one or another)
+ * @param {Array} layersList - Layers in sidebar order
+ * @param {*} layerId - Id of the layer to move
+ * @param {string} targetCategory - Category receiving the layer
+ * @param {number} targetIndex - Position among the target category's layers as displayed (the moved layer included)
+ * @returns {Array} New layers list, or layersList itself when nothing moves
+ */
+export const moveLayerInList = (layersList, layerId, targetCategory, targetIndex) => {
+    const layer = layersList.find(l => l.id === layerId);
+    if (!layer) return layersList;
+
+    const categoryLayers = layersList.filter(l => l.category === targetCategory);
+    const currentIndex = categoryLayers.indexOf(layer);
+    // Positions after the layer's current slot shift up once it is taken out
+    const insertIndex = currentIndex !== -1 && currentIndex < targetIndex ? targetIndex - 1 : targetIndex;
+    if (currentIndex !== -1 && insertIndex === currentIndex) return layersList;
+
+    const remainingLayers = layersList.filter(l => l !== layer);
+    const remainingCategoryLayers = categoryLayers.filter(l => l !== layer);
+
+    let position;
+    if (remainingCategoryLayers.length === 0) {
+        position = remainingLayers.length;
+    } else if (insertIndex >= remainingCategoryLayers.length) {
+        position = remainingLayers.indexOf(remainingCategoryLayers[remainingCategoryLayers.length - 1]) + 1;
+    } else {
+        position = remainingLayers.indexOf(remainingCategoryLayers[Math.max(0, insertIndex)]);
+    }
+
+    return [
+        ...remainingLayers.slice(0, position),
+        { ...layer, category: targetCategory },
+        ...remainingLayers.slice(position)
+    ];
+};
+
+/**
+ * Move a category to a position in the category order
+ * @param {Array} categoriesList - Categories in sidebar order
+ * @param {string} categoryName - Category to move
+ * @param {number} targetIndex - Position as displayed (the moved category included)
+ * @returns {Array} New categories list, or categoriesList itself when nothing moves
+ */
+export const moveCategoryInList = (categoriesList, categoryName, targetIndex) => {
+    const currentIndex = categoriesList.findIndex(category => category.name === categoryName);
+    if (currentIndex === -1) return categoriesList;
+
+    const insertIndex = currentIndex < targetIndex ? targetIndex - 1 : targetIndex;
+    if (insertIndex === currentIndex) return categoriesList;
+
+    const reorderedCategories = categoriesList.filter((category, index) => index !== currentIndex);
+    reorderedCategories.splice(Math.max(0, insertIndex), 0, categoriesList[currentIndex]);
+    return reorderedCategories;
+};
+
+/**
+ * Rename a category, keeping its place in the order
+ * @param {Array} categoriesList - Categories in sidebar order
+ * @param {string} oldName - Current name
+ * @param {string} newName - New name (must not exist yet)
+ * @returns {Array} New categories list
+ */
+export const renameCategoryInList = (categoriesList, oldName, newName) => (
+    categoriesList.map(category => (category.name === oldName ? { ...category, name: newName } : category))
+);
@@ -0,0 +1,175 @@
+/**
+ * Layer symbology: stroke, fill, dash pattern and point marker settings stored on a layer, and the Leaflet options built from them
+ */
+
+import { DEFAULT_POINT_RADIUS, MIN_SYMBOL_RADIUS, MAX_SYMBOL_RADIUS } from './proportionalSymbols';
+import { escapeXML } from './xmlEscape';
+
+export const DASH_PATTERNS = [
+    { value: 'solid', label: 'Solid', dashArray: null },
+    { value: 'dashed', label: 'Dashed', dashArray: '8 6' },
+    { value: 'dotted', label: 'Dotted', dashArray: '2 6' },
+    { value: 'dashDot', label: 'Dash-dot', dashArray: '10 6 2 6' }
+];
+
+export const MARKER_SHAPES = [
+    { value: 'circle', label: 'Circle' },
+    { value: 'square', label: 'Square' },
+    { value: 'triangle', label: 'Triangle' },
+    { value: 'diamond', label: 'Diamond' }
+];
+
+// Font Awesome icons offered for point markers (drawn in the fill color)
+export const MARKER_ICONS = [
+    { value: 'fa-map-marker-alt', label: 'Pin' },
+    { value: 'fa-flag', label: 'Flag' },
+    { value: 'fa-star', label: 'Star' },
+    { value: 'fa-home', label: 'Building' },
+    { value: 'fa-industry', label: 'Industry' },
+    { value: 'fa-tree', label: 'Tree' },
+    { value: 'fa-tint', label: 'Water' },
+    { value: 'fa-school', label: 'School' },
+    { value: 'fa-hospital', label: 'Hospital' },
+    { value: 'fa-exclamation-triangle', label: 'Warning' }
+];
+
+// Fill opacity of features without a KML fill-opacity when the style leaves it automatic
+export const DEFAULT_FILL_OPACITY = 0.3;
+export const MAX_STROKE_WIDTH = 10;
+
+// null colors and opacity are automatic: stroke follows the fill, fill follows the layer color (or the feature's KML fill)
+export const DEFAULT_LAYER_STYLE = {
+    strokeColor: null,
+    strokeWidth: 2,
+    fillColor: null,
+    fillOpacity: null,
+    dash: 'solid',
+    markerShape: 'circle',
+    markerSize: DEFAULT_POINT_RADIUS,
+    icon: null
+};
+
+// Names of the style settings in history labels
+export const STYLE_PROPERTY_LABELS = {
+    strokeColor: 'stroke color',
+    strokeWidth: 'stroke width',
+    fillColor: 'fill color',
+    fillOpacity: 'fill opacity',
+    dash: 'dash pattern',
+    markerShape: 'marker shape',
+    markerSize: 'marker size',
+    icon: 'marker icon'
+};
+
+/**
+ * Complete style of a layer (settings it does not define take their defaults)
+ * @param {Object} layer - Layer object with an optional style
+ * @returns {Object} Style with every DEFAULT_LAYER_STYLE property
+ */
+export const resolveLayerStyle = (layer) => ({ ...DEFAULT_LAYER_STYLE, ...(layer.style || {}) });
+
+/**
+ * Clamp edited style values to their valid ranges
+ * @param {Object} style - Style settings
+ * @returns {Object} Style with strokeWidth, fillOpacity and markerSize in range
+ */
+export const sanitizeLayerStyle = (style) => {
+    const sanitized = { ...style };
+    if (sanitized.strokeWidth !== undefined) {
+        sanitized.strokeWidth = Math.min(Math.max(Number(sanitized.strokeWidth) || 0, 0), MAX_STROKE_WIDTH);
+    }
+    if (sanitized.fillOpacity !== undefined && sanitized.fillOpacity !== null) {
+        sanitized.fillOpacity = Math.min(Math.max(Number(sanitized.fillOpacity) || 0, 0), 1);
+    }
+    if (sanitized.markerSize !== undefined) {
+        sanitized.markerSize = Math.min(Math.max(Number(sanitized.markerSize) || DEFAULT_POINT_RADIUS, MIN_SYMBOL_RADIUS), MAX_SYMBOL_RADIUS);
+    }
+    return sanitized;
+};
+
+// Hex colors, rgb()/rgba()/hsl()/hsla() with numeric arguments, and named colors
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(\s*[\d.%]+(\s*[,\s/]\s*[\d.%]+){2,3}\s*\)|[a-z]+)$/i;
+
+/**
+ * Whether a value is a CSS color safe to use in styles and marker markup (e.g. a fill read from an imported file)
+ * @param {*} value - Color candidate
+ * @returns {boolean}
+ */
+export const isValidColor = (value) => typeof value === 'string' && COLOR_PATTERN.test(value.trim());
+
+/**
+ * Leaflet path options of a feature
+ * @param {Object} style - Resolved layer style
+ * @param {string} fillColor - Fill color chosen for the feature (attribute, style, KML or layer color)
+ * @param {number} fillOpacity - Fill opacity chosen for the feature
+ * @returns {Object} { color, fillColor, weight, opacity, fillOpacity, dashArray }
+ */
+export const getPathOptions = (style, fillColor, fillOpacity) => {
+    const dash = DASH_PATTERNS.find(pattern => pattern.value === style.dash) || DASH_PATTERNS[0];
+    return {
+        color: style.strokeColor || fillColor,
+        fillColor,
+        weight: style.strokeWidth,
+        opacity: 1,
+        fillOpacity,
+        dashArray: dash.dashArray
+    };
+};
+
+/**
+ * Whether points are drawn as icon markers rather than Leaflet circle markers
+ * @param {Object} style - Resolved layer style
+ * @returns {boolean}
+ */
+export const usesMarkerIcons = (style) => Boolean(style.icon) || style.markerShape !== 'circle';
+
+/**
+ * Whether points show the image of their KML IconStyle (the icon property of KML and KMZ imports)
+ * Only while the layer draws plain circles of one color: marker shapes, icons, attribute colors and style rules replace the images
+ * @param {Object} layer - Layer object
+ * @returns {boolean}
+ */
+export const showsKMLIcons = (layer) => !usesMarkerIcons(resolveLayerStyle(layer)) && !layer.colorByAttribute && !layer.styleRules;
+
+const SHAPE_POINTS = {
+    triangle: (size, inset) => `${size / 2},${inset} ${size - inset},${size - inset} ${inset},${size - inset}`,
+    diamond: (size, inset) => `${size / 2},${inset} ${size - inset},${size / 2} ${size / 2},${size - inset} ${inset},${size / 2}`
+};
+
+/**
+ * HTML of a point marker drawn as a shape or an icon (for a Leaflet divIcon)
+ * @param {Object} style - Resolved layer style
+ * @param {Object} pathOptions - Result of getPathOptions for the feature
+ * @param {number} radius - Marker radius in pixels
+ * @returns {Object} { html, size } where size is the width and height of the icon in pixels
+ */
+export const getMarkerIconHtml = (style, pathOptions, radius) => {
+    const size = Math.ceil(radius * 2 + pathOptions.weight * 2);
+    // Style values may come from imported files or project files: escaped before they go into the markup
+    const fillColor = escapeXML(pathOptions.fillColor);
+    const strokeColor = escapeXML(pathOptions.color);
+
+    if (style.icon) {
+        return {
+            html: `<i class="fas ${escapeXML(style.icon)}" style="font-size: ${radius * 2}px; color: ${fillColor}; -webkit-text-stroke: ${pathOptions.weight / 2}px ${strokeColor};"></i>`,
+            size
+        };
+    }
+
+    const inset = pathOptions.weight;
+    const strokeAttributes = `fill="${fillColor}" fill-opacity="${escapeXML(pathOptions.fillOpacity)}" stroke="${strokeColor}" stroke-width="${escapeXML(pathOptions.weight)}"${pathOptions.dashArray ? ` stroke-dasharray="${escapeXML(pathOptions.dashArray)}"` : ''}`;
+    let shape;
+    if (SHAPE_POINTS[style.markerShape]) {
+        shape = `<polygon points="${SHAPE_POINTS[style.markerShape](size, inset)}" ${strokeAttributes} />`;
+    } else if (style.markerShape === 'circle') {
+        // Circles among other shapes of a rule-styled layer
+        shape = `<circle cx="${size / 2}" cy="${size / 2}" r="${radius}" ${strokeAttributes} />`;
+    } else {
+        shape = `<rect x="${inset}" y="${inset}" width="${size - inset * 2}" height="${size - inset * 2}" ${strokeAttributes} />`;
+    }
+
+    return {
+        html: `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">${shape}</svg>`,
+        size
+    };
+};
@@ -0,0 +1,85 @@
+/**
+ * .gisproj project files: a whole map (layers with their GeoJSON and styling, categories, z-order, extent) in one JSON file
+ */
+
+import { serializeWorkspace } from './workspaceStore';
+import { getLayerZIndexes } from './layerOrder';
+
+export const PROJECT_FILE_EXTENSION = 'gisproj';
+const PROJECT_FORMAT = 'gis-web-app-project';
+const PROJECT_VERSION = 1;
+
+/**
+ * Build the content of a .gisproj file
+ * @param {Object} state - { name, layers, categories, extent: [[south, west], [north, east]], projection }
+ * @returns {string} JSON text of the project
+ */
+export const buildProjectFile = ({ name, layers, categories, extent, projection }) => {
+    const snapshot = serializeWorkspace({ layers, categories, mapView: null, projection });
+    const zIndexes = getLayerZIndexes(layers, categories);
+
+    return JSON.stringify({
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        name,
+        createdAt: new Date().toISOString(),
+        projection: snapshot.projection,
+        extent,
+        categories: snapshot.categories,
+        layers: snapshot.layers.map(layer => ({ ...layer, zIndex: zIndexes[layer.id] ?? null }))
+    });
+};
+
+const isValidExtent = (extent) => Array.isArray(extent) && extent.length === 2 &&
+    extent.every(corner => Array.isArray(corner) && corner.length === 2 && corner.every(Number.isFinite));
+
+/**
+ * Read and validate a .gisproj file
+ * @param {string} text - File content
+ * @returns {Object} Workspace snapshot { name, layers (in z-order), categories, extent, projection }
+ */
+export const parseProjectFile = (text) => {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new Error('The file is not a GIS project (.gisproj) file');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`Project version ${project.version} was written by a newer version of the application`);
+    }
+    if (!Array.isArray(project.layers) || !Array.isArray(project.categories)) {
+        throw new Error('The project has no layer list');
+    }
+
+    project.layers.forEach((layer, index) => {
+        if (!layer.data || layer.data.type !== 'FeatureCollection' || !Array.isArray(layer.data.features)) {
+            throw new Error(`Layer ${layer.name || index + 1} has no GeoJSON feature collection`);
+        }
+        if (!layer.category) {
+            throw new Error(`Layer ${layer.name || index + 1} has no category`);
+        }
+    });
+
+    // The sidebar order within a category is the z-order; categories keep their saved order
+    const layers = project.layers
+        .map((layer, index) => ({ layer, index }))
+        .sort((a, b) => (a.layer.zIndex ?? a.index) - (b.layer.zIndex ?? b.index) || a.index - b.index)
+        .map(({ layer }) => {
+            const restoredLayer = { ...layer };
+            delete restoredLayer.zIndex;
+            return restoredLayer;
+        });
+
+    return {
+        name: project.name || null,
+        layers,
+        categories: project.categories,
+        extent: isValidExtent(project.extent) ? project.extent : null,
+        projection: project.projection || null
+    };
+};
@@ -0,0 +1,405 @@
+/**
+ * Coordinate reference system resolution and detection helpers
+ * Every importer resolves EPSG codes through the bundled registry (see epsgRegistry.js)
+ */
+
+import proj4 from 'proj4';
+import { EPSG_REGISTRY } from './epsgRegistry';
+
+// Codes offered first in the import dialogs
+const COMMON_CODES = ['EPSG:4326', 'EPSG:22391', 'EPSG:22392', 'EPSG:22332', 'EPSG:32632', 'EPSG:3857'];
+
+export const COMMON_PROJECTIONS = COMMON_CODES.map(code => ({ code, ...EPSG_REGISTRY[code] }));
+
+// Prefix of the names .prj WKT definitions are registered under (see registerWKTProjection), e.g. PRJ:roads_2020
+export const WKT_PROJECTION_PREFIX = 'PRJ:';
+
+/**
+ * Register the common projections with proj4
+ */
+export const registerProjections = () => {
+    COMMON_PROJECTIONS.forEach(({ code, proj4: definition }) => {
+        proj4.defs(code, definition);
+    });
+};
+
+/**
+ * Normalize user input like "22391", "epsg:22391", "EPSG::22391" or
+ * "urn:ogc:def:crs:EPSG::22391" to "EPSG:22391". OGC CRS84 maps to EPSG:4326.
+ * @param {String} code - Raw code
+ * @returns {String|null} Normalized code or null if no number found
+ */
+export const normalizeEPSGCode = (code) => {
+    if (code === null || code === undefined) return null;
+    const text = code.toString();
+    if (/CRS:?84$/i.test(text.trim())) return 'EPSG:4326';
+    const match = text.match(/(\d{4,6})/);
+    return match ? `EPSG:${match[1]}` : null;
+};
+
+/**
+ * Look up a projection in the registry
+ * Projection names that are not EPSG codes (a .prj WKT registered with proj4) have no entry: the digits
+ * of a name like PRJ:roads_2020 are not an EPSG code
+ * @param {String} code - EPSG code in any format accepted by normalizeEPSGCode
+ * @returns {Object|null} { code, name, proj4 } or null if unknown
+ */
+export const getProjectionDefinition = (code) => {
+    if (typeof code === 'string' && (code.startsWith(WKT_PROJECTION_PREFIX) || (!/EPSG|CRS:?84/i.test(code) && proj4.defs(code)))) {
+        return null;
+    }
+    const normalized = normalizeEPSGCode(code);
+    if (!normalized || !EPSG_REGISTRY[normalized]) return null;
+    return { code: normalized, ...EPSG_REGISTRY[normalized] };
+};
+
+/**
+ * Check whether a code can be resolved (registry or already defined in proj4)
+ * @param {String} code - EPSG code
+ * @returns {boolean}
+ */
+export const isProjectionDefined = (code) => {
+    const normalized = normalizeEPSGCode(code);
+    return !!normalized && (!!EPSG_REGISTRY[normalized] || !!proj4.defs(normalized));
+};
+
+/**
+ * Resolve a code through the registry and make sure proj4 knows it
+ * @param {String} code - EPSG code in any format accepted by normalizeEPSGCode
+ * @returns {String} Normalized code, ready to pass to proj4
+ * @throws {Error} If the code is not in the registry
+ */
+export const resolveProjection = (code) => {
+    // Projections registered under their own name (e.g. from a .prj WKT) are used as-is
+    if (typeof code === 'string' && !/^EPSG/i.test(code) && proj4.defs(code)) {
+        return code;
+    }
+    const normalized = normalizeEPSGCode(code);
+    if (!normalized) {
+        throw new Error(`Invalid CRS code: ${code}`);
+    }
+    if (proj4.defs(normalized)) {
+        return normalized;
+    }
+    const definition = EPSG_REGISTRY[normalized];
+    if (!definition) {
+        throw new Error(`Unknown CRS ${normalized}: it is not in the bundled projection registry. Reproject the data to a supported CRS (e.g. EPSG:4326) before importing.`);
+    }
+    proj4.defs(normalized, definition.proj4);
+    return normalized;
+};
+
+/**
+ * Get the EPSG code declared by the root node of a WKT1/WKT2 string
+ * Only the AUTHORITY/ID that is a direct child of the root is considered, so the
+ * nested GEOGCS/DATUM/UNIT authorities of a PROJCS are never mistaken for the CRS code
+ * @param {String} wkt - WKT text (e.g. content of a .prj file)
+ * @returns {String|null} EPSG code or null if the root has no EPSG authority
+ */
+export const getEPSGCodeFromWKT = (wkt) => {
+    if (!wkt) return null;
+    const text = wkt.trim();
+    let depth = 0;
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '[' || char === '(')) {
+            depth++;
+        } else if (!inQuotes && (char === ']' || char === ')')) {
+            depth--;
+        } else if (!inQuotes && depth === 1 && /[A-Z]/i.test(char) && !/\w/.test(text[i - 1] || '')) {
+            const match = text.slice(i).match(/^(?:AUTHORITY|ID)\s*[[(]\s*"EPSG"\s*,\s*"?(\d+)"?/i);
+            if (match) {
+                return `EPSG:${match[1]}`;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Register a WKT projection (OGC WKT1 or ESRI flavour) with proj4 under a given name
+ * @param {String} name - Name to register the projection under
+ * @param {String} wkt - WKT text
+ * @returns {String} The name, ready to pass to proj4
+ * @throws {Error} If proj4 cannot interpret the WKT
+ */
+export const registerWKTProjection = (name, wkt) => {
+    try {
+        proj4.defs(name, wkt.trim());
+    } catch (error) {
+        throw new Error(`Unsupported projection definition: ${error.message}`);
+    }
+    if (!proj4.defs(name)) {
+        throw new Error('Unsupported projection definition: proj4 could not interpret the WKT');
+    }
+    return name;
+};
+
+/**
+ * Search the registry by code or name
+ * @param {String} query - Text to search for
+ * @param {Number} limit - Maximum number of results
+ * @returns {Array} Array of { code, name }
+ */
+export const searchProjections = (query, limit = 50) => {
+    const text = (query || '').toString().trim().toLowerCase();
+    return Object.entries(EPSG_REGISTRY)
+        .filter(([code, { name }]) => !text || code.toLowerCase().includes(text) || name.toLowerCase().includes(text))
+        .slice(0, limit)
+        .map(([code, { name }]) => ({ code, name }));
+};
+
+/**
+ * Guess the CRS of point coordinates from their value ranges
+ * Only covers the systems we usually receive (Tunisia and surroundings)
+ * @param {Array} coordinates - Array of [x, y] numbers
+ * @returns {String|null} EPSG code or null if no guess is possible
+ */
+export const guessCRSFromCoordinates = (coordinates) => {
+    const valid = coordinates.filter(([x, y]) => isFinite(x) && isFinite(y));
+    if (valid.length === 0) return null;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    valid.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
+
+    // Geographic degrees
+    if (minX >= -180 && maxX <= 180 && minY >= -90 && maxY <= 90) {
+        return 'EPSG:4326';
+    }
+
+    // UTM: easting within a zone, northing in meters from the equator (Tunisia ~3.3M to 4.2M)
+    if (minX >= 100000 && maxX <= 900000 && minY >= 1000000 && maxY <= 9400000) {
+        return 'EPSG:22332';
+    }
+
+    // Tunisian Lambert grids: false origin at 500000 / 300000
+    if (minX >= 0 && maxX <= 1000000 && minY >= 0 && maxY <= 1000000) {
+        return 'EPSG:22391';
+    }
+
+    // Web Mercator meters
+    if (Math.abs(minX) <= 20037508.35 && Math.abs(maxX) <= 20037508.35 &&
+        Math.abs(minY) <= 20048966.1 && Math.abs(maxY) <= 20048966.1) {
+        return 'EPSG:3857';
+    }
+
+    return null;
+};
+
+/**
+ * Reproject a GeoJSON geometry (all geometry types, including GeometryCollection)
+ * Extra ordinates (Z, M) are preserved
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {String} fromCRS - Source CRS code
+ * @param {String} toCRS - Target CRS code
+ * @returns {Object} New geometry with transformed coordinates
+ */
+export const reprojectGeometry = (geometry, fromCRS, toCRS) => {
+    if (!geometry) return geometry;
+    const source = resolveProjection(fromCRS);
+    const target = resolveProjection(toCRS);
+    if (source === target) return geometry;
+
+    const converter = proj4(source, target);
+    const transformCoordinates = (coords) => {
+        if (Array.isArray(coords[0])) {
+            return coords.map(transformCoordinates);
+        }
+        const [x, y, ...rest] = coords;
+        return [...converter.forward([x, y]), ...rest];
+    };
+
+    if (geometry.type === 'GeometryCollection') {
+        return {
+            ...geometry,
+            geometries: geometry.geometries.map(geom => reprojectGeometry(geom, source, target))
+        };
+    }
+
+    return {
+        ...geometry,
+        coordinates: transformCoordinates(geometry.coordinates)
+    };
+};
+
+/**
+ * Build the GeoJSON "crs" member for a CRS code (null for WGS84, the GeoJSON default)
+ * @param {String} code - EPSG code
+ * @returns {Object|null} Named CRS object
+ */
+export const toGeoJSONCRS = (code) => {
+    const normalized = normalizeEPSGCode(code);
+    if (!normalized || normalized === 'EPSG:4326') return null;
+    return {
+        type: 'name',
+        properties: {
+            name: `urn:ogc:def:crs:EPSG::${normalized.split(':')[1]}`
+        }
+    };
+};
+
+/**
+ * Check whether a CRS uses geographic (degree) coordinates
+ * @param {String} code - CRS code
+ * @returns {boolean}
+ */
+export const isGeographicCRS = (code) => {
+    const definition = proj4.defs(resolveProjection(code));
+    return !!definition && definition.projName === 'longlat';
+};
+
+const SPHEROID_NAMES = {
+    WGS84: 'WGS 84',
+    GRS80: 'GRS 1980',
+    clrk80ign: 'Clarke 1880 (IGN)',
+    clrk66: 'Clarke 1866',
+    intl: 'International 1924',
+    helmert: 'Helmert 1906',
+    bessel: 'Bessel 1841'
+};
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Round to 12 significant digits to drop radian/degree round-trip noise
+const formatWKTNumber = (value) => parseFloat(Number(value).toPrecision(12)).toString();
+
+/**
+ * Build an OGC WKT1 definition (as written to .prj files) for a registry CRS
+ * Includes TOWGS84 and the root EPSG AUTHORITY so GIS software and our own
+ * .prj reader identify the CRS exactly
+ * @param {String} code - EPSG code
+ * @returns {String} WKT1 text
+ * @throws {Error} If the code is unknown or uses a projection method we cannot describe
+ */
+export const getProjectionWKT = (code) => {
+    const normalized = resolveProjection(code);
+    const entry = EPSG_REGISTRY[normalized];
+    if (!entry) {
+        throw new Error(`Cannot write a .prj file for ${code}: not in the projection registry`);
+    }
+
+    const definition = proj4.defs(normalized);
+    const projection = new proj4.Proj(normalized);
+    const epsgNumber = normalized.split(':')[1];
+    const isGeographic = definition.projName === 'longlat';
+    const geographicName = isGeographic ? entry.name : entry.name.split(' / ')[0];
+
+    const ellipsoidName = SPHEROID_NAMES[definition.ellps] || definition.ellps || 'Unknown';
+    const inverseFlattening = projection.a === projection.b ? 0 : projection.a / (projection.a - projection.b);
+    const datumName = geographicName === 'WGS 84' ? 'WGS_1984' : geographicName.replace(/[^A-Za-z0-9]+/g, '_');
+    const towgs84 = (definition.datum_params || []).map(Number);
+    const towgs84Text = towgs84.length > 0 && towgs84.some(value => value !== 0)
+        ? `,TOWGS84[${[...towgs84, 0, 0, 0, 0, 0, 0, 0].slice(0, 7).map(formatWKTNumber).join(',')}]`
+        : '';
+    const primeMeridianName = /^[a-z]+$/i.test(definition.pm || '')
+        ? definition.pm.charAt(0).toUpperCase() + definition.pm.slice(1)
+        : 'Unknown';
+    const primeMeridian = definition.from_greenwich
+        ? `PRIMEM["${primeMeridianName}",${formatWKTNumber(definition.from_greenwich * RAD_TO_DEG)}]`
+        : 'PRIMEM["Greenwich",0]';
+
+    const geogcs = `GEOGCS["${geographicName}",` +
+        `DATUM["${datumName}",SPHEROID["${ellipsoidName}",${formatWKTNumber(projection.a)},${formatWKTNumber(inverseFlattening)}]${towgs84Text}],` +
+        `${primeMeridian},UNIT["degree",0.0174532925199433]` +
+        (isGeographic ? `,AUTHORITY["EPSG","${epsgNumber}"]]` : ']');
+
+    if (isGeographic) {
+        return geogcs;
+    }
+
+    const deg = (radians) => formatWKTNumber((radians || 0) * RAD_TO_DEG);
+    const parameter = (name, value) => `PARAMETER["${name}",${value}]`;
+    let method;
+    let parameters;
+
+    switch (definition.projName) {
+        case 'utm': {
+            method = 'Transverse_Mercator';
+            parameters = [
+                parameter('latitude_of_origin', 0),
+                parameter('central_meridian', definition.zone * 6 - 183),
+                parameter('scale_factor', 0.9996),
+                parameter('false_easting', 500000),
+                parameter('false_northing', definition.utmSouth ? 10000000 : 0)
+            ];
+            break;
+        }
+        case 'tmerc':
+        case 'etmerc': {
+            method = 'Transverse_Mercator';
+            parameters = [
+                parameter('latitude_of_origin', deg(definition.lat0)),
+                parameter('central_meridian', deg(definition.long0)),
+                parameter('scale_factor', formatWKTNumber(definition.k0 ?? 1)),
+                parameter('false_easting', formatWKTNumber(definition.x0 || 0)),
+                parameter('false_northing', formatWKTNumber(definition.y0 || 0))
+            ];
+            break;
+        }
+        case 'lcc': {
+            const twoStandardParallels = definition.lat2 !== undefined && definition.lat2 !== definition.lat1;
+            method = twoStandardParallels ? 'Lambert_Conformal_Conic_2SP' : 'Lambert_Conformal_Conic_1SP';
+            parameters = twoStandardParallels
+                ? [
+                    parameter('standard_parallel_1', deg(definition.lat1)),
+                    parameter('standard_parallel_2', deg(definition.lat2)),
+                    parameter('latitude_of_origin', deg(definition.lat0)),
+                    parameter('central_meridian', deg(definition.long0)),
+                    parameter('false_easting', formatWKTNumber(definition.x0 || 0)),
+                    parameter('false_northing', formatWKTNumber(definition.y0 || 0))
+                ]
+                : [
+                    parameter('latitude_of_origin', deg(definition.lat0)),
+                    parameter('central_meridian', deg(definition.long0)),
+                    parameter('scale_factor', formatWKTNumber(definition.k0 ?? 1)),
+                    parameter('false_easting', formatWKTNumber(definition.x0 || 0)),
+                    parameter('false_northing', formatWKTNumber(definition.y0 || 0))
+                ];
+            break;
+        }
+        case 'cass': {
+            method = 'Cassini_Soldner';
+            parameters = [
+                parameter('latitude_of_origin', deg(definition.lat0)),
+                parameter('central_meridian', deg(definition.long0)),
+                parameter('false_easting', formatWKTNumber(definition.x0 || 0)),
+                parameter('false_northing', formatWKTNumber(definition.y0 || 0))
+            ];
+            break;
+        }
+        case 'laea': {
+            method = 'Lambert_Azimuthal_Equal_Area';
+            parameters = [
+                parameter('latitude_of_center', deg(definition.lat0)),
+                parameter('longitude_of_center', deg(definition.long0)),
+                parameter('false_easting', formatWKTNumber(definition.x0 || 0)),
+                parameter('false_northing', formatWKTNumber(definition.y0 || 0))
+            ];
+            break;
+        }
+        case 'merc': {
+            method = 'Mercator_1SP';
+            parameters = [
+                parameter('central_meridian', deg(definition.long0)),
+                parameter('scale_factor', formatWKTNumber(definition.k0 ?? 1)),
+                parameter('false_easting', formatWKTNumber(definition.x0 || 0)),
+                parameter('false_northing', formatWKTNumber(definition.y0 || 0))
+            ];
+            break;
+        }
+        default:
+            throw new Error(`Cannot write a .prj file for ${normalized}: unsupported projection method "${definition.projName}"`);
+    }
+
+    const extension = definition.projName === 'merc' ? `,EXTENSION["PROJ4","${entry.proj4}"]` : '';
+    return `PROJCS["${entry.name}",${geogcs},PROJECTION["${method}"],${parameters.join(',')},` +
+        `UNIT["metre",1]${extension},AUTHORITY["EPSG","${epsgNumber}"]]`;
+};
@@ -0,0 +1,72 @@
+/**
+ * Proportional symbols: circle marker radius scaled from a numeric attribute
+ */
+
+import { parseAttributeNumber } from './classification';
+
+// Radius of point markers that are not sized by an attribute
+export const DEFAULT_POINT_RADIUS = 6;
+
+export const SIZE_SCALINGS = [
+    { value: 'sqrt', label: 'Square root (area proportional)' },
+    { value: 'linear', label: 'Linear (radius proportional)' }
+];
+
+export const DEFAULT_SIZE_STYLE = { scaling: 'sqrt', minRadius: 4, maxRadius: 20 };
+export const MIN_SYMBOL_RADIUS = 2;
+export const MAX_SYMBOL_RADIUS = 50;
+
+/**
+ * Build the radius scale of a layer from the range of its attribute
+ * @param {Array} features - GeoJSON features
+ * @param {Object} sizeStyle - { attribute, scaling: 'sqrt' | 'linear', minRadius, maxRadius }
+ * @returns {Object} { min, max, getRadius(value), getFeatureRadius(feature) }; values that are not numbers get minRadius
+ */
+export const createRadiusScale = (features, sizeStyle) => {
+    let min = Infinity;
+    let max = -Infinity;
+    features.forEach(feature => {
+        const value = parseAttributeNumber(feature.properties ? feature.properties[sizeStyle.attribute] : null);
+        if (value !== null) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    });
+
+    const getRadius = (value) => {
+        const number = parseAttributeNumber(value);
+        if (number === null || !Number.isFinite(min)) {
+            return sizeStyle.minRadius;
+        }
+        // Position in the data range; a constant attribute draws every symbol at the largest size
+        const t = max > min ? (number - min) / (max - min) : 1;
+        const scaled = sizeStyle.scaling === 'linear' ? t : Math.sqrt(t);
+        return sizeStyle.minRadius + scaled * (sizeStyle.maxRadius - sizeStyle.minRadius);
+    };
+
+    return {
+        min: Number.isFinite(min) ? min : null,
+        max: Number.isFinite(max) ? max : null,
+        getRadius,
+        getFeatureRadius: (feature) => getRadius(feature.properties ? feature.properties[sizeStyle.attribute] : null)
+    };
+};
+
+/**
+ * Reference values for a size legend
+ * @param {Object} scale - Result of createRadiusScale
+ * @param {number} steps - Number of legend symbols
+ * @returns {Array} [{ value, radius }] from largest to smallest
+ */
+export const getSizeLegend = (scale, steps = 3) => {
+    if (scale.min === null) {
+        return [];
+    }
+    if (scale.max === scale.min) {
+        return [{ value: scale.max, radius: scale.getRadius(scale.max) }];
+    }
+    return Array.from({ length: steps }, (_, i) => {
+        const value = scale.max - (i * (scale.max - scale.min)) / (steps - 1);
+        return { value, radius: scale.getRadius(value) };
+    });
+};
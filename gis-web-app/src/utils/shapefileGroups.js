@@ -0,0 +1,74 @@
+/**
+ * Grouping of shapefile component files (.shp, .shx, .dbf, .prj, .cpg) by folder and base name
+ */
+
+export const SHAPEFILE_EXTENSIONS = ['shp', 'shx', 'dbf', 'prj', 'cpg'];
+
+// Components checked before parsing and what the import loses without them (.cpg is optional: UTF-8 is assumed)
+const EXPECTED_PARTS = [
+    { ext: 'shp', blocking: true, consequence: 'no geometries: the shapefile cannot be imported' },
+    { ext: 'shx', blocking: false, consequence: 'no index: records are read sequentially and damaged files may fail' },
+    { ext: 'dbf', blocking: false, consequence: 'no attribute table: features are imported without attributes' },
+    { ext: 'prj', blocking: false, consequence: 'no projection: the CRS is guessed from the coordinates' }
+];
+
+// Folder of a file inside a dropped folder or an unpacked archive (see fileDrop), '' for files selected directly
+const getFolder = (file) => {
+    const path = file.relativePath || file.webkitRelativePath || '';
+    return path.includes('/') ? path.substring(0, path.lastIndexOf('/') + 1) : '';
+};
+
+/**
+ * Split files into shapefile groups (by folder and case-insensitive base name) and other files
+ * Groups are named after their base name; shapefiles with the same name in different folders
+ * (e.g. 2019/roads.shp and 2020/roads.shp) are named with their folder instead
+ * @param {Array} files - File objects
+ * @returns {Object} { shapefileGroups: { name: { shp, shx, dbf, prj, cpg } }, otherFiles }
+ */
+export const groupShapefileParts = (files) => {
+    const groups = {}; // lowercase folder and base name -> { folder, baseName, parts } (the .shp spelling wins)
+    const otherFiles = [];
+
+    for (const file of files) {
+        const fileName = file.name;
+        const ext = fileName.split('.').pop().toLowerCase();
+
+        if (SHAPEFILE_EXTENSIONS.includes(ext)) {
+            // Remove extension to get base name (case-insensitive)
+            const baseName = fileName.replace(/\.(shp|shx|dbf|prj|cpg)$/i, '');
+            const folder = getFolder(file);
+            const key = (folder + baseName).toLowerCase();
+
+            if (!groups[key]) {
+                groups[key] = { folder, baseName, parts: {} };
+            } else if (ext === 'shp') {
+                groups[key].folder = folder;
+                groups[key].baseName = baseName;
+            }
+            groups[key].parts[ext] = file;
+        } else {
+            otherFiles.push(file);
+        }
+    }
+
+    const nameCounts = {};
+    Object.values(groups).forEach(group => {
+        const name = group.baseName.toLowerCase();
+        nameCounts[name] = (nameCounts[name] || 0) + 1;
+    });
+
+    const shapefileGroups = {};
+    Object.values(groups).forEach(group => {
+        const name = nameCounts[group.baseName.toLowerCase()] > 1 ? group.folder + group.baseName : group.baseName;
+        shapefileGroups[name] = group.parts;
+    });
+
+    return { shapefileGroups, otherFiles };
+};
+
+/**
+ * List the expected components missing from a shapefile group
+ * @param {Object} fileGroup - { shp, shx, dbf, prj, cpg } files
+ * @returns {Array} [{ ext, blocking, consequence }] (blocking: the group cannot be imported)
+ */
+export const getMissingShapefileParts = (fileGroup) => EXPECTED_PARTS.filter(part => !fileGroup[part.ext]);
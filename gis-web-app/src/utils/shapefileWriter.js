@@ -0,0 +1,455 @@
+/**
+ * ESRI Shapefile writer: builds .shp/.shx/.dbf/.prj/.cpg files from layer GeoJSON
+ * and packs them in a zip archive
+ */
+
+import JSZip from 'jszip';
+import { reprojectGeometry, getProjectionWKT } from './projections';
+
+const SHAPE_TYPES = {
+    point: { code: 1, suffix: 'points' },
+    polyline: { code: 3, suffix: 'lines' },
+    polygon: { code: 5, suffix: 'polygons' },
+    multipoint: { code: 8, suffix: 'multipoints' }
+};
+
+const GEOMETRY_SHAPE_TYPES = {
+    Point: 'point',
+    MultiPoint: 'multipoint',
+    LineString: 'polyline',
+    MultiLineString: 'polyline',
+    Polygon: 'polygon',
+    MultiPolygon: 'polygon'
+};
+
+const FIELD_NAME_LENGTH = 10;
+const MAX_CHARACTER_FIELD_LENGTH = 254;
+const MAX_NUMERIC_FIELD_LENGTH = 19;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const textEncoder = new TextEncoder();
+
+// ---------------------------------------------------------------------------
+// Geometry
+// ---------------------------------------------------------------------------
+
+// Shoelace sum: positive for clockwise rings in x/y space
+const ringSignedArea = (ring) => {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+    }
+    return sum;
+};
+
+const closeRing = (ring) => {
+    if (ring.length === 0) return ring;
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+/**
+ * Shapefile polygons need clockwise outer rings and counter-clockwise holes
+ */
+const orientPolygonRings = (rings) => rings
+    .map(closeRing)
+    .filter(ring => ring.length >= 4)
+    .map((ring, index) => {
+        const clockwise = ringSignedArea(ring) > 0;
+        const wantClockwise = index === 0;
+        return clockwise === wantClockwise ? ring : [...ring].reverse();
+    });
+
+/**
+ * Convert a GeoJSON geometry to a list of parts (arrays of [x, y])
+ */
+const geometryToParts = (geometry) => {
+    switch (geometry.type) {
+        case 'Point':
+            return [[geometry.coordinates]];
+        case 'MultiPoint':
+            return [geometry.coordinates];
+        case 'LineString':
+            return [geometry.coordinates];
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'Polygon':
+            return orientPolygonRings(geometry.coordinates);
+        case 'MultiPolygon':
+            return geometry.coordinates.flatMap(orientPolygonRings);
+        default:
+            return [];
+    }
+};
+
+const getPartsBoundingBox = (parts) => {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    parts.forEach(part => part.forEach(([x, y]) => {
+        if (x < bbox[0]) bbox[0] = x;
+        if (y < bbox[1]) bbox[1] = y;
+        if (x > bbox[2]) bbox[2] = x;
+        if (y > bbox[3]) bbox[3] = y;
+    }));
+    return bbox;
+};
+
+const mergeBoundingBoxes = (a, b) => [
+    Math.min(a[0], b[0]), Math.min(a[1], b[1]),
+    Math.max(a[2], b[2]), Math.max(a[3], b[3])
+];
+
+/**
+ * Encode one shape record content (without the record header)
+ */
+const encodeShapeRecord = (shapeType, parts) => {
+    const pointCount = parts.reduce((count, part) => count + part.length, 0);
+
+    if (shapeType === SHAPE_TYPES.point.code) {
+        const view = new DataView(new ArrayBuffer(20));
+        view.setInt32(0, shapeType, true);
+        view.setFloat64(4, parts[0][0][0], true);
+        view.setFloat64(12, parts[0][0][1], true);
+        return view.buffer;
+    }
+
+    const bbox = getPartsBoundingBox(parts);
+
+    if (shapeType === SHAPE_TYPES.multipoint.code) {
+        const view = new DataView(new ArrayBuffer(40 + pointCount * 16));
+        view.setInt32(0, shapeType, true);
+        bbox.forEach((value, i) => view.setFloat64(4 + i * 8, value, true));
+        view.setInt32(36, pointCount, true);
+        parts[0].forEach(([x, y], i) => {
+            view.setFloat64(40 + i * 16, x, true);
+            view.setFloat64(48 + i * 16, y, true);
+        });
+        return view.buffer;
+    }
+
+    // PolyLine and Polygon share the same layout
+    const pointsOffset = 44 + parts.length * 4;
+    const view = new DataView(new ArrayBuffer(pointsOffset + pointCount * 16));
+    view.setInt32(0, shapeType, true);
+    bbox.forEach((value, i) => view.setFloat64(4 + i * 8, value, true));
+    view.setInt32(36, parts.length, true);
+    view.setInt32(40, pointCount, true);
+
+    let pointIndex = 0;
+    parts.forEach((part, partIndex) => {
+        view.setInt32(44 + partIndex * 4, pointIndex, true);
+        part.forEach(([x, y]) => {
+            view.setFloat64(pointsOffset + pointIndex * 16, x, true);
+            view.setFloat64(pointsOffset + pointIndex * 16 + 8, y, true);
+            pointIndex++;
+        });
+    });
+    return view.buffer;
+};
+
+/**
+ * Write the 100-byte header shared by .shp and .shx files
+ */
+const writeMainHeader = (view, fileLengthBytes, shapeType, bbox) => {
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, fileLengthBytes / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    bbox.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+};
+
+/**
+ * Build the .shp and .shx buffers for records of one shape type
+ * @param {Number} shapeType - Shapefile shape type code
+ * @param {Array} records - Arrays of parts, one per feature
+ * @returns {Object} { shp: ArrayBuffer, shx: ArrayBuffer }
+ */
+const buildShapeFiles = (shapeType, records) => {
+    const contents = records.map(parts => encodeShapeRecord(shapeType, parts));
+    const bbox = records
+        .map(getPartsBoundingBox)
+        .reduce(mergeBoundingBoxes, [Infinity, Infinity, -Infinity, -Infinity]);
+
+    const shpLength = 100 + contents.reduce((length, content) => length + 8 + content.byteLength, 0);
+    const shxLength = 100 + contents.length * 8;
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(shxLength));
+    writeMainHeader(shp, shpLength, shapeType, bbox);
+    writeMainHeader(shx, shxLength, shapeType, bbox);
+
+    const shpBytes = new Uint8Array(shp.buffer);
+    let offset = 100;
+    contents.forEach((content, index) => {
+        shp.setInt32(offset, index + 1, false);
+        shp.setInt32(offset + 4, content.byteLength / 2, false);
+        shpBytes.set(new Uint8Array(content), offset + 8);
+
+        shx.setInt32(100 + index * 8, offset / 2, false);
+        shx.setInt32(100 + index * 8 + 4, content.byteLength / 2, false);
+
+        offset += 8 + content.byteLength;
+    });
+
+    return { shp: shp.buffer, shx: shx.buffer };
+};
+
+// ---------------------------------------------------------------------------
+// Attributes (dBase III)
+// ---------------------------------------------------------------------------
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+const isDateValue = (value) => {
+    if (value instanceof Date) return !isNaN(value.getTime());
+    return typeof value === 'string' && ISO_DATE_PATTERN.test(value);
+};
+
+// Strings such as "007" or "1e5" stay text so leading zeros and codes survive
+const isNumericValue = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value);
+    return typeof value === 'string' && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value);
+};
+
+const formatDateValue = (value) => {
+    if (value instanceof Date) {
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}${month}${day}`;
+    }
+    return value.replace(/-/g, '');
+};
+
+const formatTextValue = (value) => (
+    typeof value === 'object' ? JSON.stringify(value) : String(value)
+);
+
+// Cut UTF-8 text to a byte budget without splitting a multi-byte character
+const truncateUTF8 = (text, maxBytes) => {
+    const bytes = textEncoder.encode(text);
+    if (bytes.length <= maxBytes) return bytes;
+    let end = maxBytes;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) end--;
+    return bytes.slice(0, end);
+};
+
+/**
+ * Make DBF field names: ASCII, at most 10 characters, unique (case-insensitive)
+ * @param {Array} names - Property names
+ * @returns {Array} Field names in the same order
+ */
+export const makeDBFFieldNames = (names) => {
+    const used = new Set();
+    return names.map(name => {
+        let base = String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Za-z0-9_]/g, '_')
+            .slice(0, FIELD_NAME_LENGTH);
+        if (base === '' || /^_+$/.test(base)) base = 'FIELD';
+
+        let candidate = base;
+        let counter = 1;
+        while (used.has(candidate.toUpperCase())) {
+            const suffix = `_${counter}`;
+            candidate = base.slice(0, FIELD_NAME_LENGTH - suffix.length) + suffix;
+            counter++;
+        }
+        used.add(candidate.toUpperCase());
+        return candidate;
+    });
+};
+
+/**
+ * Infer a DBF field definition from all values of a property
+ * @param {Array} values - Property values across features
+ * @returns {Object} { type, length, decimals }
+ */
+const inferFieldDefinition = (values) => {
+    const present = values.filter(value => !isEmptyValue(value));
+
+    if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+        return { type: 'L', length: 1, decimals: 0 };
+    }
+
+    if (present.length > 0 && present.every(isDateValue)) {
+        return { type: 'D', length: 8, decimals: 0 };
+    }
+
+    if (present.length > 0 && present.every(isNumericValue)) {
+        const numbers = present.map(Number);
+        // reduce rather than Math.max(...values): spreading one argument per feature overflows the stack on large layers
+        const decimals = Math.min(15, numbers.reduce((maxDecimals, number) => {
+            const text = String(number);
+            return Math.max(maxDecimals, text.includes('e') ? 15 : (text.split('.')[1] || '').length);
+        }, 0));
+        const length = numbers.reduce((maxLength, number) => Math.max(maxLength, number.toFixed(decimals).length), 1);
+        if (length <= MAX_NUMERIC_FIELD_LENGTH) {
+            return { type: 'N', length, decimals };
+        }
+    }
+
+    const length = present.reduce((maxLength, value) => Math.max(maxLength, textEncoder.encode(formatTextValue(value)).length), 1);
+    return { type: 'C', length: Math.min(length, MAX_CHARACTER_FIELD_LENGTH), decimals: 0 };
+};
+
+/**
+ * Encode a value as the fixed-width bytes of a DBF field
+ */
+const encodeFieldValue = (value, field) => {
+    const bytes = new Uint8Array(field.length).fill(0x20);
+    if (isEmptyValue(value)) {
+        if (field.type === 'L') bytes[0] = 0x3F; // '?'
+        return bytes;
+    }
+
+    let encoded;
+    switch (field.type) {
+        case 'L':
+            encoded = textEncoder.encode(value ? 'T' : 'F');
+            break;
+        case 'D':
+            encoded = textEncoder.encode(formatDateValue(value));
+            break;
+        case 'N': {
+            // Numbers are right-aligned
+            const text = Number(value).toFixed(field.decimals);
+            encoded = textEncoder.encode(text.padStart(field.length, ' '));
+            break;
+        }
+        default:
+            encoded = truncateUTF8(formatTextValue(value), field.length);
+    }
+
+    bytes.set(encoded.subarray(0, field.length));
+    return bytes;
+};
+
+/**
+ * Build the .dbf buffer for a list of features
+ * @param {Array} features - GeoJSON features
+ * @returns {ArrayBuffer} DBF content
+ */
+const buildDBF = (features) => {
+    const propertyNames = [];
+    features.forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(name => {
+            if (!propertyNames.includes(name)) propertyNames.push(name);
+        });
+    });
+
+    const fieldNames = makeDBFFieldNames(propertyNames);
+    const fields = propertyNames.map((property, index) => ({
+        property,
+        name: fieldNames[index],
+        ...inferFieldDefinition(features.map(feature => (feature.properties || {})[property]))
+    }));
+
+    // A DBF needs at least one field to be readable
+    if (fields.length === 0) {
+        fields.push({ property: null, name: 'ID', type: 'N', length: 10, decimals: 0 });
+    }
+
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((length, field) => length + field.length, 0);
+    const buffer = new ArrayBuffer(headerLength + features.length * recordLength + 1);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const today = new Date();
+
+    view.setUint8(0, 0x03);
+    view.setUint8(1, today.getFullYear() - 1900);
+    view.setUint8(2, today.getMonth() + 1);
+    view.setUint8(3, today.getDate());
+    view.setUint32(4, features.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, index) => {
+        const offset = 32 + index * 32;
+        bytes.set(textEncoder.encode(field.name), offset);
+        view.setUint8(offset + 11, field.type.charCodeAt(0));
+        view.setUint8(offset + 16, field.length);
+        view.setUint8(offset + 17, field.decimals);
+    });
+    view.setUint8(headerLength - 1, 0x0D);
+
+    features.forEach((feature, featureIndex) => {
+        let offset = headerLength + featureIndex * recordLength;
+        bytes[offset] = 0x20; // not deleted
+        offset++;
+        fields.forEach(field => {
+            const value = field.property === null ? featureIndex + 1 : (feature.properties || {})[field.property];
+            bytes.set(encodeFieldValue(value, field), offset);
+            offset += field.length;
+        });
+    });
+    bytes[buffer.byteLength - 1] = 0x1A;
+
+    return buffer;
+};
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const sanitizeFileName = (name) => String(name).replace(/[\\/:*?"<>|]/g, '_') || 'layer';
+
+/**
+ * Export layer to a zipped ESRI Shapefile
+ * Mixed-geometry layers produce one shapefile per geometry type (name_points, name_lines, ...)
+ * @param {Object} layer - Layer object (data in WGS84)
+ * @param {String} targetCRS - CRS of the written coordinates and .prj (default EPSG:4326)
+ * @returns {Promise<Blob>} Zip archive
+ */
+export const exportToShapefile = async (layer, targetCRS = 'EPSG:4326') => {
+    if (!layer || !layer.data || !layer.data.features) {
+        throw new Error('Layer has no features to export');
+    }
+
+    const prj = getProjectionWKT(targetCRS);
+    const groups = {};
+
+    layer.data.features.forEach((feature, index) => {
+        const geometry = feature.geometry;
+        const shapeKey = geometry && GEOMETRY_SHAPE_TYPES[geometry.type];
+        if (!shapeKey) {
+            console.warn(`Skipping feature ${index}: geometry ${geometry ? geometry.type : 'null'} cannot be written to a shapefile`);
+            return;
+        }
+
+        const parts = geometryToParts(reprojectGeometry(geometry, 'EPSG:4326', targetCRS))
+            .filter(part => part.length > 0);
+        if (parts.length === 0) {
+            console.warn(`Skipping feature ${index}: empty geometry`);
+            return;
+        }
+
+        if (!groups[shapeKey]) groups[shapeKey] = { records: [], features: [] };
+        groups[shapeKey].records.push(parts);
+        groups[shapeKey].features.push(feature);
+    });
+
+    const shapeKeys = Object.keys(groups);
+    if (shapeKeys.length === 0) {
+        throw new Error('Layer has no geometries that can be written to a shapefile');
+    }
+
+    const zip = new JSZip();
+    const baseName = sanitizeFileName(layer.name);
+
+    shapeKeys.forEach(shapeKey => {
+        const { code, suffix } = SHAPE_TYPES[shapeKey];
+        const { records, features } = groups[shapeKey];
+        const fileName = shapeKeys.length === 1 ? baseName : `${baseName}_${suffix}`;
+        const { shp, shx } = buildShapeFiles(code, records);
+
+        zip.file(`${fileName}.shp`, shp);
+        zip.file(`${fileName}.shx`, shx);
+        zip.file(`${fileName}.dbf`, buildDBF(features));
+        zip.file(`${fileName}.prj`, prj);
+        zip.file(`${fileName}.cpg`, 'UTF-8');
+
+    });
+
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
@@ -0,0 +1,77 @@
+/**
+ * Geoprocessing functions operating on layer GeoJSON (WGS84 coordinates)
+ */
+
+import buffer from '@turf/buffer';
+import union from '@turf/union';
+import { featureCollection } from '@turf/helpers';
+
+const SUPPORTED_BUFFER_GEOMETRIES = [
+    'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon'
+];
+
+/**
+ * Build metric buffers around every feature of a layer
+ * @param {Object} layer - Layer object with data.features
+ * @param {Number} radius - Buffer distance in meters
+ * @param {Object} options - { dissolve: merge overlapping buffers into a single geometry }
+ * @returns {Object} FeatureCollection of Polygon/MultiPolygon buffers
+ */
+export const bufferLayer = (layer, radius, options = {}) => {
+    if (!layer || !layer.data || !layer.data.features) {
+        throw new Error('Layer has no features to buffer');
+    }
+
+    const distance = parseFloat(radius);
+    if (isNaN(distance) || distance <= 0) {
+        throw new Error('Buffer radius must be a positive number of meters');
+    }
+
+    const buffers = [];
+    layer.data.features.forEach((feature, index) => {
+        if (!feature.geometry || !SUPPORTED_BUFFER_GEOMETRIES.includes(feature.geometry.type)) {
+            console.warn(`Skipping feature ${index}: unsupported geometry for buffering`);
+            return;
+        }
+
+        try {
+            // turf computes the buffer on a local azimuthal projection, so meters stay meters
+            const buffered = buffer(feature, distance, { units: 'meters' });
+            if (buffered && buffered.geometry) {
+                buffers.push({
+                    type: 'Feature',
+                    geometry: buffered.geometry,
+                    properties: {
+                        ...(feature.properties || {}),
+                        buffer_m: distance
+                    }
+                });
+            }
+        } catch (error) {
+            console.error(`Error buffering feature ${index}:`, error);
+        }
+    });
+
+    if (buffers.length === 0) {
+        throw new Error('No buffer could be generated from the layer geometries');
+    }
+
+    if (!options.dissolve || buffers.length === 1) {
+        return featureCollection(buffers);
+    }
+
+    const dissolved = union(featureCollection(buffers));
+    if (!dissolved) {
+        throw new Error('Failed to dissolve buffers');
+    }
+
+    return featureCollection([{
+        type: 'Feature',
+        geometry: dissolved.geometry,
+        properties: {
+            source: layer.name,
+            buffer_m: distance,
+            feature_count: buffers.length
+        }
+    }]);
+};
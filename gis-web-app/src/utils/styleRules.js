@@ -0,0 +1,74 @@
+/**
+ * Rule-based styling: ordered filter rules, each with its own symbol, and an else symbol for the features no rule matches
+ */
+
+import { parseExpression, evaluateExpression } from './featureExpression';
+import { resolveLayerStyle, usesMarkerIcons } from './layerStyle';
+
+// Fill colors given to new rules in turn
+export const RULE_COLORS = ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#06b6d4', '#ec4899', '#84cc16'];
+
+/**
+ * New rule with an empty filter
+ * @param {number} index - Position of the rule, picks its fill color
+ * @returns {Object} { id, filter, symbol } where symbol holds the style settings the rule overrides
+ */
+export const createStyleRule = (index) => ({
+    id: Date.now() + Math.random(),
+    filter: '',
+    symbol: { fillColor: RULE_COLORS[index % RULE_COLORS.length] }
+});
+
+const compileRules = (styleRules) => styleRules.rules.map(rule => {
+    try {
+        return { expression: parseExpression(rule.filter), symbol: rule.symbol };
+    } catch {
+        return null; // An invalid filter never matches
+    }
+});
+
+/**
+ * Build the matcher of a layer's style rules
+ * @param {Object|null} styleRules - { rules: [{ id, filter, symbol }], elseSymbol }
+ * @returns {Function|null} (properties) => symbol of the first matching rule, or the else symbol; null without rules
+ */
+export const compileStyleRules = (styleRules) => {
+    if (!styleRules) return null;
+    const compiled = compileRules(styleRules);
+    return (properties) => {
+        const match = compiled.find(rule => rule && evaluateExpression(rule.expression, properties || {}));
+        return match ? match.symbol : styleRules.elseSymbol;
+    };
+};
+
+/**
+ * Count the features each rule styles (a feature counts for the first rule it matches only)
+ * @param {Object} styleRules - { rules, elseSymbol }
+ * @param {Array} features - GeoJSON features
+ * @returns {Object} { ruleCounts: [count per rule], elseCount }
+ */
+export const countRuleMatches = (styleRules, features) => {
+    const compiled = compileRules(styleRules);
+    const ruleCounts = compiled.map(() => 0);
+    let elseCount = 0;
+    features.forEach(feature => {
+        const index = compiled.findIndex(rule => rule && evaluateExpression(rule.expression, feature.properties || {}));
+        if (index === -1) {
+            elseCount++;
+        } else {
+            ruleCounts[index]++;
+        }
+    });
+    return { ruleCounts, elseCount };
+};
+
+/**
+ * Whether any point of the layer is drawn as an icon marker, with its style or one of its rule symbols
+ * @param {Object} layer - Layer object
+ * @returns {boolean}
+ */
+export const layerUsesMarkerIcons = (layer) => {
+    const style = resolveLayerStyle(layer);
+    const symbols = layer.styleRules ? [...layer.styleRules.rules.map(rule => rule.symbol), layer.styleRules.elseSymbol] : [];
+    return usesMarkerIcons(style) || symbols.some(symbol => usesMarkerIcons({ ...style, ...symbol }));
+};
@@ -0,0 +1,388 @@
+/**
+ * Text encoding helpers shared by the importers (main thread and parse worker)
+ * Detects UTF-8 / UTF-16 / Windows-1256 / Windows-1252 text, builds previews for the encoding chooser
+ * and re-decodes DBF strings read with the wrong code page
+ */
+
+// Encodings offered by the encoding chooser (values are TextDecoder labels)
+export const CANDIDATE_ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'windows-1256', label: 'Windows-1256 (Arabic)' },
+    { value: 'iso-8859-6', label: 'ISO-8859-6 (Arabic)' },
+    { value: 'windows-1252', label: 'Windows-1252 (Western European)' },
+    { value: 'iso-8859-15', label: 'ISO-8859-15 (Western European, €)' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' }
+];
+
+// Detection and previews only look at the start of the file
+export const ENCODING_SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Manual Windows-1252 to UTF-8 conversion for environments whose TextDecoder lacks it
+ * @param {Uint8Array} bytes - Windows-1252 bytes
+ * @returns {String} Decoded text
+ */
+export const convertWindows1252ToUTF8 = (bytes) => {
+    // Windows-1252 to Unicode mapping (complete character set)
+    const windows1252Map = {
+        // Lowercase accented characters
+        0xE0: '\u00E0', // à
+        0xE1: '\u00E1', // á
+        0xE2: '\u00E2', // â
+        0xE3: '\u00E3', // ã
+        0xE4: '\u00E4', // ä
+        0xE5: '\u00E5', // å
+        0xE6: '\u00E6', // æ
+        0xE7: '\u00E7', // ç
+        0xE8: '\u00E8', // è
+        0xE9: '\u00E9', // é
+        0xEA: '\u00EA', // ê
+        0xEB: '\u00EB', // ë
+        0xEC: '\u00EC', // ì
+        0xED: '\u00ED', // í
+        0xEE: '\u00EE', // î
+        0xEF: '\u00EF', // ï
+        0xF0: '\u00F0', // ð
+        0xF1: '\u00F1', // ñ
+        0xF2: '\u00F2', // ò
+        0xF3: '\u00F3', // ó
+        0xF4: '\u00F4', // ô
+        0xF5: '\u00F5', // õ
+        0xF6: '\u00F6', // ö
+        0xF8: '\u00F8', // ø
+        0xF9: '\u00F9', // ù
+        0xFA: '\u00FA', // ú
+        0xFB: '\u00FB', // û
+        0xFC: '\u00FC', // ü
+        0xFD: '\u00FD', // ý
+        0xFE: '\u00FE', // þ
+        0xFF: '\u00FF', // ÿ
+        
+        // Uppercase accented characters
+        0xC0: '\u00C0', // À
+        0xC1: '\u00C1', // Á
+        0xC2: '\u00C2', // Â
+        0xC3: '\u00C3', // Ã
+        0xC4: '\u00C4', // Ä
+        0xC5: '\u00C5', // Å
+        0xC6: '\u00C6', // Æ
+        0xC7: '\u00C7', // Ç
+        0xC8: '\u00C8', // È
+        0xC9: '\u00C9', // É
+        0xCA: '\u00CA', // Ê
+        0xCB: '\u00CB', // Ë
+        0xCC: '\u00CC', // Ì
+        0xCD: '\u00CD', // Í
+        0xCE: '\u00CE', // Î
+        0xCF: '\u00CF', // Ï
+        0xD0: '\u00D0', // Ð
+        0xD1: '\u00D1', // Ñ
+        0xD2: '\u00D2', // Ò
+        0xD3: '\u00D3', // Ó
+        0xD4: '\u00D4', // Ô
+        0xD5: '\u00D5', // Õ
+        0xD6: '\u00D6', // Ö
+        0xD8: '\u00D8', // Ø
+        0xD9: '\u00D9', // Ù
+        0xDA: '\u00DA', // Ú
+        0xDB: '\u00DB', // Û
+        0xDC: '\u00DC', // Ü
+        0xDD: '\u00DD', // Ý
+        0xDE: '\u00DE', // Þ
+        
+        // Special Windows-1252 characters (0x80-0x9F)
+        0x80: '\u20AC', // €
+        0x82: '\u201A', // ‚
+        0x83: '\u0192', // ƒ
+        0x84: '\u201E', // „
+        0x85: '\u2026', // …
+        0x86: '\u2020', // †
+        0x87: '\u2021', // ‡
+        0x88: '\u02C6', // ˆ
+        0x89: '\u2030', // ‰
+        0x8A: '\u0160', // Š
+        0x8B: '\u2039', // ‹
+        0x8C: '\u0152', // Œ
+        0x8E: '\u017D', // Ž
+        0x91: '\u2018', // '
+        0x92: '\u2019', // '
+        0x93: '\u201C', // "
+        0x94: '\u201D', // "
+        0x95: '\u2022', // •
+        0x96: '\u2013', // –
+        0x97: '\u2014', // —
+        0x98: '\u02DC', // ˜
+        0x99: '\u2122', // ™
+        0x9A: '\u0161', // š
+        0x9B: '\u203A', // ›
+        0x9C: '\u0153', // œ
+        0x9E: '\u017E', // ž
+        0x9F: '\u0178'  // Ÿ
+    };
+    
+    let result = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        if (windows1252Map[byte]) {
+            result += windows1252Map[byte];
+        } else if (byte >= 0x20 && byte < 0x7F) {
+            // ASCII printable characters
+            result += String.fromCharCode(byte);
+        } else if (byte === 0x0A || byte === 0x0D || byte === 0x09) {
+            // Line breaks and tabs
+            result += String.fromCharCode(byte);
+        } else if (byte < 0x20) {
+            // Control characters (preserve)
+            result += String.fromCharCode(byte);
+        } else {
+            // Unknown byte - try to preserve as-is
+            result += String.fromCharCode(byte);
+        }
+    }
+    return result;
+};
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Read the encoding declared by an XML prolog (KML, GPX), e.g. <?xml version="1.0" encoding="windows-1256"?>
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {String|null} Declared encoding if the TextDecoder supports it
+ */
+export const getDeclaredXMLEncoding = (bytes) => {
+    const prolog = String.fromCharCode(...bytes.subarray(0, 200));
+    const match = /^(?:\uFEFF|\u00EF\u00BB\u00BF)?\s*<\?xml[^>]*encoding\s*=\s*["']([\w.:-]+)["']/i.exec(prolog);
+    if (!match) return null;
+    try {
+        return new TextDecoder(match[1]).encoding;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Guess the encoding of a text sample
+ * BOMs, XML declarations, pure ASCII and valid UTF-8 are certain; for other 8-bit text the
+ * share of bytes that decode to Arabic letters in Windows-1256 decides between 1256 and 1252
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {Object} { encoding, confident } (confident false: the user should choose)
+ */
+export const detectEncoding = (bytes) => {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { encoding: 'utf-8', confident: true };
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { encoding: 'utf-16le', confident: true };
+    }
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { encoding: 'utf-16be', confident: true };
+    }
+
+    // UTF-16 without BOM: mostly-ASCII text has a zero in every other byte
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        if (bytes[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    const pairs = bytes.length / 2;
+    if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+        return { encoding: 'utf-16le', confident: true };
+    }
+    if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+        return { encoding: 'utf-16be', confident: true };
+    }
+
+    const declaredEncoding = getDeclaredXMLEncoding(bytes);
+    if (declaredEncoding) {
+        return { encoding: declaredEncoding, confident: true };
+    }
+
+    const highBytes = bytes.reduce((count, byte) => count + (byte >= 0x80 ? 1 : 0), 0);
+    if (highBytes === 0) {
+        return { encoding: 'utf-8', confident: true };
+    }
+
+    try {
+        // stream: true tolerates a multi-byte character cut at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+        return { encoding: 'utf-8', confident: true };
+    } catch {
+        // Not UTF-8: a legacy 8-bit code page
+    }
+
+    // French accents (é, è, à, ç...) sit at the same positions in both code pages; Arabic letters only exist in 1256
+    const arabicLetters = countMatches(new TextDecoder('windows-1256').decode(bytes), /[\u0600-\u06FF]/g);
+    return {
+        encoding: arabicLetters / highBytes > 0.5 ? 'windows-1256' : 'windows-1252',
+        confident: false
+    };
+};
+
+/**
+ * Decode bytes with one encoding (Windows-1252 falls back to the manual table)
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {String} encoding - TextDecoder label
+ * @returns {String} Decoded text
+ */
+const decodeWith = (bytes, encoding) => {
+    try {
+        return new TextDecoder(encoding, { fatal: false }).decode(bytes);
+    } catch (error) {
+        if (/1252/.test(encoding)) {
+            return convertWindows1252ToUTF8(bytes);
+        }
+        throw new Error(`Unsupported text encoding: ${encoding} (${error.message})`);
+    }
+};
+
+/**
+ * Decode a file's bytes
+ * @param {ArrayBuffer} buffer - File content
+ * @param {String} encoding - TextDecoder label chosen by the user, or 'auto' to detect it
+ * @returns {String} Decoded text (without BOM)
+ */
+export const decodeText = (buffer, encoding = 'auto') => {
+    const bytes = new Uint8Array(buffer);
+    let textEncoding = encoding;
+    if (!encoding || encoding === 'auto') {
+        textEncoding = detectEncoding(bytes).encoding;
+    }
+
+    const text = decodeWith(bytes, textEncoding);
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+};
+
+/**
+ * Decode a sample under every candidate encoding for the encoding chooser
+ * Shows the first line (CSV header, XML prolog) and then the lines with non-ASCII characters
+ * @param {Uint8Array} bytes - Start of the file
+ * @param {Number} maxLines - Lines per encoding
+ * @returns {Array} [{ value, label, lines, replacementCount }]
+ */
+export const previewEncodings = (bytes, maxLines = 6) => CANDIDATE_ENCODINGS.map(({ value, label }) => {
+    const text = decodeWith(bytes, value).replace(/^\uFEFF/, '');
+    const allLines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    // The last line of a sample is usually cut
+    if (bytes.length >= ENCODING_SAMPLE_SIZE) allLines.pop();
+
+    const interestingLines = allLines.slice(1).filter(line => /[^\u0020-\u007E\t]/.test(line));
+    const lines = [allLines[0], ...(interestingLines.length > 0 ? interestingLines : allLines.slice(1))]
+        .filter(line => line !== undefined)
+        .slice(0, maxLines)
+        .map(line => (line.length > 160 ? `${line.slice(0, 160)}…` : line));
+
+    return { value, label, lines, replacementCount: countMatches(text, /\uFFFD/g) };
+});
+
+/**
+ * Get the raw bytes of the text (C) fields of the first DBF records, one record per line
+ * Used to preview a DBF under each candidate encoding before parsing
+ * @param {ArrayBuffer} buffer - DBF content
+ * @param {Number} maxRecords - Records to sample
+ * @returns {Uint8Array} Field bytes, fields separated by " | " and records by newlines
+ */
+export const getDBFTextSample = (buffer, maxRecords = 200) => {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+
+    // Field descriptors: 32 bytes each from offset 32 until the 0x0D terminator
+    const textFields = [];
+    let fieldOffset = 1; // Each record starts with the deletion flag
+    for (let offset = 32; offset + 32 <= headerLength && bytes[offset] !== 0x0D; offset += 32) {
+        const type = String.fromCharCode(bytes[offset + 11]);
+        const length = bytes[offset + 16];
+        if (type === 'C') {
+            textFields.push({ offset: fieldOffset, length });
+        }
+        fieldOffset += length;
+    }
+
+    const separator = [0x20, 0x7C, 0x20];
+    const sample = [];
+    for (let record = 0; record < Math.min(recordCount, maxRecords); record++) {
+        const recordStart = headerLength + record * recordLength;
+        if (recordStart + recordLength > bytes.length) break;
+        textFields.forEach((field, index) => {
+            if (index > 0) sample.push(...separator);
+            const value = bytes.subarray(recordStart + field.offset, recordStart + field.offset + field.length);
+            // Trim padding spaces and NULs
+            let end = value.length;
+            while (end > 0 && (value[end - 1] === 0x20 || value[end - 1] === 0)) end--;
+            for (let i = 0; i < end; i++) sample.push(value[i]);
+        });
+        sample.push(0x0A);
+    }
+    return Uint8Array.from(sample);
+};
+
+/**
+ * Ensure an attribute value is kept as a string (UTF-8 text preserved as-is)
+ * @param {*} value - Attribute value
+ * @returns {String} Text value ('' for null/undefined)
+ */
+export const preserveUTF8 = (value) => {
+    if (value === null || value === undefined) return '';
+    // Ensure the value is treated as a UTF-8 string
+    if (typeof value === 'string') {
+        return value;
+    }
+    // Convert to string, preserving UTF-8 encoding
+    return String(value);
+};
+
+/**
+ * Get the DBF encoding declared by a shapefile .cpg file
+ * @param {String} cpgText - CPG content, e.g. "UTF-8", "1252" or "ISO-8859-1"
+ * @returns {String} 'UTF-8', 'Windows-1252' or 'ISO-8859-1' (UTF-8 when missing or unknown)
+ */
+export const getDBFEncoding = (cpgText) => {
+    const cpgContent = (cpgText || '').trim().toUpperCase();
+    if (cpgContent === '1252' || cpgContent === 'WINDOWS-1252' || cpgContent === 'CP1252') {
+        return 'Windows-1252';
+    } else if (cpgContent === 'UTF-8' || cpgContent === 'UTF8') {
+        return 'UTF-8';
+    } else if (cpgContent === 'ISO-8859-1' || cpgContent === 'LATIN1' || cpgContent === '8859-1') {
+        return 'ISO-8859-1';
+    } else if (cpgContent) {
+        // Try to extract encoding number
+        const encodingMatch = cpgContent.match(/(\d+)/);
+        if (encodingMatch && encodingMatch[1] === '1252') {
+            return 'Windows-1252';
+        }
+    }
+    return 'UTF-8';
+};
+
+/**
+ * Re-decode a DBF string that was read one byte per character
+ * @param {String} value - String whose char codes are the raw DBF bytes
+ * @param {String} dbfEncoding - Encoding from getDBFEncoding
+ * @returns {String} Decoded text (unchanged for UTF-8)
+ */
+export const decodeDBFString = (value, dbfEncoding) => {
+    if (typeof value !== 'string' || value.length === 0 || dbfEncoding === 'UTF-8') {
+        return value;
+    }
+
+    // Characters outside the Latin-1 range cannot be single DBF bytes: keep them as '?'
+    const bytes = new Uint8Array(value.length);
+    for (let i = 0; i < value.length; i++) {
+        const charCode = value.charCodeAt(i);
+        bytes[i] = charCode < 256 ? charCode : 0x3F;
+    }
+
+    if (dbfEncoding === 'Windows-1252') {
+        return convertWindows1252ToUTF8(bytes);
+    }
+    if (dbfEncoding === 'ISO-8859-1') {
+        return new TextDecoder('iso-8859-1', { fatal: false }).decode(bytes);
+    }
+    return value;
+};
@@ -0,0 +1,205 @@
+/**
+ * WKT / EWKT geometry parser (OGC Simple Features text) producing GeoJSON geometries
+ */
+
+const GEOMETRY_TYPES = {
+    POINT: 'Point',
+    LINESTRING: 'LineString',
+    POLYGON: 'Polygon',
+    MULTIPOINT: 'MultiPoint',
+    MULTILINESTRING: 'MultiLineString',
+    MULTIPOLYGON: 'MultiPolygon',
+    GEOMETRYCOLLECTION: 'GeometryCollection'
+};
+
+// Quick test used to detect WKT columns without fully parsing them
+const WKT_PREFIX_PATTERN = /^\s*(SRID=\d+\s*;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*(Z|M|ZM)?\s*(\(|EMPTY)/i;
+
+/**
+ * Check whether a value looks like WKT or EWKT text
+ * @param {*} value - Cell value
+ * @returns {Boolean} True if the text starts like a WKT geometry
+ */
+export const looksLikeWKT = (value) => typeof value === 'string' && WKT_PREFIX_PATTERN.test(value);
+
+/**
+ * Tokenizer-based recursive descent parser over a WKT string
+ */
+const createParser = (text) => {
+    let position = 0;
+
+    const fail = (message) => {
+        throw new Error(`Invalid WKT at position ${position}: ${message}`);
+    };
+
+    const skipWhitespace = () => {
+        while (position < text.length && /\s/.test(text[position])) position++;
+    };
+
+    const peek = () => {
+        skipWhitespace();
+        return text[position];
+    };
+
+    const expect = (character) => {
+        if (peek() !== character) fail(`expected "${character}"`);
+        position++;
+    };
+
+    const readWord = () => {
+        skipWhitespace();
+        const match = /^[A-Za-z]+/.exec(text.slice(position));
+        if (!match) return null;
+        position += match[0].length;
+        return match[0].toUpperCase();
+    };
+
+    const readNumber = () => {
+        skipWhitespace();
+        const match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(text.slice(position));
+        if (!match) fail('expected a number');
+        position += match[0].length;
+        return parseFloat(match[0]);
+    };
+
+    // A position has 2-4 ordinates; keep X, Y and Z (dropping M when the dimension says so)
+    const readPosition = (dimension) => {
+        const ordinates = [readNumber(), readNumber()];
+        while (/[-+.\d]/.test(peek() || '')) {
+            ordinates.push(readNumber());
+        }
+        if (dimension === 'M') return ordinates.slice(0, 2);
+        return ordinates.slice(0, 3);
+    };
+
+    // Comma-separated list inside parentheses
+    const readList = (readItem) => {
+        expect('(');
+        const items = [readItem()];
+        while (peek() === ',') {
+            position++;
+            items.push(readItem());
+        }
+        expect(')');
+        return items;
+    };
+
+    const readPositionList = (dimension) => readList(() => readPosition(dimension));
+
+    // MULTIPOINT accepts both "(1 2, 3 4)" and "((1 2), (3 4))"
+    const readMultiPointItem = (dimension) => {
+        if (peek() === '(') {
+            expect('(');
+            const point = readPosition(dimension);
+            expect(')');
+            return point;
+        }
+        return readPosition(dimension);
+    };
+
+    const readGeometry = () => {
+        const keyword = readWord();
+        const type = keyword && GEOMETRY_TYPES[keyword];
+        if (!type) fail(`unknown geometry type "${keyword || text.slice(position, position + 10)}"`);
+
+        // Optional dimension modifier (Z, M, ZM) and/or EMPTY before the coordinates
+        let dimension = '';
+        let word = readWord();
+        if (word === 'Z' || word === 'M' || word === 'ZM') {
+            dimension = word;
+            word = readWord();
+        }
+        if (word === 'EMPTY') {
+            return type === 'GeometryCollection'
+                ? { type, geometries: [] }
+                : { type, coordinates: [] };
+        }
+        if (word) fail(`unexpected "${word}"`);
+
+        switch (type) {
+            case 'Point': {
+                expect('(');
+                const coordinates = readPosition(dimension);
+                expect(')');
+                return { type, coordinates };
+            }
+            case 'LineString':
+                return { type, coordinates: readPositionList(dimension) };
+            case 'Polygon':
+                return { type, coordinates: readList(() => readPositionList(dimension)) };
+            case 'MultiPoint':
+                return { type, coordinates: readList(() => readMultiPointItem(dimension)) };
+            case 'MultiLineString':
+                return { type, coordinates: readList(() => readPositionList(dimension)) };
+            case 'MultiPolygon':
+                return { type, coordinates: readList(() => readList(() => readPositionList(dimension))) };
+            case 'GeometryCollection':
+                return { type, geometries: readList(readGeometry) };
+            default:
+                return fail(`unsupported geometry type "${type}"`);
+        }
+    };
+
+    const parse = () => {
+        const geometry = readGeometry();
+        skipWhitespace();
+        if (position < text.length) fail('unexpected trailing text');
+        return geometry;
+    };
+
+    return { parse };
+};
+
+/**
+ * Parse WKT or EWKT text into a GeoJSON geometry
+ * @param {String} text - e.g. "POLYGON((...))" or "SRID=22391;POINT(500000 300000)"
+ * @returns {Object} { geometry, srid } where srid is the EWKT SRID number or null
+ * @throws {Error} If the text is not valid WKT
+ */
+export const parseWKT = (text) => {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('Empty WKT value');
+    }
+
+    let wkt = text.trim();
+    let srid = null;
+    const sridMatch = /^SRID=(\d+)\s*;\s*/i.exec(wkt);
+    if (sridMatch) {
+        srid = parseInt(sridMatch[1], 10);
+        wkt = wkt.slice(sridMatch[0].length);
+    }
+
+    return { geometry: createParser(wkt).parse(), srid };
+};
+
+/**
+ * Check whether a parsed geometry has no coordinates
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Boolean} True for EMPTY geometries
+ */
+export const isEmptyGeometry = (geometry) => (
+    geometry.type === 'GeometryCollection'
+        ? geometry.geometries.length === 0
+        : geometry.coordinates.length === 0
+);
+
+/**
+ * Get the first position of a geometry (used for CRS guessing and previews)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} [x, y] or null
+ */
+export const getFirstPosition = (geometry) => {
+    if (!geometry) return null;
+    if (geometry.type === 'GeometryCollection') {
+        for (const child of geometry.geometries) {
+            const position = getFirstPosition(child);
+            if (position) return position;
+        }
+        return null;
+    }
+    let coordinates = geometry.coordinates;
+    while (Array.isArray(coordinates) && Array.isArray(coordinates[0])) {
+        coordinates = coordinates[0];
+    }
+    return Array.isArray(coordinates) && typeof coordinates[0] === 'number' ? coordinates : null;
+};
@@ -0,0 +1,132 @@
+/**
+ * Small Web Worker pool: queues jobs, runs them on up to `size` workers and supports cancellation
+ */
+
+/**
+ * Error used to reject jobs the user cancelled (callers check error.cancelled)
+ * @returns {Error} Error with cancelled = true
+ */
+export const createCancelledError = () => {
+    const error = new Error('Import cancelled');
+    error.cancelled = true;
+    return error;
+};
+
+/**
+ * Default pool size: leave one core for the UI, use at most 4 workers
+ * @returns {Number} Number of workers
+ */
+const getDefaultPoolSize = () => {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : 2;
+    return Math.min(4, Math.max(1, cores - 1));
+};
+
+/**
+ * Create a worker pool
+ * Workers speak the parseWorker.js protocol: { id, task, payload } in, progress/result/error messages out
+ * @param {Function} createWorker - Returns a new Worker
+ * @param {Number} size - Maximum number of workers
+ * @returns {Object} { run(task, payload, { onProgress, transfer }) -> { promise, cancel } }
+ */
+export const createWorkerPool = (createWorker, size = getDefaultPoolSize()) => {
+    const idleWorkers = [];
+    const pendingJobs = [];
+    const runningJobs = new Map(); // worker -> job
+    let workerCount = 0;
+    let nextJobId = 1;
+
+    const dispatch = () => {
+        while (pendingJobs.length > 0) {
+            let worker = idleWorkers.pop();
+            if (!worker && workerCount < size) {
+                worker = spawnWorker();
+            }
+            if (!worker) return;
+
+            const job = pendingJobs.shift();
+            job.worker = worker;
+            runningJobs.set(worker, job);
+            worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, job.transfer);
+        }
+    };
+
+    const releaseWorker = (worker) => {
+        runningJobs.delete(worker);
+        idleWorkers.push(worker);
+        dispatch();
+    };
+
+    // Terminating is the only way to stop a synchronous parse; a fresh worker is spawned on demand
+    const discardWorker = (worker) => {
+        runningJobs.delete(worker);
+        worker.terminate();
+        workerCount--;
+        dispatch();
+    };
+
+    const handleMessage = (worker, message) => {
+        const job = runningJobs.get(worker);
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'progress') {
+            if (job.onProgress) job.onProgress(message.progress, message.stage);
+        } else if (message.type === 'result') {
+            releaseWorker(worker);
+            job.resolve(message.result);
+        } else if (message.type === 'error') {
+            releaseWorker(worker);
+            job.reject(new Error(message.message));
+        }
+    };
+
+    const spawnWorker = () => {
+        const worker = createWorker();
+        workerCount++;
+        worker.onmessage = (event) => handleMessage(worker, event.data);
+        worker.onerror = (event) => {
+            if (event.preventDefault) event.preventDefault();
+            const job = runningJobs.get(worker);
+            discardWorker(worker);
+            if (job) job.reject(new Error(event.message || 'Parse worker crashed'));
+        };
+        return worker;
+    };
+
+    const run = (task, payload, { onProgress, transfer = [] } = {}) => {
+        let job;
+        const promise = new Promise((resolve, reject) => {
+            job = { id: nextJobId++, task, payload, transfer, onProgress, resolve, reject, worker: null };
+        });
+        pendingJobs.push(job);
+        dispatch();
+
+        const cancel = () => {
+            const error = createCancelledError();
+            const pendingIndex = pendingJobs.indexOf(job);
+            if (pendingIndex !== -1) {
+                pendingJobs.splice(pendingIndex, 1);
+                job.reject(error);
+            } else if (job.worker && runningJobs.get(job.worker) === job) {
+                discardWorker(job.worker);
+                job.reject(error);
+            }
+        };
+
+        return { promise, cancel };
+    };
+
+    return { run };
+};
+
+let parseWorkerPool = null;
+
+/**
+ * Shared pool of import parse workers (created on first use)
+ * @returns {Object} Worker pool (see createWorkerPool)
+ */
+export const getParseWorkerPool = () => {
+    if (!parseWorkerPool) {
+        parseWorkerPool = createWorkerPool(() => new Worker(new URL('../workers/parseWorker.js', import.meta.url), { type: 'module' }));
+    }
+    return parseWorkerPool;
+};
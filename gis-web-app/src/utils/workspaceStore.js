@@ -0,0 +1,188 @@
+/**
+ * Named workspaces persisted in IndexedDB: layers (data and styling), categories, map view and projection
+ */
+
+const DB_NAME = 'gis-web-app';
+const DB_VERSION = 1;
+const WORKSPACE_STORE = 'workspaces';
+const SUMMARY_STORE = 'workspaceSummaries'; // Small records so the list does not load every layer's data
+const LAST_WORKSPACE_KEY = 'gis-web-app:lastWorkspace';
+
+export const DEFAULT_WORKSPACE_NAME = 'Default';
+
+// Layer fields kept in a workspace (Leaflet objects live in layerGroupsRef and are rebuilt on restore)
+const LAYER_FIELDS = ['id', 'name', 'type', 'data', 'visible', 'color', 'category', 'colorByAttribute', 'customColorMap', 'classification', 'sizeByAttribute', 'style', 'styleRules', 'sourceCRS'];
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(WORKSPACE_STORE)) {
+                    db.createObjectStore(WORKSPACE_STORE, { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+                    db.createObjectStore(SUMMARY_STORE, { keyPath: 'name' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if opening failed (e.g. private browsing)
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+};
+
+// Run fn(stores) in a transaction and resolve with the result of the request it returns (if any)
+const runTransaction = async (storeNames, mode, fn) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const stores = storeNames.map(name => transaction.objectStore(name));
+        const request = fn(...stores);
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Workspace transaction aborted'));
+    });
+};
+
+/**
+ * Build the storable snapshot of the current workspace
+ * @param {Object} state - { layers, categories, mapView: { center: [lat, lng], zoom }, projection }
+ * @returns {Object} { layers, categories, mapView, projection } without Leaflet objects
+ */
+export const serializeWorkspace = ({ layers, categories, mapView, projection }) => ({
+    layers: layers.map(layer => {
+        const storedLayer = {};
+        LAYER_FIELDS.forEach(field => {
+            if (layer[field] !== undefined) {
+                storedLayer[field] = layer[field];
+            }
+        });
+        return storedLayer;
+    }),
+    // Array order of categories is the display and z-order
+    categories: categories.map(category => ({ name: category.name, expanded: category.expanded !== false })),
+    mapView,
+    projection
+});
+
+/**
+ * Rebuild the categories list (in saved order) from a workspace snapshot
+ * @param {Array} storedCategories - [{ name, expanded }]
+ * @returns {Array} [{ name, expanded }] without duplicate names
+ */
+export const deserializeCategories = (storedCategories = []) => {
+    const categories = [];
+    storedCategories.forEach(category => {
+        if (!categories.some(existing => existing.name === category.name)) {
+            categories.push({ name: category.name, expanded: category.expanded !== false });
+        }
+    });
+    return categories;
+};
+
+/**
+ * Save a workspace under its name, replacing any workspace of the same name
+ * @param {string} name - Workspace name
+ * @param {Object} snapshot - Result of serializeWorkspace
+ * @returns {Promise<void>}
+ */
+export const saveWorkspace = async (name, snapshot) => {
+    const savedAt = new Date().toISOString();
+    await runTransaction([WORKSPACE_STORE, SUMMARY_STORE], 'readwrite', (workspaces, summaries) => {
+        workspaces.put({ name, savedAt, ...snapshot });
+        summaries.put({
+            name,
+            savedAt,
+            layerCount: snapshot.layers.length,
+            featureCount: snapshot.layers.reduce((total, layer) => total + (layer.data?.features?.length || 0), 0)
+        });
+    });
+    setLastWorkspaceName(name);
+};
+
+/**
+ * Load a saved workspace
+ * @param {string} name - Workspace name
+ * @returns {Promise<Object|null>} { name, savedAt, layers, categories, mapView, projection } or null
+ */
+export const loadWorkspace = async (name) => {
+    const workspace = await runTransaction([WORKSPACE_STORE], 'readonly', workspaces => workspaces.get(name));
+    return workspace || null;
+};
+
+/**
+ * List saved workspaces, most recently saved first
+ * @returns {Promise<Array>} [{ name, savedAt, layerCount, featureCount }]
+ */
+export const listWorkspaces = async () => {
+    const summaries = await runTransaction([SUMMARY_STORE], 'readonly', store => store.getAll());
+    return (summaries || []).sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+/**
+ * Delete a saved workspace
+ * @param {string} name - Workspace name
+ * @returns {Promise<void>}
+ */
+export const deleteWorkspace = async (name) => {
+    await runTransaction([WORKSPACE_STORE, SUMMARY_STORE], 'readwrite', (workspaces, summaries) => {
+        workspaces.delete(name);
+        summaries.delete(name);
+    });
+    if (getLastWorkspaceName() === name) {
+        try {
+            localStorage.removeItem(LAST_WORKSPACE_KEY);
+        } catch {
+            // Storage disabled: nothing was remembered
+        }
+    }
+};
+
+/**
+ * Name of the workspace used last (offered first on startup)
+ * @returns {string|null}
+ */
+export const getLastWorkspaceName = () => {
+    try {
+        return localStorage.getItem(LAST_WORKSPACE_KEY);
+    } catch {
+        return null;
+    }
+};
+
+const setLastWorkspaceName = (name) => {
+    try {
+        localStorage.setItem(LAST_WORKSPACE_KEY, name);
+    } catch {
+        // Storage disabled: the most recent workspace is offered instead
+    }
+};
+
+/**
+ * Pick a workspace name not used yet ("Default 2", "Default 3", ...)
+ * @param {Array} existingNames - Names already saved
+ * @param {string} baseName - Name to start from
+ * @returns {string} Unused name
+ */
+export const getUniqueWorkspaceName = (existingNames, baseName = DEFAULT_WORKSPACE_NAME) => {
+    if (!existingNames.includes(baseName)) {
+        return baseName;
+    }
+    let index = 2;
+    while (existingNames.includes(`${baseName} ${index}`)) {
+        index++;
+    }
+    return `${baseName} ${index}`;
+};
@@ -0,0 +1,15 @@
+/**
+ * Escaping of text written into XML or HTML markup
+ */
+
+/**
+ * Escape the characters that are special in XML text and attribute values
+ * @param {*} value - Value to write (converted to a string)
+ * @returns {string} Escaped text
+ */
+export const escapeXML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
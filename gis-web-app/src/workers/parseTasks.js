@@ -0,0 +1,676 @@
+/**
+ * Import parsing tasks: decoding, parsing, validation and reprojection of uploaded files
+ * Pure functions run by the parse worker (see parseWorker.js) so large files never block the UI.
+ * Every task takes a payload and an onProgress(fraction, stage) callback; fraction is relative to the stage.
+ */
+
+import proj4 from 'proj4';
+import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import getShapefile, { parseShp, parseDbf } from 'shpjs';
+import { resolveProjection, normalizeEPSGCode, registerWKTProjection, reprojectGeometry } from '../utils/projections';
+import { parseWKT, isEmptyGeometry } from '../utils/wktParser';
+import { parseNumericValue, closePolygonRings, findInvalidWGS84Position } from '../utils/importHelpers';
+import { createImportReport, reportSkipped, reportRepaired } from '../utils/importReport';
+import { decodeText, preserveUTF8, getDBFEncoding, decodeDBFString } from '../utils/textEncoding';
+
+const noProgress = () => {};
+
+/**
+ * Decode a text file (KML, GPX, ...)
+ * @param {Object} payload - { buffer: ArrayBuffer, encoding: TextDecoder label or 'auto' }
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {String} Decoded text
+ */
+export const decodeFile = ({ buffer, encoding = 'auto' }, onProgress = noProgress) => {
+    onProgress(0, 'Decoding text');
+    return decodeText(buffer, encoding);
+};
+
+/**
+ * Parse a ';'-delimited CSV file into rows (values kept as strings)
+ * @param {Object} payload - { buffer: ArrayBuffer, encoding: TextDecoder label or 'auto' }
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {Array} Row objects keyed by header
+ */
+export const parseCSV = ({ buffer, encoding = 'auto' }, onProgress = noProgress) => {
+    onProgress(0, 'Decoding text');
+    const csvText = decodeText(buffer, encoding);
+
+    const rows = [];
+    let fatalError = null;
+    Papa.parse(csvText, {
+        header: true,
+        delimiter: ';',
+        skipEmptyLines: true,
+        dynamicTyping: false, // Keep as strings to preserve special characters
+        step: (results) => {
+            rows.push(results.data);
+            onProgress(results.meta.cursor / csvText.length, 'Parsing rows');
+        },
+        error: (error) => {
+            fatalError = error;
+        }
+    });
+    if (fatalError) {
+        throw new Error(fatalError.message);
+    }
+
+    return rows;
+};
+
+/**
+ * Read every sheet of an Excel workbook
+ * @param {Object} payload - { buffer: ArrayBuffer }
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {Array} Sheets [{ name, rows }]
+ */
+export const parseWorkbook = ({ buffer }, onProgress = noProgress) => {
+    onProgress(0, 'Reading workbook');
+    // XLSX library handles UTF-8 encoding automatically
+    const workbook = XLSX.read(new Uint8Array(buffer), {
+        type: 'array',
+        cellText: false,
+        cellDates: true,
+        codepage: 65001 // UTF-8 code page
+    });
+
+    // Read every sheet; the user picks which ones to import
+    const sheets = workbook.SheetNames.map((sheetName, index) => {
+        onProgress(index / workbook.SheetNames.length, `Reading sheet ${sheetName}`);
+        return {
+            name: sheetName,
+            // Use raw: false to get formatted text values, preserving UTF-8
+            rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+                raw: false, // Get formatted strings to preserve UTF-8
+                defval: '',
+                blankrows: false
+            })
+        };
+    });
+
+    return sheets;
+};
+
+/**
+ * Validate and normalize parsed GeoJSON into a WGS84 FeatureCollection
+ * A declared EPSG crs is reprojected; invalid features are skipped and unclosed rings closed (see report)
+ * @param {Object} geojson - FeatureCollection, Feature, Geometry or GeometryCollection
+ * @param {String} fileName - Source file name (for the import report)
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {Object} { geojson, sourceCRS, report }
+ * @throws {Error} If the GeoJSON is invalid or contains no valid features
+ */
+export const normalizeGeoJSON = (geojson, fileName, onProgress = noProgress) => {
+    // Validate basic structure
+    if (!geojson || typeof geojson !== 'object') {
+        throw new Error('Invalid GeoJSON: must be an object');
+    }
+
+    let normalizedGeoJSON;
+    const report = createImportReport(fileName, 'features');
+    const featureNumbers = []; // 1-based position in the source file of each normalized feature
+
+    // Handle different GeoJSON types
+    if (geojson.type === 'FeatureCollection') {
+        // Validate FeatureCollection
+        if (!Array.isArray(geojson.features)) {
+            throw new Error('Invalid FeatureCollection: features must be an array');
+        }
+        
+        // Normalize features
+        report.total = geojson.features.length;
+        normalizedGeoJSON = {
+            type: 'FeatureCollection',
+            features: geojson.features.map((feature, index) => {
+                if (!feature || feature.type !== 'Feature') {
+                    reportSkipped(report, index + 1, `Not a GeoJSON Feature (type: ${feature && feature.type ? feature.type : 'none'})`, {});
+                    return null;
+                }
+                if (!feature.geometry || !feature.geometry.coordinates) {
+                    reportSkipped(report, index + 1, 'Missing geometry or coordinates', feature.properties);
+                    return null;
+                }
+                featureNumbers.push(index + 1);
+                return {
+                    type: 'Feature',
+                    geometry: feature.geometry,
+                    properties: feature.properties || {}
+                };
+            }).filter(f => f !== null),
+            crs: geojson.crs || null
+        };
+
+        if (normalizedGeoJSON.features.length === 0) {
+            throw new Error('FeatureCollection contains no valid features');
+        }
+
+    } else if (geojson.type === 'Feature') {
+        // Single Feature - wrap in FeatureCollection
+        if (!geojson.geometry || !geojson.geometry.coordinates) {
+            throw new Error('Invalid Feature: missing geometry');
+        }
+        report.total = 1;
+        featureNumbers.push(1);
+        normalizedGeoJSON = {
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: geojson.geometry,
+                properties: geojson.properties || {}
+            }],
+            crs: geojson.crs || null
+        };
+
+    } else if (geojson.type && ['Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon'].includes(geojson.type)) {
+        // Geometry object - wrap in Feature and FeatureCollection
+        report.total = 1;
+        featureNumbers.push(1);
+        normalizedGeoJSON = {
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: geojson,
+                properties: {}
+            }],
+            crs: geojson.crs || null
+        };
+    } else if (geojson.type === 'GeometryCollection') {
+        // GeometryCollection - convert each geometry to a feature
+        if (!Array.isArray(geojson.geometries)) {
+            throw new Error('Invalid GeometryCollection: geometries must be an array');
+        }
+        report.total = geojson.geometries.length;
+        geojson.geometries.forEach((geom, index) => {
+            if (geom && geom.coordinates) {
+                featureNumbers.push(index + 1);
+            } else {
+                reportSkipped(report, index + 1, 'Missing geometry or coordinates', {});
+            }
+        });
+        normalizedGeoJSON = {
+            type: 'FeatureCollection',
+            features: geojson.geometries
+                .filter(geom => geom && geom.coordinates)
+                .map(geometry => ({
+                    type: 'Feature',
+                    geometry: geometry,
+                    properties: {}
+                })),
+            crs: geojson.crs || null
+        };
+        if (normalizedGeoJSON.features.length === 0) {
+            throw new Error('GeometryCollection contains no valid geometries');
+        }
+
+    } else {
+        throw new Error(`Unsupported GeoJSON type: ${geojson.type || 'unknown'}. Expected FeatureCollection, Feature, or Geometry.`);
+    }
+
+    // Extract and transform coordinates if needed
+    let sourceCRS = null;
+    if (normalizedGeoJSON.crs) {
+        const crs = normalizedGeoJSON.crs;
+        if (crs.properties && crs.properties.name) {
+            const crsName = crs.properties.name;
+            
+            // Extract EPSG code from CRS name
+            // Handle formats like: "urn:ogc:def:crs:EPSG::32632", "EPSG:32632" or "urn:ogc:def:crs:OGC:1.3:CRS84"
+            if (/EPSG/i.test(crsName) || /CRS:?84$/i.test(crsName)) {
+                sourceCRS = normalizeEPSGCode(crsName);
+            }
+        }
+    }
+
+    // Transform coordinates if source CRS is not WGS84
+    if (sourceCRS && sourceCRS !== 'EPSG:4326') {
+        
+        // Resolve the source projection through the registry (throws if unknown)
+        resolveProjection(sourceCRS);
+
+        // First, check if properties have lon/lat (already in WGS84) - use those for Point geometries
+        let usedProperties = false;
+        normalizedGeoJSON.features.forEach((feature, index) => {
+            if (feature.geometry && feature.geometry.type === 'Point' && 
+                feature.properties && 
+                feature.properties.lon !== undefined && 
+                feature.properties.lat !== undefined) {
+                feature.geometry.coordinates = [
+                    parseFloat(feature.properties.lon),
+                    parseFloat(feature.properties.lat)
+                ];
+                reportRepaired(report, featureNumbers[index], 'Used lon/lat properties instead of transforming the geometry');
+                usedProperties = true;
+            }
+        });
+
+        if (!usedProperties) {
+            // Transform coordinates for each feature using proj4
+            const transformCoordinates = (coords) => {
+                if (Array.isArray(coords[0])) {
+                    // Nested array (LineString, Polygon, etc.)
+                    return coords.map(transformCoordinates);
+                } else if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
+                    // Single coordinate pair [x, y] or [lon, lat]
+                    try {
+                        const [x, y, ...rest] = coords;
+                        const [lon, lat] = proj4(sourceCRS, 'EPSG:4326', [x, y]);
+                        return [lon, lat, ...rest];
+                    } catch (error) {
+                        console.error('Coordinate transformation error:', error, coords);
+                        return coords; // Return original if transformation fails
+                    }
+                }
+                return coords;
+            };
+
+            normalizedGeoJSON.features.forEach((feature, index) => {
+                onProgress(index / normalizedGeoJSON.features.length, 'Reprojecting');
+                if (feature.geometry && feature.geometry.coordinates) {
+                    try {
+                        feature.geometry.coordinates = transformCoordinates(feature.geometry.coordinates);
+                    } catch (error) {
+                        console.error(`Error transforming feature ${index}:`, error);
+                    }
+                }
+            });
+        }
+
+        // Remove CRS since coordinates are now in WGS84
+        normalizedGeoJSON.crs = null;
+    } else if (!sourceCRS) {
+        // Check if coordinates look like they're in a projected system (large numbers)
+        const firstFeature = normalizedGeoJSON.features[0];
+        if (firstFeature && firstFeature.geometry) {
+            const coords = firstFeature.geometry.coordinates;
+            if (coords && Array.isArray(coords)) {
+                const firstCoord = Array.isArray(coords[0]) ? coords[0][0] : coords[0];
+                if (typeof firstCoord === 'number' && Math.abs(firstCoord) > 180) {
+                    console.warn('Coordinates appear to be in a projected system but no CRS specified. Attempting to use lon/lat from properties if available.');
+                    
+                    // Try to use lon/lat from properties if available
+                    normalizedGeoJSON.features.forEach((feature, index) => {
+                        if (feature.properties && feature.properties.lon !== undefined && feature.properties.lat !== undefined) {
+                            if (feature.geometry.type === 'Point') {
+                                feature.geometry.coordinates = [
+                                    parseFloat(feature.properties.lon),
+                                    parseFloat(feature.properties.lat)
+                                ];
+                                reportRepaired(report, featureNumbers[index], 'Projected coordinates without CRS replaced by lon/lat properties');
+                            }
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    // Close unclosed polygon rings and drop features that cannot be placed in WGS84
+    normalizedGeoJSON.features = normalizedGeoJSON.features.filter((feature, index) => {
+        const featureNumber = featureNumbers[index];
+        const invalidPosition = findInvalidWGS84Position(feature.geometry);
+        if (invalidPosition) {
+            reportSkipped(report, featureNumber, `Coordinates [${invalidPosition[0]}, ${invalidPosition[1]}] outside WGS84 bounds (missing or wrong CRS?)`, feature.properties);
+            return false;
+        }
+        const { geometry, closedRings } = closePolygonRings(feature.geometry);
+        if (closedRings > 0) {
+            feature.geometry = geometry;
+            reportRepaired(report, featureNumber, `Closed ${closedRings} unclosed polygon ring(s)`);
+        }
+        return true;
+    });
+    report.accepted = normalizedGeoJSON.features.length;
+
+    return { geojson: normalizedGeoJSON, sourceCRS: sourceCRS || 'EPSG:4326', report };
+};
+
+/**
+ * Parse (if needed) and normalize GeoJSON
+ * @param {Object} payload - { buffer: ArrayBuffer } for a .geojson/.json file, or { geojson } already converted (KML), plus fileName
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {Object} { geojson, sourceCRS, report } (see normalizeGeoJSON)
+ */
+export const parseGeoJSON = ({ buffer, geojson, fileName }, onProgress = noProgress) => {
+    let parsed = geojson;
+    if (buffer) {
+        onProgress(0, 'Decoding text');
+        const jsonText = decodeText(buffer);
+        onProgress(0, 'Parsing JSON');
+        parsed = JSON.parse(jsonText);
+    }
+    onProgress(0, 'Validating features');
+    return normalizeGeoJSON(parsed, fileName, onProgress);
+};
+
+/**
+ * Transform every coordinate of a FeatureCollection to WGS84
+ * @param {Object} geojson - FeatureCollection in sourceCRS
+ * @param {String} sourceCRS - Code or registered projection name
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {Object} New FeatureCollection in EPSG:4326
+ */
+export const transformGeoJSONCoordinates = (geojson, sourceCRS, onProgress = noProgress) => {
+    if (!sourceCRS || sourceCRS === 'EPSG:4326') {
+        return geojson; // Already in WGS84
+    }
+
+    // Resolve the source projection through the registry (throws if unknown)
+    resolveProjection(sourceCRS);
+
+    // Transform coordinates recursively
+    const transformCoordinates = (coords) => {
+        if (Array.isArray(coords[0])) {
+            // Nested array (LineString, Polygon, etc.)
+            return coords.map(transformCoordinates);
+        } else if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
+            // Single coordinate pair [x, y] or [lon, lat]
+            try {
+                const [x, y, ...rest] = coords;
+                const [lon, lat] = proj4(sourceCRS, 'EPSG:4326', [x, y]);
+                return [lon, lat, ...rest];
+            } catch (error) {
+                console.error('Coordinate transformation error:', error, coords);
+                return coords; // Return original if transformation fails
+            }
+        }
+        return coords;
+    };
+
+    // Transform all features
+    const transformedGeoJSON = {
+        ...geojson,
+        features: geojson.features.map((feature, index) => {
+            onProgress(index / geojson.features.length, 'Reprojecting');
+            if (!feature.geometry || !feature.geometry.coordinates) {
+                return feature;
+            }
+            
+            try {
+                return {
+                    ...feature,
+                    geometry: {
+                        ...feature.geometry,
+                        coordinates: transformCoordinates(feature.geometry.coordinates)
+                    }
+                };
+            } catch (error) {
+                console.error('Error transforming feature:', error);
+                return feature;
+            }
+        })
+    };
+
+    return transformedGeoJSON;
+};
+
+/**
+ * Parse shapefile components into a WGS84 FeatureCollection
+ * DBF strings are re-decoded from the .cpg code page; without a CRS the coordinates are checked for UTM values
+ * @param {Object} payload - { shp, shx, dbf } ArrayBuffers, cpgText (.cpg content or chosen encoding), prjText and the sourceCRS resolved from the .prj
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {Object} { geojson, sourceCRS }
+ */
+export const parseShapefile = async ({ shp, shx, dbf, cpgText, prjText, sourceCRS: prjCRS }, onProgress = noProgress) => {
+    let sourceCRS = prjCRS || null;
+
+    // A CRS built from the .prj WKT was registered on the main thread only: register it here too
+    if (sourceCRS && !/^EPSG/i.test(sourceCRS) && prjText) {
+        registerWKTProjection(sourceCRS, prjText.trim().replace(/\s+/g, ' '));
+    }
+
+    const dbfEncoding = getDBFEncoding(cpgText);
+
+    // Use shpjs to parse the shapefile; coordinates are transformed below
+    onProgress(0, 'Reading geometries');
+    let geojson;
+    try {
+        const shapefileObject = { shp };
+        // Include .shx if available (shpjs uses it for indexing)
+        if (shx) {
+            shapefileObject.shx = shx;
+        }
+        if (dbf) {
+            shapefileObject.dbf = dbf;
+        }
+        // Pass CPG as string to shpjs (it contains encoding name like "1252" or "UTF-8")
+        if (cpgText) {
+            shapefileObject.cpg = cpgText.trim();
+        }
+        geojson = await getShapefile(shapefileObject);
+    } catch (parseError) {
+        console.error('Shapefile parsing error:', parseError);
+        // Fallback: try parsing shp and dbf separately
+        try {
+            if (dbf) {
+                const shpFeatures = await parseShp(shp);
+                const dbfData = await parseDbf(dbf, cpgText ? cpgText.trim() : null);
+                // Combine features with attributes
+                geojson = {
+                    type: 'FeatureCollection',
+                    features: shpFeatures.map((feature, index) => ({
+                        ...feature,
+                        properties: {
+                            ...feature.properties,
+                            ...(dbfData[index] || {})
+                        }
+                    }))
+                };
+            } else {
+                geojson = await parseShp(shp);
+            }
+        } catch {
+            throw new Error(`Failed to parse shapefile: ${parseError.message}`);
+        }
+    }
+
+    // Convert DBF attributes from the detected encoding to UTF-8
+    if (geojson && geojson.features) {
+        geojson.features = geojson.features.map((feature, index) => {
+            onProgress(index / geojson.features.length, 'Decoding attributes');
+            if (feature.properties) {
+                const processedProperties = {};
+                Object.keys(feature.properties).forEach(key => {
+                    let value = feature.properties[key];
+                    try {
+                        value = decodeDBFString(value, dbfEncoding);
+                    } catch (error) {
+                        console.warn(`Failed to convert encoding for property "${key}":`, error);
+                        // Keep original value if conversion fails
+                    }
+                    processedProperties[key] = preserveUTF8(value);
+                });
+                return {
+                    ...feature,
+                    properties: processedProperties
+                };
+            }
+            return feature;
+        });
+    }
+
+    // Ensure geojson has the correct structure
+    if (!geojson || !geojson.type) {
+        // If geojson is an array of features, wrap it
+        if (Array.isArray(geojson)) {
+            geojson = {
+                type: 'FeatureCollection',
+                features: geojson
+            };
+        } else if (geojson.type === 'Feature') {
+            geojson = {
+                type: 'FeatureCollection',
+                features: [geojson]
+            };
+        }
+    }
+
+    // Detect CRS from coordinates if not found in PRJ
+    if (!sourceCRS && geojson.features && geojson.features.length > 0) {
+        const firstFeature = geojson.features[0];
+        if (firstFeature.geometry && firstFeature.geometry.coordinates) {
+            const coords = firstFeature.geometry.coordinates;
+            // Check if coordinates look like UTM (large numbers, typically > 100000)
+            const firstCoord = Array.isArray(coords[0]) ? coords[0][0] : coords[0];
+            if (typeof firstCoord === 'number' && Math.abs(firstCoord) > 100000) {
+                // Likely UTM coordinates
+                // Check Y coordinate to determine hemisphere
+                const secondCoord = Array.isArray(coords[0]) ? coords[0][1] : coords[1];
+                if (typeof secondCoord === 'number' && secondCoord > 0 && secondCoord < 10000000) {
+                    // Northern hemisphere UTM
+                    // Try to detect zone from X coordinate (UTM zones are 6 degrees wide)
+                    // Zone 32 covers 6°E to 12°E, which corresponds to roughly 500000-900000m easting
+                    const xCoord = Math.abs(firstCoord);
+                    if (xCoord >= 300000 && xCoord <= 900000) {
+                        // Likely Zone 32 - default to WGS84 (EPSG:32632) as it's more common
+                        console.warn('Detected UTM Zone 32N coordinates but no PRJ file. Assuming EPSG:32632 (WGS84 UTM Zone 32N).');
+                        sourceCRS = 'EPSG:32632';
+                    } else {
+                        // Default to Tunisia projection for other zones
+                        console.warn('Detected UTM coordinates but no PRJ file. Assuming EPSG:22332 (Carthage / UTM zone 32N).');
+                        sourceCRS = 'EPSG:22332';
+                    }
+                }
+            }
+        }
+    }
+
+    // Transform coordinates if needed
+    if (sourceCRS && sourceCRS !== 'EPSG:4326') {
+        geojson = transformGeoJSONCoordinates(geojson, sourceCRS, onProgress);
+    }
+
+    return { geojson, sourceCRS: sourceCRS || 'EPSG:4326' };
+};
+
+// Build features from a WKT/EWKT column; an EWKT SRID overrides the chosen CRS for its row
+const buildWKTFeatures = (data, geometryCol, sourceCRS, report, onProgress) => {
+    const features = [];
+    data.forEach((row, index) => {
+        onProgress(index / data.length, 'Building features');
+        const rowNumber = index + 1;
+        try {
+            const { geometry, srid } = parseWKT(row[geometryCol]);
+            if (isEmptyGeometry(geometry)) {
+                reportSkipped(report, rowNumber, 'Empty geometry', row);
+                return;
+            }
+            const rowCRS = srid ? resolveProjection(`EPSG:${srid}`) : sourceCRS;
+            const { geometry: closedGeometry, closedRings } = closePolygonRings(geometry);
+            const wgs84Geometry = reprojectGeometry(closedGeometry, rowCRS, 'EPSG:4326');
+            const invalidPosition = findInvalidWGS84Position(wgs84Geometry);
+            if (invalidPosition) {
+                reportSkipped(report, rowNumber, `Coordinates outside WGS84 bounds after transformation from ${rowCRS} (wrong CRS?)`, row);
+                return;
+            }
+            if (closedRings > 0) {
+                reportRepaired(report, rowNumber, `Closed ${closedRings} unclosed polygon ring(s)`);
+            }
+
+            // Keep every attribute except the (potentially huge) WKT text itself
+            const properties = {};
+            Object.keys(row).forEach(key => {
+                if (key !== geometryCol) {
+                    properties[key] = preserveUTF8(row[key]);
+                }
+            });
+
+            features.push({
+                type: 'Feature',
+                properties,
+                geometry: wgs84Geometry
+            });
+        } catch (error) {
+            reportSkipped(report, rowNumber, error.message, row);
+        }
+    });
+    return features;
+};
+
+// Build point features from X/Y columns
+const buildXYFeatures = (data, xCol, yCol, sourceCRS, report, onProgress) => {
+    const features = [];
+    data.forEach((row, index) => {
+        onProgress(index / data.length, 'Reprojecting');
+        const rowNumber = index + 1;
+        const x = parseNumericValue(row[xCol]);
+        const y = parseNumericValue(row[yCol]);
+
+        if (isNaN(x) || isNaN(y)) {
+            const column = isNaN(x) ? xCol : yCol;
+            const value = row[column];
+            const reason = value === undefined || value === null || String(value).trim() === ''
+                ? `Missing ${column} value`
+                : `${column} value "${value}" is not a number`;
+            reportSkipped(report, rowNumber, reason, row);
+            return;
+        }
+
+        try {
+            const [lon, lat] = sourceCRS === 'EPSG:4326' ? [x, y] : proj4(sourceCRS, 'EPSG:4326', [x, y]);
+            if (findInvalidWGS84Position({ type: 'Point', coordinates: [lon, lat] })) {
+                reportSkipped(report, rowNumber, `Coordinates ${x}, ${y} fall outside WGS84 bounds in ${sourceCRS} (wrong CRS or swapped columns?)`, row);
+                return;
+            }
+
+            // Decimal commas ("36,8") are read as decimal points
+            const usedDecimalComma = [row[xCol], row[yCol]].some(value => typeof value === 'string' && value.includes(','));
+            if (usedDecimalComma) {
+                reportRepaired(report, rowNumber, 'Read decimal comma in coordinates as decimal point');
+            }
+            
+            // Include all properties from the row, preserving UTF-8 characters
+            const properties = {};
+            // Copy all properties, ensuring strings are preserved as-is to maintain UTF-8
+            Object.keys(row).forEach(key => {
+                const value = row[key];
+                // Preserve the value as-is to maintain UTF-8 encoding
+                properties[key] = preserveUTF8(value);
+            });
+            
+            // Ensure name property exists
+            if (!properties.name) {
+                const nameCol = Object.keys(row).find(key => 
+                    key.toUpperCase() === 'SITES' || 
+                    key.toUpperCase() === 'A' || 
+                    key.toUpperCase() === 'NAME'
+                );
+                properties.name = nameCol ? preserveUTF8(row[nameCol]) : 'Unnamed';
+            }
+            properties.x = x;
+            properties.y = y;
+            
+            features.push({
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'Point',
+                    coordinates: [lon, lat]
+                }
+            });
+        } catch (error) {
+            console.error('Error converting coordinates:', row, error);
+            reportSkipped(report, rowNumber, `Coordinate transformation failed: ${error.message}`, row);
+        }
+    });
+    return features;
+};
+
+/**
+ * Build point (X/Y columns) or WKT features from CSV/Excel rows
+ * @param {Object} payload - { rows, xCol, yCol } or { rows, geometryCol }, plus resolved sourceCRS and fileName
+ * @param {Function} onProgress - Called with (fraction, stage)
+ * @returns {Object} { features, report }
+ */
+export const buildPointFeatures = ({ rows, xCol, yCol, geometryCol, sourceCRS, fileName }, onProgress = noProgress) => {
+    resolveProjection(sourceCRS);
+    const report = createImportReport(fileName, 'rows');
+    report.total = rows.length;
+
+    const features = geometryCol
+        ? buildWKTFeatures(rows, geometryCol, sourceCRS, report, onProgress)
+        : buildXYFeatures(rows, xCol, yCol, sourceCRS, report, onProgress);
+    report.accepted = features.length;
+
+    return { features, report };
+};
@@ -0,0 +1,45 @@
+/**
+ * Parse worker: runs the import tasks of parseTasks.js off the main thread
+ * Messages in: { id, task, payload }
+ * Messages out: { id, type: 'progress', progress, stage } | { id, type: 'result', result } | { id, type: 'error', message }
+ */
+
+import { registerProjections } from '../utils/projections';
+import { decodeFile, parseCSV, parseWorkbook, parseGeoJSON, parseShapefile, buildPointFeatures } from './parseTasks';
+
+registerProjections();
+
+const TASKS = {
+    decode: decodeFile,
+    csv: parseCSV,
+    xlsx: parseWorkbook,
+    geojson: parseGeoJSON,
+    shapefile: parseShapefile,
+    points: buildPointFeatures
+};
+
+self.onmessage = async (event) => {
+    const { id, task, payload } = event.data;
+
+    // Tasks report progress per row/feature: only post when the bar moves by at least 1% or the stage changes
+    let lastProgress = -1;
+    let lastStage = null;
+    const onProgress = (progress, stage) => {
+        if (stage === lastStage && progress - lastProgress < 0.01) return;
+        lastProgress = progress;
+        lastStage = stage;
+        self.postMessage({ id, type: 'progress', progress, stage });
+    };
+
+    try {
+        const runTask = TASKS[task];
+        if (!runTask) {
+            throw new Error(`Unknown parse task: ${task}`);
+        }
+        const result = await runTask(payload, onProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        console.error(`Parse task ${task} failed:`, error);
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+};